@@ -0,0 +1,118 @@
+require('dotenv').config();
+
+/**
+ * Contract ABIs used by the backend services
+ * (human-readable fragments, kept in sync with contracts/)
+ */
+const LENDING_POOL_ABI = [
+  'function getUserDebt(address user) external view returns (uint256)',
+  'function userAccounts(address) external view returns (uint256 deposited, uint256 borrowed, uint256 lastUpdateTime, uint256 accruedInterest)',
+  'function poolStats() external view returns (uint256 totalDeposits, uint256 totalBorrows, uint256 reserveFactor, uint256 lastUpdateTime)',
+  'function getUtilizationRate() external view returns (uint256)',
+  'function reserveBalance() external view returns (uint256)',
+  'function interestRateModel() external view returns (address)',
+  'function greenRewardManager() external view returns (address)',
+  'function MAX_BORROW_RATIO() external view returns (uint256)',
+  'function RESERVE_FACTOR() external view returns (uint256)',
+  'event Deposited(address indexed user, uint256 amount)',
+  'event Borrowed(address indexed user, uint256 amount)',
+  'event Repaid(address indexed user, uint256 amount, uint256 interest)',
+  'event Withdrawn(address indexed user, uint256 amount)',
+  'event InterestAccrued(address indexed user, uint256 interest)'
+];
+
+const GREEN_REWARD_MANAGER_ABI = [
+  'function mintCarbonNFT(address recipient, uint256 carbonTons, string verificationId, string issuer, string projectId) external returns (uint256)',
+  'function getUserProfile(address user) external view returns (uint256 totalNFTs, uint256 totalCarbonOffset, uint256 activeNFTs, uint256 rewardMultiplier)',
+  'function getUserNFTs(address user) external view returns (uint256[] memory)',
+  'function getNFTDetails(uint256 tokenId) external view returns (address owner, uint256 carbonTons, string verificationId, uint256 timestamp, bool retired, string issuer)',
+  'function getAdjustedInterestRate(address user, uint256 baseRate) external view returns (uint256)',
+  'function usedVerificationIds(string) external view returns (bool)',
+  'function guardianOracle() external view returns (address)',
+  'function leaderboardTracker() external view returns (address)',
+  'function greenToken() external view returns (address)',
+  'function nextTokenId() external view returns (uint256)',
+  'function BASE_RATE_REDUCTION() external view returns (uint256)',
+  'function MAX_RATE_REDUCTION() external view returns (uint256)',
+  'event NFTMinted(uint256 indexed tokenId, address indexed owner, uint256 carbonTons, string verificationId)',
+  'event NFTRetired(uint256 indexed tokenId, address indexed owner)',
+  'event InterestRateAdjusted(address indexed user, uint256 newRate, uint256 reduction)',
+  'event GreenTokenRewarded(address indexed user, uint256 amount)',
+  'event GuardianOracleUpdated(address indexed newOracle)'
+];
+
+const INTEREST_RATE_MODEL_ABI = [
+  'function getBorrowRate(uint256 totalDeposits, uint256 totalBorrows) external view returns (uint256)',
+  'function getSupplyRate(uint256 totalDeposits, uint256 totalBorrows, uint256 reserveFactor) external view returns (uint256)',
+  'function getUtilizationRate(uint256 totalDeposits, uint256 totalBorrows) external pure returns (uint256)',
+  'function baseRatePerYear() external view returns (uint256)',
+  'function multiplierPerYear() external view returns (uint256)',
+  'function jumpMultiplierPerYear() external view returns (uint256)',
+  'function kink() external view returns (uint256)',
+  'event InterestRateModelUpdated(uint256 baseRate, uint256 multiplier, uint256 jumpMultiplier, uint256 kinkPoint)'
+];
+
+const LEADERBOARD_TRACKER_ABI = [
+  'function getUserScore(address user) external view returns (uint256 totalOffset, uint256 nftCount, uint256 rank, uint8 badge, string badgeName)',
+  'function getTopContributors(uint256 count) external view returns (address[] memory, uint256[] memory)',
+  'function getLeaderboardStats() external view returns (uint256 totalUsers, uint256 totalCarbonOffset, uint256 topContributorsCount)',
+  'function greenRewardManager() external view returns (address)',
+  'event ScoreUpdated(address indexed user, uint256 newScore, uint256 rank)',
+  'event BadgeAwarded(address indexed user, uint8 badge)',
+  'event RankChanged(address indexed user, uint256 oldRank, uint256 newRank)'
+];
+
+const CLIMATE_FUND_VAULT_ABI = [
+  'function totalStaked() external view returns (uint256)',
+  'function rewardRatePerYear() external view returns (uint256)',
+  'function getStakeInfo(address user) external view returns (uint256 amount, uint256 startTime, uint256 pendingRewards)',
+  'event Staked(address indexed user, uint256 amount)',
+  'event Withdrawn(address indexed user, uint256 amount)',
+  'event RewardsClaimed(address indexed user, uint256 amount)',
+  'event ProjectCreated(uint256 indexed projectId, string name, uint256 fundingGoal)',
+  'event ProjectFunded(uint256 indexed projectId, uint256 amount)',
+  'event ProjectCompleted(uint256 indexed projectId)'
+];
+
+/**
+ * Badge names, indexed by the LeaderboardTracker.Badge enum
+ */
+const BADGE_NAMES = ['None', 'Eco Starter', 'Green Champion', 'Climate Hero', 'Earth Guardian'];
+
+/**
+ * Deployed contract addresses and ABIs, keyed by contract name
+ */
+function getContractConfig() {
+  return {
+    lendingPool: {
+      address: process.env.LENDING_POOL_ADDRESS,
+      abi: LENDING_POOL_ABI
+    },
+    greenRewardManager: {
+      address: process.env.GREEN_REWARD_MANAGER_ADDRESS,
+      abi: GREEN_REWARD_MANAGER_ABI
+    },
+    interestRateModel: {
+      address: process.env.INTEREST_RATE_MODEL_ADDRESS,
+      abi: INTEREST_RATE_MODEL_ABI
+    },
+    leaderboardTracker: {
+      address: process.env.LEADERBOARD_TRACKER_ADDRESS,
+      abi: LEADERBOARD_TRACKER_ABI
+    },
+    climateFundVault: {
+      address: process.env.CLIMATE_FUND_VAULT_ADDRESS,
+      abi: CLIMATE_FUND_VAULT_ABI
+    }
+  };
+}
+
+module.exports = {
+  LENDING_POOL_ABI,
+  GREEN_REWARD_MANAGER_ABI,
+  INTEREST_RATE_MODEL_ABI,
+  LEADERBOARD_TRACKER_ABI,
+  CLIMATE_FUND_VAULT_ABI,
+  BADGE_NAMES,
+  getContractConfig
+};
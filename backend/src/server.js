@@ -1,23 +1,65 @@
 const express = require('express');
 const cors = require('cors');
+const { ethers } = require('ethers');
 const GuardianOracle = require('./services/guardianOracle');
 const TelegramBot = require('./services/telegramBot');
 const MirrorNodeListener = require('./services/mirrorNodeListener');
-const FirebaseService = require('./services/firebaseService');
+const { createStorage } = require('./storage');
+const EventIndexer = require('./services/eventIndexer');
+const FileCursorStore = require('./services/fileCursorStore');
+const EventBus = require('./services/eventBus');
+const SubscriptionService = require('./services/subscriptionService');
+const ChainService = require('./services/chainService');
+const LoanHealthMonitor = require('./services/loanHealthMonitor');
+const GuardianWebhook = require('./services/guardianWebhook');
+const AuthService = require('./services/authService');
+const ReconciliationService = require('./services/reconciliationService');
+const StatsAggregator = require('./services/statsAggregator');
+const RateSimulator = require('./services/rateSimulator');
+const { METRICS, INTERVALS, MAX_POINTS } = require('./utils/statsHistory');
+const { ACTIVITY_TYPES, positionAt } = require('./utils/activity');
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 3001;
+const isProduction = process.env.NODE_ENV === 'production';
+const { ADMIN, ORACLE_OPERATOR } = AuthService.ROLES;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw body for webhook signature checks
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // Initialize services
-const guardianOracle = new GuardianOracle();
-const telegramBot = new TelegramBot();
-const mirrorNodeListener = new MirrorNodeListener();
-const firebaseService = new FirebaseService();
+const storage = createStorage();
+const guardianOracle = new GuardianOracle({ storage });
+const guardianWebhook = new GuardianWebhook({ nonceStore: storage });
+const authService = new AuthService({ storage });
+const chainService = new ChainService();
+const subscriptionService = new SubscriptionService(storage);
+const telegramBot = new TelegramBot({ subscriptionService, storage, chainService, authService });
+const eventBus = new EventBus();
+const eventIndexer = new EventIndexer(storage);
+const mirrorNodeListener = new MirrorNodeListener({
+  indexer: eventIndexer,
+  cursorStore: process.env.MIRROR_CURSOR_FILE
+    ? new FileCursorStore(process.env.MIRROR_CURSOR_FILE)
+    : storage,
+  eventStore: storage,
+  eventBus
+});
+
+const loanHealthMonitor = new LoanHealthMonitor({ chainService, storage, telegramBot });
+const reconciliationService = new ReconciliationService({ chainService, storage });
+const statsAggregator = new StatsAggregator({ chainService, storage });
+const rateSimulator = new RateSimulator({ chainService });
+
+// Notify Telegram subscribers of on-chain events, whoever sent the transaction
+telegramBot.subscribeToEvents(eventBus);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -26,13 +68,56 @@ app.get('/health', (req, res) => {
 
 // API Routes
 
+/**
+ * Get a sign-in message for a wallet
+ */
+app.post('/api/auth/nonce', async (req, res) => {
+  try {
+    const { address } = req.body;
+
+    if (!address || !ethers.isAddress(address)) {
+      return res.status(400).json({ success: false, error: 'Invalid wallet address' });
+    }
+
+    const challenge = await authService.createChallenge(address);
+    res.json({ success: true, data: challenge });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Exchange a signed sign-in message for a token
+ */
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { message, signature } = req.body;
+
+    if (!message || !signature) {
+      return res.status(400).json({ success: false, error: 'Missing required fields' });
+    }
+
+    const session = await authService.login(message, signature);
+    res.json({ success: true, data: session });
+  } catch (error) {
+    res.status(401).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Get the signed-in wallet and role
+ */
+app.get('/api/auth/me', authService.requireRole(), (req, res) => {
+  res.json({ success: true, data: req.auth });
+});
+
 /**
  * Get leaderboard
  */
 app.get('/api/leaderboard', async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 100;
-    const leaderboard = await firebaseService.getTopContributors(limit);
+    const leaderboard = await storage.getTopContributors(limit);
     res.json({ success: true, data: leaderboard });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -44,14 +129,91 @@ app.get('/api/leaderboard', async (req, res) => {
  */
 app.get('/api/user/:address', async (req, res) => {
   try {
-    const { address } = req.params;
-    const profile = await firebaseService.getUserProfile(address);
+    const address = req.params.address.toLowerCase();
+    const profile = await storage.getUserProfile(address);
     
     if (!profile) {
       return res.status(404).json({ success: false, error: 'User not found' });
     }
     
-    res.json({ success: true, data: profile });
+    const nfts = await storage.getUserNFTs(address);
+    res.json({ success: true, data: { ...profile, nfts } });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Parse a timestamp query parameter (unix milliseconds or an ISO date)
+ */
+function parseTime(value) {
+  return /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+}
+
+/**
+ * Get a user's activity, newest first
+ * Query: type (comma-separated), from, to (unix ms or ISO date), limit, cursor
+ */
+app.get('/api/user/:address/activity', async (req, res) => {
+  try {
+    const { address } = req.params;
+
+    if (!ethers.isAddress(address)) {
+      return res.status(400).json({ success: false, error: 'Invalid address' });
+    }
+
+    const types = req.query.type ? req.query.type.split(',') : undefined;
+    const unknown = (types || []).filter(type => !ACTIVITY_TYPES[type]);
+    if (unknown.length > 0) {
+      return res.status(400).json({ success: false, error: `type must be one of: ${Object.keys(ACTIVITY_TYPES).join(', ')}` });
+    }
+
+    const from = req.query.from ? parseTime(req.query.from) : null;
+    const to = req.query.to ? parseTime(req.query.to) : null;
+    if (Number.isNaN(from) || Number.isNaN(to) || (from !== null && to !== null && from >= to)) {
+      return res.status(400).json({ success: false, error: 'from and to must be timestamps with from before to' });
+    }
+
+    // The cursor is the position of the last entry of the previous page
+    const bounds = [req.query.cursor, to !== null ? positionAt(to) : null].filter(Boolean).sort();
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+
+    const entries = await storage.getUserActivity(address.toLowerCase(), {
+      types,
+      since: from !== null ? positionAt(from) : undefined,
+      before: bounds[0],
+      limit: limit + 1
+    });
+    const page = entries.slice(0, limit);
+
+    res.json({
+      success: true,
+      data: {
+        activity: page.map(entry => ({
+          ...entry,
+          transactionUrl: `/api/mirror/transaction/${entry.txHash}`
+        })),
+        nextCursor: entries.length > limit ? page[page.length - 1].position : null
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Get a user's loan health and history
+ */
+app.get('/api/health/:address', async (req, res) => {
+  try {
+    const { address } = req.params;
+    
+    if (!ethers.isAddress(address)) {
+      return res.status(400).json({ success: false, error: 'Invalid address' });
+    }
+    
+    const health = await loanHealthMonitor.getHealth(address.toLowerCase());
+    res.json({ success: true, data: health });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
@@ -62,13 +224,64 @@ app.get('/api/user/:address', async (req, res) => {
  */
 app.get('/api/stats', async (req, res) => {
   try {
-    const stats = await firebaseService.getStats();
+    const stats = await storage.getStats();
     res.json({ success: true, data: stats });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+/**
+ * Get the history of a protocol metric
+ * Query: metric, from, to (unix ms or ISO date), interval (hour, day or week)
+ */
+app.get('/api/stats/history', async (req, res) => {
+  try {
+    const { metric, interval = 'hour' } = req.query;
+
+    if (!METRICS[metric]) {
+      return res.status(400).json({ success: false, error: `metric must be one of: ${Object.keys(METRICS).join(', ')}` });
+    }
+    if (!INTERVALS[interval]) {
+      return res.status(400).json({ success: false, error: `interval must be one of: ${Object.keys(INTERVALS).join(', ')}` });
+    }
+
+    const to = req.query.to ? parseTime(req.query.to) : Date.now();
+    // Default to the last 90 buckets
+    const from = req.query.from ? parseTime(req.query.from) : to - 90 * INTERVALS[interval];
+
+    if (!Number.isFinite(from) || !Number.isFinite(to) || from >= to) {
+      return res.status(400).json({ success: false, error: 'from and to must be timestamps with from before to' });
+    }
+    if ((to - from) / INTERVALS[interval] > MAX_POINTS) {
+      return res.status(400).json({ success: false, error: `Range spans more than ${MAX_POINTS} ${interval} buckets` });
+    }
+
+    const history = await statsAggregator.getHistory(metric, { from, to, interval });
+    res.json({ success: true, data: history });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Simulate rates after hypothetical deposits, borrows and NFT holdings
+ * Body: address (optional), deposit and borrow (wei strings), nftCount, horizonDays
+ */
+app.post('/api/simulate', async (req, res) => {
+  try {
+    const { errors, request } = rateSimulator.validateRequest(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join('; ') });
+    }
+
+    const simulation = await rateSimulator.simulate(request);
+    res.json({ success: true, data: simulation });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 /**
  * Get Guardian verification status
  */
@@ -82,6 +295,22 @@ app.get('/api/guardian/verification/:verificationId', async (req, res) => {
   }
 });
 
+/**
+ * Get the mint status of a verification
+ */
+app.get('/api/guardian/verification/:verificationId/mint', async (req, res) => {
+  try {
+    const status = await guardianOracle.getMintStatus(req.params.verificationId);
+
+    if (!status) {
+      return res.status(404).json({ success: false, error: 'Verification not found' });
+    }
+    res.json({ success: true, data: status });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 /**
  * Get Guardian project details
  */
@@ -98,10 +327,15 @@ app.get('/api/guardian/project/:projectId', async (req, res) => {
 /**
  * Manual NFT mint (for testing)
  */
-app.post('/api/guardian/manual-mint', async (req, res) => {
+app.post('/api/guardian/manual-mint', (req, res, next) => {
+  if (isProduction) {
+    return res.status(403).json({ success: false, error: 'Manual minting is disabled in production' });
+  }
+  next();
+}, authService.requireRole(ADMIN), authService.audit('manual-mint', { body: ['recipientAddress', 'carbonTons', 'projectId'] }), async (req, res) => {
   try {
     const { recipientAddress, carbonTons, projectId } = req.body;
-    
+
     if (!recipientAddress || !carbonTons) {
       return res.status(400).json({ 
         success: false, 
@@ -122,52 +356,184 @@ app.post('/api/guardian/manual-mint', async (req, res) => {
 });
 
 /**
- * Subscribe to Telegram notifications
+ * List verification jobs (admin)
  */
-app.post('/api/telegram/subscribe', async (req, res) => {
+app.get('/api/admin/verifications', authService.requireRole(ADMIN, ORACLE_OPERATOR), authService.audit('list-verifications'), async (req, res) => {
   try {
-    const { chatId, walletAddress } = req.body;
-    
-    if (!chatId || !walletAddress) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Missing required fields' 
-      });
+    const jobs = await guardianOracle.queue.listJobs(req.query.status);
+    res.json({ success: true, data: jobs });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Retry a failed or dead-lettered verification job (admin)
+ */
+app.post('/api/admin/verifications/:verificationId/retry', authService.requireRole(ADMIN, ORACLE_OPERATOR), authService.audit('retry-verification'), async (req, res) => {
+  try {
+    const job = await guardianOracle.queue.retry(req.params.verificationId);
+    res.json({ success: true, data: job });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * List oracle wallet transactions (admin)
+ */
+app.get('/api/admin/transactions', authService.requireRole(ADMIN, ORACLE_OPERATOR), authService.audit('list-transactions'), async (req, res) => {
+  try {
+    const transactions = await guardianOracle.transactionManager.listTransactions(req.query.status);
+    res.json({ success: true, data: transactions });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Get an oracle wallet transaction (admin)
+ */
+app.get('/api/admin/transactions/:id', authService.requireRole(ADMIN, ORACLE_OPERATOR), authService.audit('get-transaction'), async (req, res) => {
+  try {
+    const transaction = await guardianOracle.transactionManager.getTransaction(req.params.id);
+
+    if (!transaction) {
+      return res.status(404).json({ success: false, error: 'Transaction not found' });
     }
-    
-    await firebaseService.addTelegramSubscription(chatId, walletAddress);
-    res.json({ success: true, message: 'Subscribed successfully' });
+    res.json({ success: true, data: transaction });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 /**
- * Webhook for Guardian events (if supported)
+ * List chain reconciliation reports (admin)
  */
-app.post('/api/webhook/guardian', async (req, res) => {
+app.get('/api/admin/reconciliation', authService.requireRole(ADMIN, ORACLE_OPERATOR), authService.audit('list-reconciliations'), async (req, res) => {
   try {
-    const verification = req.body;
-    
-    // Process verification
-    const result = await guardianOracle.processVerification(verification);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const reports = await reconciliationService.listReports(limit);
+    res.json({ success: true, data: reports });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Get a chain reconciliation report (admin)
+ */
+app.get('/api/admin/reconciliation/:id', authService.requireRole(ADMIN, ORACLE_OPERATOR), authService.audit('get-reconciliation'), async (req, res) => {
+  try {
+    const report = await reconciliationService.getReport(req.params.id);
+
+    if (!report) {
+      return res.status(404).json({ success: false, error: 'Report not found' });
+    }
+    res.json({ success: true, data: report });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Start a chain reconciliation, optionally repairing the cache (admin)
+ */
+app.post('/api/admin/reconciliation', authService.requireRole(ADMIN), authService.audit('reconcile', { body: ['repair', 'addresses'] }), async (req, res) => {
+  try {
+    const { repair = false, addresses } = req.body;
+
+    if (addresses !== undefined && (!Array.isArray(addresses) || !addresses.every(address => ethers.isAddress(address)))) {
+      return res.status(400).json({ success: false, error: 'addresses must be a list of addresses' });
+    }
+
+    if (reconciliationService.isRunning()) {
+      return res.status(409).json({ success: false, error: 'A reconciliation is already running' });
+    }
+
+    const report = await reconciliationService.trigger({ repair: repair === true, addresses });
+    res.status(202).json({ success: true, data: report });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Get the audit log (admin)
+ */
+app.get('/api/admin/audit-log', authService.requireRole(ADMIN), authService.audit('view-audit-log'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const entries = await storage.getAuditLog(limit);
+    res.json({ success: true, data: entries });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Get a Telegram link challenge for the wallet to sign
+ */
+app.get('/api/telegram/link/:nonce', async (req, res) => {
+  try {
+    const challenge = await authService.getChallenge(req.params.nonce, 'telegram-link');
+
+    if (!challenge) {
+      return res.status(404).json({ success: false, error: 'Link not found or expired' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        address: challenge.address,
+        message: challenge.message,
+        expiresAt: challenge.expiresAt
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Subscribe to Telegram notifications by signing a link challenge from the bot
+ */
+app.post('/api/telegram/subscribe', async (req, res) => {
+  try {
+    const { message, signature } = req.body;
     
-    if (result.success) {
-      // Send Telegram notification
-      await telegramBot.notifyNFTMinted(
-        result.recipient,
-        result.tokenId,
-        result.carbonTons,
-        result.verificationId
-      );
+    if (!message || !signature) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Missing required fields' 
+      });
+    }
+
+    let challenge;
+    try {
+      challenge = await authService.verifyChallenge(message, signature, 'telegram-link');
+    } catch (error) {
+      return res.status(401).json({ success: false, error: error.message });
     }
     
-    res.json({ success: true, data: result });
+    await subscriptionService.subscribe(challenge.chatId, challenge.address);
+    await telegramBot.notifyWalletLinked(challenge.chatId, challenge.address);
+
+    res.json({
+      success: true,
+      message: 'Subscribed successfully',
+      data: { walletAddress: challenge.address }
+    });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+/**
+ * Webhook for Guardian events (if supported)
+ */
+app.use('/api/webhook/guardian', guardianWebhook.createRouter(guardianOracle));
+
 /**
  * Get Mirror Node transaction
  */
@@ -186,15 +552,25 @@ async function startServer() {
   try {
     console.log('Starting GreenDeFi Backend...');
     
+    // Load Telegram subscriptions before any command or event can change or use them
+    const subscriptionCount = await subscriptionService.load();
+    console.log(`Loaded ${subscriptionCount} Telegram subscriptions`);
+    await telegramBot.start();
+
     // Initialize Guardian Oracle
     await guardianOracle.initialize();
     
-    // Start Mirror Node Listener
-    mirrorNodeListener.start();
+    // Start Mirror Node Listener (resumes from the persisted cursor)
+    await mirrorNodeListener.start();
     
-    // Load Telegram subscriptions from Firebase
-    const subscriptions = await firebaseService.getTelegramSubscriptions();
-    console.log(`Loaded ${subscriptions.length} Telegram subscriptions`);
+    // Start Loan Health Monitor
+    loanHealthMonitor.start(eventBus);
+
+    // Publish protocol statistics from contract state
+    await statsAggregator.start(eventBus);
+
+    // Schedule chain reconciliation
+    reconciliationService.start();
     
     // Start Express server
     app.listen(PORT, () => {
@@ -202,6 +578,8 @@ async function startServer() {
       console.log(`Guardian Oracle: Active`);
       console.log(`Telegram Bot: Active`);
       console.log(`👂 Mirror Node Listener: Active`);
+      console.log(`🩺 Loan Health Monitor: Active`);
+      console.log(`📊 Stats Aggregator: Active`);
       console.log(`Firebase: Connected`);
     });
   } catch (error) {
@@ -0,0 +1,285 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+require('dotenv').config();
+
+const ROLES = {
+  ADMIN: 'admin',
+  ORACLE_OPERATOR: 'oracle-operator',
+  USER: 'user'
+};
+
+/**
+ * Parse a comma-separated list of addresses
+ */
+function parseAddresses(value) {
+  return new Set(
+    (value || '')
+      .split(',')
+      .map(address => address.trim().toLowerCase())
+      .filter(Boolean)
+  );
+}
+
+/**
+ * Copy the listed fields of an object
+ */
+function pickFields(source, fields) {
+  return Object.fromEntries(
+    fields
+      .filter(field => source && source[field] !== undefined)
+      .map(field => [field, source[field]])
+  );
+}
+
+/**
+ * Auth Service
+ * Wallet-signature sign-in (EIP-4361 style), short-lived HS256 tokens,
+ * role-based route guards and the admin audit log
+ */
+class AuthService {
+  constructor({ storage }) {
+    this.storage = storage;
+    this.tokenSecret = process.env.AUTH_TOKEN_SECRET;
+    this.tokenTtl = parseInt(process.env.AUTH_TOKEN_TTL) || 900; // 15 minutes
+    this.challengeTtl = 300; // 5 minutes to sign the message
+
+    // Sign-in message fields
+    this.domain = process.env.AUTH_DOMAIN || 'localhost:3000';
+    this.uri = process.env.AUTH_URI || `http://${this.domain}`;
+    this.chainId = parseInt(process.env.HEDERA_CHAIN_ID) || 296;
+
+    this.admins = parseAddresses(process.env.ADMIN_ADDRESSES);
+    this.oracleOperators = parseAddresses(process.env.ORACLE_OPERATOR_ADDRESSES);
+  }
+
+  /**
+   * Role of an address
+   */
+  getRole(address) {
+    const wallet = address.toLowerCase();
+
+    if (this.admins.has(wallet)) return ROLES.ADMIN;
+    if (this.oracleOperators.has(wallet)) return ROLES.ORACLE_OPERATOR;
+    return ROLES.USER;
+  }
+
+  /**
+   * Create a sign-in message for an address.
+   * The purpose keeps challenges of one flow from being used in another.
+   */
+  async createChallenge(address, {
+    statement = 'Sign in to GreenDeFi',
+    purpose = 'login',
+    ttl = this.challengeTtl,
+    data = {}
+  } = {}) {
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const issuedAt = new Date();
+    const expiresAt = new Date(issuedAt.getTime() + ttl * 1000);
+
+    const message = [
+      `${this.domain} wants you to sign in with your Ethereum account:`,
+      ethers.getAddress(address),
+      '',
+      statement,
+      '',
+      `URI: ${this.uri}`,
+      'Version: 1',
+      `Chain ID: ${this.chainId}`,
+      `Nonce: ${nonce}`,
+      `Issued At: ${issuedAt.toISOString()}`,
+      `Expiration Time: ${expiresAt.toISOString()}`
+    ].join('\n');
+
+    await this.storage.saveChallenge(nonce, {
+      ...data,
+      address: address.toLowerCase(),
+      purpose,
+      message,
+      expiresAt: expiresAt.getTime()
+    });
+
+    return { message, nonce, expiresAt: expiresAt.getTime() };
+  }
+
+  /**
+   * Get an unexpired challenge without consuming it
+   */
+  async getChallenge(nonce, purpose = 'login') {
+    const challenge = await this.storage.getChallenge(nonce);
+
+    if (!challenge || challenge.purpose !== purpose || challenge.expiresAt < Date.now()) {
+      return null;
+    }
+    return challenge;
+  }
+
+  /**
+   * Check a signed challenge and consume its nonce
+   * @returns {Object} the challenge that was signed
+   */
+  async verifyChallenge(message, signature, purpose = 'login') {
+    const match = /^Nonce: (\w+)$/m.exec(message || '');
+    if (!match) {
+      throw new Error('Message has no nonce');
+    }
+
+    const challenge = await this.storage.getChallenge(match[1]);
+    if (!challenge || challenge.message !== message || challenge.purpose !== purpose) {
+      throw new Error('Unknown or already used challenge');
+    }
+    if (challenge.expiresAt < Date.now()) {
+      throw new Error('Challenge has expired');
+    }
+
+    let signer;
+    try {
+      signer = ethers.verifyMessage(message, signature);
+    } catch (error) {
+      throw new Error('Malformed signature');
+    }
+    if (signer.toLowerCase() !== challenge.address) {
+      throw new Error('Signature does not match the address');
+    }
+
+    // Only a valid signature uses up the challenge, so anyone who sees the
+    // nonce cannot burn it with a bad one
+    if (!(await this.storage.consumeChallenge(match[1]))) {
+      throw new Error('Unknown or already used challenge');
+    }
+
+    return challenge;
+  }
+
+  /**
+   * Exchange a signed sign-in message for a token
+   */
+  async login(message, signature) {
+    const { address } = await this.verifyChallenge(message, signature);
+    const role = this.getRole(address);
+
+    return { ...this.issueToken(address, role), address, role };
+  }
+
+  /**
+   * Sign a token payload
+   */
+  signToken(encoded) {
+    return crypto.createHmac('sha256', this.tokenSecret).update(encoded).digest('base64url');
+  }
+
+  /**
+   * Issue a token for an address and role
+   */
+  issueToken(address, role) {
+    if (!this.tokenSecret) {
+      throw new Error('AUTH_TOKEN_SECRET is not configured');
+    }
+
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const expiresAt = issuedAt + this.tokenTtl;
+
+    const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+    const payload = Buffer.from(JSON.stringify({
+      sub: address,
+      role,
+      iat: issuedAt,
+      exp: expiresAt
+    })).toString('base64url');
+
+    return {
+      token: `${header}.${payload}.${this.signToken(`${header}.${payload}`)}`,
+      expiresAt: expiresAt * 1000
+    };
+  }
+
+  /**
+   * Verify a token
+   * @returns {Object|null} { address, role } or null if the token is invalid or expired
+   */
+  verifyToken(token) {
+    if (!this.tokenSecret || !token) {
+      return null;
+    }
+
+    const [header, payload, signature] = token.split('.');
+    if (!header || !payload || !signature) {
+      return null;
+    }
+
+    const expected = Buffer.from(this.signToken(`${header}.${payload}`));
+    const received = Buffer.from(signature);
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+      return null;
+    }
+
+    try {
+      const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+      if (claims.exp * 1000 <= Date.now()) {
+        return null;
+      }
+      return { address: claims.sub, role: claims.role };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Route guard: require a valid bearer token, and one of the given roles if any
+   */
+  requireRole(...roles) {
+    return (req, res, next) => {
+      const [scheme, token] = (req.headers.authorization || '').split(' ');
+      const auth = scheme === 'Bearer' ? this.verifyToken(token) : null;
+
+      if (!auth) {
+        return res.status(401).json({ success: false, error: 'Authentication required' });
+      }
+      if (roles.length > 0 && !roles.includes(auth.role)) {
+        return res.status(403).json({ success: false, error: 'Insufficient role' });
+      }
+
+      req.auth = auth;
+      next();
+    };
+  }
+
+  /**
+   * Route middleware: write the request and its outcome to the audit log
+   * before the JSON response is sent. If the entry cannot be written, the
+   * response is replaced with a 500.
+   * @param {string} action - Audit log action
+   * @param {Object} [options] - body: request body fields to record; others are left out
+   */
+  audit(action, { body = [] } = {}) {
+    return (req, res, next) => {
+      const json = res.json.bind(res);
+
+      res.json = (payload) => {
+        this.storage.addAuditLog({
+          action,
+          actor: req.auth ? req.auth.address : null,
+          role: req.auth ? req.auth.role : null,
+          method: req.method,
+          path: req.originalUrl,
+          params: req.params,
+          body: pickFields(req.body, body),
+          status: res.statusCode,
+          ip: req.ip || null,
+          timestamp: Date.now()
+        }).then(() => json(payload), (error) => {
+          console.error(`Error writing audit log for ${action}:`, error.message);
+          res.status(500);
+          json({ success: false, error: 'Could not write the audit log' });
+        });
+
+        return res;
+      };
+      next();
+    };
+  }
+}
+
+AuthService.ROLES = ROLES;
+
+module.exports = AuthService;
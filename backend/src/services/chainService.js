@@ -0,0 +1,231 @@
+const { ethers } = require('ethers');
+const { getContractConfig } = require('../config/contracts');
+require('dotenv').config();
+
+/**
+ * Chain Service
+ * Read-only access to the protocol contracts over Hedera JSON-RPC
+ */
+class ChainService {
+  constructor() {
+    this.provider = new ethers.JsonRpcProvider(process.env.HEDERA_TESTNET_RPC);
+
+    const contractConfig = getContractConfig();
+    this.contracts = {};
+
+    for (const [name, { address, abi }] of Object.entries(contractConfig)) {
+      if (address) {
+        this.contracts[name] = new ethers.Contract(address, abi, this.provider);
+      }
+    }
+  }
+
+  /**
+   * Get a configured contract
+   */
+  getContract(name) {
+    const contract = this.contracts[name];
+
+    if (!contract) {
+      throw new Error(`Contract ${name} is not configured`);
+    }
+    return contract;
+  }
+
+  /**
+   * Get top contributors from LeaderboardTracker
+   */
+  async getTopContributors(count) {
+    const [addresses, scores] = await this.getContract('leaderboardTracker').getTopContributors(count);
+
+    return addresses.map((address, index) => ({
+      address: address.toLowerCase(),
+      totalCarbonOffset: Number(scores[index]),
+      rank: index + 1
+    }));
+  }
+
+  /**
+   * Get LendingPool totals and rates, LeaderboardTracker statistics,
+   * NFT count and ClimateFundVault stake (amounts in wei, rates in % per year)
+   */
+  async getPoolStats() {
+    const lendingPool = this.getContract('lendingPool');
+    const poolStats = await lendingPool.poolStats();
+    const utilization = await lendingPool.getUtilizationRate();
+
+    const stats = {
+      totalDeposits: poolStats.totalDeposits,
+      totalBorrows: poolStats.totalBorrows,
+      utilization: Number(utilization),
+      reserveBalance: await lendingPool.reserveBalance()
+    };
+
+    if (this.contracts.interestRateModel) {
+      const interestRateModel = this.contracts.interestRateModel;
+      const reserveFactor = await lendingPool.RESERVE_FACTOR();
+
+      stats.borrowAPR = Number(await interestRateModel.getBorrowRate(
+        poolStats.totalDeposits,
+        poolStats.totalBorrows
+      ));
+      stats.supplyAPR = Number(await interestRateModel.getSupplyRate(
+        poolStats.totalDeposits,
+        poolStats.totalBorrows,
+        reserveFactor
+      ));
+    }
+
+    if (this.contracts.leaderboardTracker) {
+      const leaderboardStats = await this.contracts.leaderboardTracker.getLeaderboardStats();
+      stats.activeUsers = Number(leaderboardStats.totalUsers);
+      stats.totalCarbonOffset = Number(leaderboardStats.totalCarbonOffset);
+    }
+
+    if (this.contracts.greenRewardManager) {
+      // Token IDs start at 1
+      const nextTokenId = await this.contracts.greenRewardManager.nextTokenId();
+      stats.totalNFTs = Number(nextTokenId) - 1;
+    }
+
+    if (this.contracts.climateFundVault) {
+      stats.totalStaked = await this.contracts.climateFundVault.totalStaked();
+    }
+
+    return stats;
+  }
+
+  /**
+   * Get a user's LendingPool position and borrowing headroom
+   */
+  async getUserPosition(address) {
+    const lendingPool = this.getContract('lendingPool');
+    const account = await lendingPool.userAccounts(address);
+    const debt = await lendingPool.getUserDebt(address);
+    const maxBorrowRatio = await lendingPool.MAX_BORROW_RATIO();
+
+    const maxBorrow = (account.deposited * maxBorrowRatio) / 100n;
+
+    return {
+      deposited: account.deposited,
+      borrowed: account.borrowed,
+      accruedInterest: account.accruedInterest,
+      debt,
+      maxBorrowRatio: Number(maxBorrowRatio),
+      maxBorrow,
+      headroom: maxBorrow > debt ? maxBorrow - debt : 0n
+    };
+  }
+
+  /**
+   * Get a user's stored LendingPool account (interest since the last update not included)
+   */
+  async getUserAccount(address) {
+    const account = await this.getContract('lendingPool').userAccounts(address);
+
+    return {
+      deposited: account.deposited,
+      borrowed: account.borrowed,
+      accruedInterest: account.accruedInterest
+    };
+  }
+
+  /**
+   * Get a user's GreenRewardManager profile
+   */
+  async getGreenProfile(address) {
+    const profile = await this.getContract('greenRewardManager').getUserProfile(address);
+
+    return {
+      totalNFTs: Number(profile.totalNFTs),
+      totalCarbonOffset: Number(profile.totalCarbonOffset),
+      activeNFTs: Number(profile.activeNFTs)
+    };
+  }
+
+  /**
+   * Get a user's Carbon Credit NFTs with their details
+   */
+  async getUserNFTs(address) {
+    const greenRewardManager = this.getContract('greenRewardManager');
+    const tokenIds = await greenRewardManager.getUserNFTs(address);
+
+    const nfts = [];
+    for (const tokenId of tokenIds) {
+      const details = await greenRewardManager.getNFTDetails(tokenId);
+      nfts.push({
+        tokenId: Number(tokenId),
+        owner: details.owner.toLowerCase(),
+        carbonTons: Number(details.carbonTons),
+        verificationId: details.verificationId,
+        mintedAt: Number(details.timestamp),
+        isRetired: details.retired,
+        issuer: details.issuer
+      });
+    }
+
+    return nfts;
+  }
+
+  /**
+   * Get the pool's current base borrow rate (% per year)
+   */
+  async getBaseRate() {
+    const poolStats = await this.getContract('lendingPool').poolStats();
+    return this.getContract('interestRateModel').getBorrowRate(
+      poolStats.totalDeposits,
+      poolStats.totalBorrows
+    );
+  }
+
+  /**
+   * Get the pool's base borrow rate and a user's green-adjusted rate (% per year)
+   */
+  async getUserRates(address) {
+    const baseRate = await this.getBaseRate();
+    const greenRewardManager = this.getContract('greenRewardManager');
+    const personalRate = await greenRewardManager.getAdjustedInterestRate(address, baseRate);
+    const profile = await greenRewardManager.getUserProfile(address);
+
+    return {
+      baseRate: Number(baseRate),
+      personalRate: Number(personalRate),
+      activeNFTs: Number(profile.activeNFTs)
+    };
+  }
+
+  /**
+   * Get the parameters of the rate math: InterestRateModel's curve,
+   * LendingPool's reserve factor and GreenRewardManager's NFT discount
+   */
+  async getRateModel() {
+    const interestRateModel = this.getContract('interestRateModel');
+    const greenRewardManager = this.getContract('greenRewardManager');
+
+    return {
+      baseRatePerYear: await interestRateModel.baseRatePerYear(),
+      multiplierPerYear: await interestRateModel.multiplierPerYear(),
+      jumpMultiplierPerYear: await interestRateModel.jumpMultiplierPerYear(),
+      kink: await interestRateModel.kink(),
+      reserveFactor: await this.getContract('lendingPool').RESERVE_FACTOR(),
+      baseRateReduction: await greenRewardManager.BASE_RATE_REDUCTION(),
+      maxRateReduction: await greenRewardManager.MAX_RATE_REDUCTION()
+    };
+  }
+
+  /**
+   * Get a user's LeaderboardTracker score
+   */
+  async getUserScore(address) {
+    const score = await this.getContract('leaderboardTracker').getUserScore(address);
+
+    return {
+      totalCarbonOffset: Number(score.totalOffset),
+      nftCount: Number(score.nftCount),
+      rank: Number(score.rank),
+      badge: score.badgeName
+    };
+  }
+}
+
+module.exports = ChainService;
@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+require('dotenv').config();
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+// Multicodec prefix of an Ed25519 public key in did:key / publicKeyMultibase
+const ED25519_MULTICODEC = Buffer.from([0xed, 0x01]);
+
+/**
+ * Decode a base58btc string
+ */
+function decodeBase58(text) {
+  let value = 0n;
+  for (const char of text) {
+    const digit = BASE58_ALPHABET.indexOf(char);
+    if (digit === -1) {
+      throw new Error('Invalid base58 character');
+    }
+    value = value * 58n + BigInt(digit);
+  }
+
+  const hex = value === 0n ? '' : value.toString(16);
+  const body = Buffer.from(hex.length % 2 ? `0${hex}` : hex, 'hex');
+  // Each leading '1' encodes a zero byte
+  const leadingZeros = text.length - text.replace(/^1+/, '').length;
+
+  return Buffer.concat([Buffer.alloc(leadingZeros), body]);
+}
+
+/**
+ * Decode a multibase (base58btc, "z" prefix) value
+ */
+function decodeMultibase(value) {
+  if (typeof value !== 'string' || !value.startsWith('z')) {
+    throw new Error('Only base58btc multibase values are supported');
+  }
+  return decodeBase58(value.slice(1));
+}
+
+/**
+ * JSON Canonicalization Scheme (RFC 8785)
+ */
+function canonicalize(value) {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+
+  const entries = Object.keys(value)
+    .filter(key => value[key] !== undefined)
+    .sort()
+    .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+
+  return `{${entries.join(',')}}`;
+}
+
+/**
+ * Parse a credential date, or return null when it is absent.
+ * An unparseable date would compare false both ways, so it is rejected.
+ */
+function parseDate(value, field) {
+  if (!value) return null;
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Credential ${field} is not a valid date`);
+  }
+  return date;
+}
+
+/**
+ * Credential Verifier
+ * Verifies W3C Verifiable Credentials secured with the eddsa-jcs-2022
+ * Data Integrity cryptosuite against a list of trusted issuers
+ */
+class CredentialVerifier {
+  /**
+   * @param {Array<{did: string, name?: string, publicKeyMultibase?: string}>} trustedIssuers
+   */
+  constructor(trustedIssuers = CredentialVerifier.loadTrustedIssuers()) {
+    this.trustedIssuers = new Map(trustedIssuers.map(issuer => [issuer.did, issuer]));
+  }
+
+  /**
+   * Read trusted issuers from TRUSTED_ISSUERS
+   * (a JSON array of issuer entries, or a comma-separated list of did:key DIDs)
+   */
+  static loadTrustedIssuers() {
+    const value = (process.env.TRUSTED_ISSUERS || '').trim();
+
+    if (!value) {
+      return [];
+    }
+    if (value.startsWith('[')) {
+      return JSON.parse(value);
+    }
+    return value.split(',').map(did => ({ did: did.trim() }));
+  }
+
+  /**
+   * Ed25519 public key of a trusted issuer
+   */
+  getIssuerKey(issuer) {
+    // did:key embeds the key; other DID methods must configure it
+    const multibase = issuer.publicKeyMultibase ||
+      (issuer.did.startsWith('did:key:') ? issuer.did.slice('did:key:'.length) : null);
+
+    if (!multibase) {
+      throw new Error(`No public key configured for issuer ${issuer.did}`);
+    }
+
+    const decoded = decodeMultibase(multibase);
+    if (decoded.length !== 34 || !decoded.subarray(0, 2).equals(ED25519_MULTICODEC)) {
+      throw new Error(`Issuer ${issuer.did} does not use an Ed25519 key`);
+    }
+
+    return crypto.createPublicKey({
+      key: { kty: 'OKP', crv: 'Ed25519', x: decoded.subarray(2).toString('base64url') },
+      format: 'jwk'
+    });
+  }
+
+  /**
+   * Verify a credential's issuer, validity period and proof
+   * @returns {{ issuer: object }} the trusted issuer entry
+   */
+  verifyCredential(credential, now = new Date()) {
+    if (!credential || typeof credential !== 'object') {
+      throw new Error('Credential is missing');
+    }
+
+    const issuerId = typeof credential.issuer === 'object' ? credential.issuer.id : credential.issuer;
+    const issuer = this.trustedIssuers.get(issuerId);
+    if (!issuer) {
+      throw new Error(`Credential issuer ${issuerId} is not trusted`);
+    }
+
+    const validUntil = parseDate(credential.validUntil || credential.expirationDate, 'validUntil');
+    if (validUntil && validUntil < now) {
+      throw new Error('Credential has expired');
+    }
+    const validFrom = parseDate(credential.validFrom || credential.issuanceDate, 'validFrom');
+    if (validFrom && validFrom > now) {
+      throw new Error('Credential is not valid yet');
+    }
+
+    const { proof, ...unsecured } = credential;
+    if (!proof || proof.type !== 'DataIntegrityProof' || proof.cryptosuite !== 'eddsa-jcs-2022') {
+      throw new Error('Credential proof must be an eddsa-jcs-2022 DataIntegrityProof');
+    }
+    if (proof.proofPurpose !== 'assertionMethod') {
+      throw new Error('Credential proof purpose must be assertionMethod');
+    }
+    if (!proof.verificationMethod || proof.verificationMethod.split('#')[0] !== issuerId) {
+      throw new Error('Credential proof was not made by its issuer');
+    }
+
+    // hashData = SHA-256(proof options) || SHA-256(document)
+    const { proofValue, ...proofOptions } = proof;
+    const hashData = Buffer.concat([
+      crypto.createHash('sha256').update(canonicalize(proofOptions)).digest(),
+      crypto.createHash('sha256').update(canonicalize(unsecured)).digest()
+    ]);
+
+    const signature = decodeMultibase(proofValue);
+    if (!crypto.verify(null, hashData, this.getIssuerKey(issuer), signature)) {
+      throw new Error('Credential proof signature is invalid');
+    }
+
+    return { issuer };
+  }
+
+  /**
+   * Get the reason a verification's credentials do not back it, or null
+   */
+  getVerificationError(verification) {
+    const credentials = [].concat(verification.verifiableCredentials || [])
+      .filter(credential => credential && Object.keys(credential).length > 0);
+
+    if (credentials.length === 0) {
+      return 'Missing verifiable credential';
+    }
+
+    let matched = false;
+
+    for (const credential of credentials) {
+      let issuer;
+      try {
+        ({ issuer } = this.verifyCredential(credential));
+      } catch (error) {
+        return error.message;
+      }
+
+      const subject = credential.credentialSubject || {};
+      if (subject.carbonTonsOffset === undefined) {
+        continue;
+      }
+
+      // Binds the credential to one mint, so it cannot be replayed for another
+      const verificationId = subject.verificationId !== undefined ? subject.verificationId : credential.id;
+      if (verificationId !== verification.verificationId) {
+        return 'verificationId does not match the credential';
+      }
+      if (Number(subject.carbonTonsOffset) !== Number(verification.carbonTonsOffset)) {
+        return 'carbonTonsOffset does not match the credential subject';
+      }
+      if (subject.projectId !== verification.projectId) {
+        return 'projectId does not match the credential subject';
+      }
+      const expectedIssuer = subject.issuer !== undefined ? subject.issuer : issuer.name;
+      if (expectedIssuer !== verification.issuer) {
+        return 'issuer does not match the credential subject';
+      }
+      if (typeof subject.recipientAddress !== 'string' ||
+          subject.recipientAddress.toLowerCase() !== verification.recipientAddress.toLowerCase()) {
+        return 'recipientAddress does not match the credential subject';
+      }
+
+      matched = true;
+    }
+
+    return matched ? null : 'No credential subject states a carbon offset';
+  }
+}
+
+CredentialVerifier.canonicalize = canonicalize;
+
+module.exports = CredentialVerifier;
@@ -0,0 +1,37 @@
+const EventEmitter = require('events');
+
+/**
+ * Event Bus
+ * Fans decoded on-chain events out to in-process subscribers
+ * (notifications, monitors) once they have been indexed
+ */
+class EventBus extends EventEmitter {
+  /**
+   * Subscribe to an event type, or '*' for every event
+   */
+  subscribe(type, handler) {
+    this.on(type, handler);
+    return () => this.off(type, handler);
+  }
+
+  /**
+   * Publish an event and wait for all subscribers.
+   * A failing subscriber is logged and does not affect the others.
+   */
+  async publish(event) {
+    const handlers = [...this.listeners(event.type), ...this.listeners('*')];
+
+    // Called inside a promise so a handler that throws synchronously is isolated too
+    const results = await Promise.allSettled(
+      handlers.map(handler => Promise.resolve().then(() => handler(event)))
+    );
+
+    results.forEach(result => {
+      if (result.status === 'rejected') {
+        console.error(`Error handling ${event.type} event:`, result.reason && result.reason.message);
+      }
+    });
+  }
+}
+
+module.exports = EventBus;
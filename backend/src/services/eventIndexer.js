@@ -0,0 +1,198 @@
+const { BADGE_NAMES } = require('../config/contracts');
+const { buildActivity } = require('../utils/activity');
+
+/**
+ * Event Indexer
+ * Projects decoded contract events into the user, NFT,
+ * leaderboard, stats and activity documents served by the API.
+ * Protocol totals the contracts expose are published by the stats
+ * aggregator; the indexer only counts what no contract reports.
+ */
+class EventIndexer {
+  constructor(storage) {
+    this.storage = storage;
+
+    this.handlers = {
+      // LendingPool
+      Deposited: this.onDeposited,
+      Borrowed: this.onBorrowed,
+      Repaid: this.onRepaid,
+      Withdrawn: this.onWithdrawn,
+      InterestAccrued: this.onInterestAccrued,
+      // GreenRewardManager
+      NFTMinted: this.onNFTMinted,
+      NFTRetired: this.onNFTRetired,
+      GreenTokenRewarded: this.onGreenTokenRewarded,
+      // LeaderboardTracker
+      ScoreUpdated: this.onScoreUpdated,
+      BadgeAwarded: this.onBadgeAwarded,
+      RankChanged: this.onRankChanged,
+      // ClimateFundVault
+      Staked: this.onStaked,
+      RewardsClaimed: this.onRewardsClaimed,
+      ProjectCreated: this.onProjectCreated,
+      ProjectFunded: this.onProjectFunded,
+      ProjectCompleted: this.onProjectCompleted
+    };
+  }
+
+  /**
+   * Apply a decoded event to the cache
+   * @param {Object} event - Decoded event
+   * @param {WriteBatch} [writes] - Batch to add the event's writes to; without
+   *   one they are committed together right away
+   * @returns {boolean} whether the event type is indexed
+   */
+  async handleEvent(event, writes = null) {
+    const handler = this.handlers[event.type];
+
+    if (!handler) {
+      return false;
+    }
+
+    if (!writes) {
+      await this.storage.writeBatch(batch => this.handleEvent(event, batch));
+      return true;
+    }
+
+    handler.call(this, event, writes);
+
+    const activity = buildActivity(event);
+    if (activity) {
+      writes.addActivity(activity);
+    }
+
+    return true;
+  }
+
+  /**
+   * Convert a Mirror Node consensus timestamp ("seconds.nanos") to unix seconds
+   */
+  toUnixSeconds(timestamp) {
+    return Math.floor(parseFloat(timestamp));
+  }
+
+  /**
+   * LendingPool events
+   */
+  onDeposited(event, writes) {
+    writes.incrementUserFields(event.user, { deposited: event.amount });
+  }
+
+  onBorrowed(event, writes) {
+    writes.incrementUserFields(event.user, { borrowed: event.amount });
+  }
+
+  onRepaid(event, writes) {
+    // Interest is paid off first, the remainder reduces principal
+    const principal = event.amount - event.interest;
+
+    writes.incrementUserFields(event.user, {
+      borrowed: -principal,
+      interestPaid: event.interest
+    });
+    writes.incrementStats({ totalInterestPaid: event.interest });
+  }
+
+  onWithdrawn(event, writes) {
+    if (event.contract === 'climateFundVault') {
+      writes.incrementUserFields(event.user, { staked: -event.amount });
+      return;
+    }
+
+    writes.incrementUserFields(event.user, { deposited: -event.amount });
+  }
+
+  onInterestAccrued(event, writes) {
+    writes.incrementUserFields(event.user, { accruedInterest: event.interest });
+  }
+
+  /**
+   * GreenRewardManager events
+   */
+  onNFTMinted(event, writes) {
+    const carbonTons = Number(event.carbonTons);
+
+    writes.addUserNFT(event.owner, {
+      tokenId: Number(event.tokenId),
+      carbonTons,
+      verificationId: event.verificationId,
+      timestamp: this.toUnixSeconds(event.timestamp)
+    });
+    writes.incrementUserFields(event.owner, {
+      totalCarbonOffset: carbonTons,
+      nftCount: 1,
+      activeNFTCount: 1
+    });
+  }
+
+  onNFTRetired(event, writes) {
+    writes.retireNFT(event.owner, Number(event.tokenId));
+    writes.incrementUserFields(event.owner, { activeNFTCount: -1 });
+    writes.incrementStats({ retiredNFTs: 1 });
+  }
+
+  onGreenTokenRewarded(event, writes) {
+    writes.incrementUserFields(event.user, { greenRewards: event.amount });
+  }
+
+  /**
+   * LeaderboardTracker events
+   */
+  onScoreUpdated(event, writes) {
+    writes.updateLeaderboard(event.user, {
+      totalCarbonOffset: Number(event.newScore),
+      rank: Number(event.rank)
+    });
+    // The tracker counts one NFT per score update
+    writes.incrementLeaderboardFields(event.user, { nftCount: 1 });
+  }
+
+  onBadgeAwarded(event, writes) {
+    const badge = BADGE_NAMES[Number(event.badge)] || 'None';
+
+    writes.updateLeaderboard(event.user, { badge });
+    writes.updateUserProfile(event.user, { badge });
+  }
+
+  onRankChanged(event, writes) {
+    const rank = Number(event.newRank);
+
+    writes.updateLeaderboard(event.user, { rank });
+    writes.updateUserProfile(event.user, { rank });
+  }
+
+  /**
+   * ClimateFundVault events
+   */
+  onStaked(event, writes) {
+    writes.incrementUserFields(event.user, { staked: event.amount });
+  }
+
+  onRewardsClaimed(event, writes) {
+    writes.incrementUserFields(event.user, { vaultRewardsClaimed: event.amount });
+  }
+
+  onProjectCreated(event, writes) {
+    writes.updateProject(Number(event.projectId), {
+      name: event.name,
+      fundingGoal: event.fundingGoal.toString(),
+      isActive: true,
+      createdAt: this.toUnixSeconds(event.timestamp)
+    });
+  }
+
+  onProjectFunded(event, writes) {
+    writes.updateProject(Number(event.projectId), {
+      lastFundedAt: this.toUnixSeconds(event.timestamp)
+    });
+    writes.incrementStats({ totalProjectFunding: event.amount });
+  }
+
+  onProjectCompleted(event, writes) {
+    writes.updateProject(Number(event.projectId), { isActive: false });
+    writes.incrementStats({ projectsFunded: 1 });
+  }
+}
+
+module.exports = EventIndexer;
@@ -0,0 +1,51 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * File Cursor Store
+ * Persists Mirror Node cursors to a local JSON file
+ * (alternative to Firestore for single-instance deployments)
+ */
+class FileCursorStore {
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+  }
+
+  /**
+   * Read all cursors from disk
+   */
+  async readAll() {
+    try {
+      const content = await fs.promises.readFile(this.filePath, 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get a stored cursor
+   */
+  async getCursor(name) {
+    const cursors = await this.readAll();
+    return cursors[name] || null;
+  }
+
+  /**
+   * Store a cursor (written to a temp file first so a crash never truncates it)
+   */
+  async saveCursor(name, cursor) {
+    const cursors = await this.readAll();
+    cursors[name] = { ...cursor, updatedAt: new Date().toISOString() };
+
+    const tmpPath = `${this.filePath}.tmp`;
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.writeFile(tmpPath, JSON.stringify(cursors, null, 2));
+    await fs.promises.rename(tmpPath, this.filePath);
+  }
+}
+
+module.exports = FileCursorStore;
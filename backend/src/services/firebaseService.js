@@ -1,4 +1,6 @@
 const admin = require('firebase-admin');
+const { bucketStart, addSnapshot } = require('../utils/statsHistory');
+const { WriteBatch, stageWrites, compact } = require('../storage/writeBatch');
 require('dotenv').config();
 
 /**
@@ -23,26 +25,98 @@ class FirebaseService {
     this.leaderboardRef = this.db.collection('leaderboard');
     this.usersRef = this.db.collection('users');
     this.statsRef = this.db.collection('stats');
+    this.statsHistoryRef = this.db.collection('stats_history');
+    this.activityRef = this.db.collection('activity');
+    this.projectsRef = this.db.collection('projects');
+    this.cursorsRef = this.db.collection('cursors');
+    this.verificationJobsRef = this.db.collection('verification_jobs');
+    this.webhookNoncesRef = this.db.collection('webhook_nonces');
+    this.challengesRef = this.db.collection('auth_challenges');
+    this.auditLogRef = this.db.collection('audit_log');
+    this.transactionsRef = this.db.collection('oracle_transactions');
+    this.reconciliationsRef = this.db.collection('reconciliation_reports');
+  }
+
+  /**
+   * Batch whose documents get server timestamps
+   */
+  createBatch() {
+    return new WriteBatch({ now: () => admin.firestore.FieldValue.serverTimestamp() });
+  }
+
+  /**
+   * Apply WriteBatch writes in one transaction, together with an optional
+   * claim document
+   * @returns {boolean} false (and nothing written) if the claim already exists
+   */
+  async commitWrites(writes, { claim } = {}) {
+    // Document paths, so subcollection writes (users/<address>/nfts/<id>) work too
+    const paths = [...new Set(writes.map(({ collection, id }) => `${collection}/${id}`))];
+    if (paths.length === 0 && !claim) return true;
+
+    return this.db.runTransaction(async (transaction) => {
+      const claimRef = claim ? this.db.collection(claim.collection).doc(claim.id) : null;
+      const snapshots = await transaction.getAll(
+        ...(claimRef ? [claimRef] : []),
+        ...paths.map(docPath => this.db.doc(docPath))
+      );
+
+      if (claimRef && snapshots.shift().exists) {
+        return false;
+      }
+
+      const current = new Map(snapshots.map((doc, i) => [paths[i], doc.exists ? doc.data() : null]));
+      const staged = stageWrites(writes, (collection, id) => current.get(`${collection}/${id}`));
+
+      for (const { collection, id, data } of staged) {
+        transaction.set(this.db.doc(`${collection}/${id}`), compact(data));
+      }
+      if (claimRef) {
+        transaction.create(claimRef, claim.data);
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Collect writes with fn(batch) and commit them together
+   */
+  async writeBatch(fn) {
+    const batch = this.createBatch();
+    await fn(batch);
+    await this.commitWrites(batch.writes);
+  }
+
+  /**
+   * Apply an event's writes exactly once. The writes are committed together
+   * with the event's processed_events document, so a failure leaves neither.
+   * @returns {boolean} false if the event was already processed
+   */
+  async processEvent(eventKey, data, fn) {
+    const batch = this.createBatch();
+    await fn(batch);
+
+    return this.commitWrites(batch.writes, {
+      claim: {
+        collection: 'processed_events',
+        id: eventKey,
+        data: { ...data, processedAt: admin.firestore.FieldValue.serverTimestamp() }
+      }
+    });
   }
 
   /**
    * Update leaderboard entry
    */
   async updateLeaderboard(address, data) {
-    try {
-      await this.leaderboardRef.doc(address).set({
-        address,
-        totalCarbonOffset: data.totalCarbonOffset,
-        nftCount: data.nftCount,
-        rank: data.rank,
-        badge: data.badge,
-        lastUpdate: admin.firestore.FieldValue.serverTimestamp()
-      }, { merge: true });
+    await this.writeBatch(batch => batch.updateLeaderboard(address, data));
+  }
 
-      console.log(`Leaderboard updated for ${address}`);
-    } catch (error) {
-      console.error('Error updating leaderboard:', error.message);
-    }
+  /**
+   * Increment leaderboard counters
+   */
+  async incrementLeaderboardFields(address, deltas) {
+    await this.writeBatch(batch => batch.incrementLeaderboardFields(address, deltas));
   }
 
   /**
@@ -67,6 +141,18 @@ class FirebaseService {
     }
   }
 
+  /**
+   * Get a user's leaderboard entry
+   */
+  async getLeaderboardEntry(address) {
+    const doc = await this.leaderboardRef.doc(address).get();
+
+    if (doc.exists) {
+      return { id: doc.id, ...doc.data() };
+    }
+    return null;
+  }
+
   /**
    * Get user profile
    */
@@ -88,58 +174,178 @@ class FirebaseService {
    * Update user profile
    */
   async updateUserProfile(address, data) {
+    await this.writeBatch(batch => batch.updateUserProfile(address, data));
+  }
+
+  /**
+   * Increment user profile counters
+   */
+  async incrementUserFields(address, deltas) {
+    await this.writeBatch(batch => batch.incrementUserFields(address, deltas));
+  }
+
+  /**
+   * Get NFTs in a user's collection
+   */
+  async getUserNFTs(address) {
+    try {
+      const snapshot = await this.usersRef.doc(address).collection('nfts')
+        .orderBy('tokenId', 'asc')
+        .get();
+
+      const nfts = [];
+      snapshot.forEach(doc => {
+        nfts.push(doc.data());
+      });
+
+      return nfts;
+    } catch (error) {
+      console.error('Error fetching user NFTs:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Get every address with a user profile or leaderboard entry
+   */
+  async getKnownAddresses() {
+    const [users, entries] = await Promise.all([
+      this.usersRef.listDocuments(),
+      this.leaderboardRef.listDocuments()
+    ]);
+
+    return [...new Set([...users, ...entries].map(ref => ref.id))];
+  }
+
+  /**
+   * Get addresses with outstanding borrows
+   */
+  async getBorrowers() {
+    try {
+      const snapshot = await this.usersRef.where('borrowed', '!=', '0').get();
+
+      const borrowers = [];
+      snapshot.forEach(doc => {
+        borrowers.push(doc.id);
+      });
+
+      return borrowers;
+    } catch (error) {
+      console.error('Error fetching borrowers:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Record a loan health snapshot and keep the latest on the user profile
+   */
+  async addHealthSnapshot(address, snapshot) {
     try {
+      await this.usersRef.doc(address).collection('health_history').add(snapshot);
       await this.usersRef.doc(address).set({
         address,
-        ...data,
+        health: snapshot,
         lastUpdate: admin.firestore.FieldValue.serverTimestamp()
       }, { merge: true });
-
-      console.log(`User profile updated for ${address}`);
     } catch (error) {
-      console.error('Error updating user profile:', error.message);
+      console.error('Error storing health snapshot:', error.message);
     }
   }
 
   /**
-   * Add NFT to user's collection
+   * Delete loan health snapshots taken before a unix time
    */
-  async addUserNFT(address, nftData) {
+  async pruneHealthHistory(address, before) {
+    const history = this.usersRef.doc(address).collection('health_history');
+
+    // A write batch holds at most 500 deletes
+    for (;;) {
+      const snapshot = await history.where('timestamp', '<', before).limit(500).get();
+      if (snapshot.empty) {
+        return;
+      }
+
+      const batch = this.db.batch();
+      snapshot.forEach(doc => batch.delete(doc.ref));
+      await batch.commit();
+    }
+  }
+
+  /**
+   * Get recent loan health snapshots, newest first
+   */
+  async getHealthHistory(address, limit = 100) {
     try {
-      const nftsRef = this.usersRef.doc(address).collection('nfts');
-      
-      await nftsRef.doc(nftData.tokenId.toString()).set({
-        tokenId: nftData.tokenId,
-        carbonTons: nftData.carbonTons,
-        verificationId: nftData.verificationId,
-        issuer: nftData.issuer,
-        projectId: nftData.projectId,
-        mintedAt: nftData.timestamp,
-        isRetired: false
+      const snapshot = await this.usersRef.doc(address).collection('health_history')
+        .orderBy('timestamp', 'desc')
+        .limit(limit)
+        .get();
+
+      const history = [];
+      snapshot.forEach(doc => {
+        history.push(doc.data());
       });
 
-      console.log(`NFT ${nftData.tokenId} added for ${address}`);
+      return history;
     } catch (error) {
-      console.error('Error adding NFT:', error.message);
+      console.error('Error fetching health history:', error.message);
+      return [];
     }
   }
 
+  /**
+   * Add NFT to user's collection
+   */
+  async addUserNFT(address, nftData) {
+    await this.writeBatch(batch => batch.addUserNFT(address, nftData));
+  }
+
   /**
    * Mark NFT as retired
    */
   async retireNFT(address, tokenId) {
-    try {
-      const nftsRef = this.usersRef.doc(address).collection('nfts');
-      
-      await nftsRef.doc(tokenId.toString()).update({
-        isRetired: true,
-        retiredAt: admin.firestore.FieldValue.serverTimestamp()
-      });
+    await this.writeBatch(batch => batch.retireNFT(address, tokenId));
+  }
 
-      console.log(`NFT ${tokenId} retired for ${address}`);
-    } catch (error) {
-      console.error('Error retiring NFT:', error.message);
+  /**
+   * Remove an NFT from a user's collection
+   */
+  async removeUserNFT(address, tokenId) {
+    await this.usersRef.doc(address).collection('nfts').doc(tokenId.toString()).delete();
+  }
+
+  /**
+   * Store a user activity entry (keyed by its event, so replays overwrite it)
+   */
+  async addActivity(entry) {
+    await this.writeBatch(batch => batch.addActivity(entry));
+  }
+
+  /**
+   * Get a user's activity entries, newest first
+   * @param {Object} options - types to include, position range [since, before) and limit
+   */
+  async getUserActivity(address, { types, since, before, limit = 50 } = {}) {
+    let query = this.activityRef.where('address', '==', address);
+
+    if (types) {
+      query = query.where('type', 'in', types);
+    }
+    if (since) {
+      query = query.where('position', '>=', since);
     }
+    if (before) {
+      query = query.where('position', '<', before);
+    }
+
+    const snapshot = await query.orderBy('position', 'desc').limit(limit).get();
+
+    const entries = [];
+    snapshot.forEach(doc => {
+      entries.push(doc.data());
+    });
+
+    return entries;
   }
 
   /**
@@ -158,6 +364,50 @@ class FirebaseService {
     }
   }
 
+  /**
+   * Increment protocol statistics counters
+   */
+  async incrementStats(deltas) {
+    await this.writeBatch(batch => batch.incrementStats(deltas));
+  }
+
+  /**
+   * Fold a stats snapshot into its hourly history bucket
+   */
+  async recordStatsSnapshot(timestamp, stats) {
+    const ref = this.statsHistoryRef.doc(bucketStart(timestamp, 'hour').toString());
+
+    await this.db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      transaction.set(ref, addSnapshot(doc.exists ? doc.data() : null, timestamp, stats));
+    });
+  }
+
+  /**
+   * Get hourly stats buckets starting in [from, to), oldest first
+   */
+  async getStatsHistory(from, to) {
+    const snapshot = await this.statsHistoryRef
+      .where('hour', '>=', from)
+      .where('hour', '<', to)
+      .orderBy('hour', 'asc')
+      .get();
+
+    const buckets = [];
+    snapshot.forEach(doc => {
+      buckets.push(doc.data());
+    });
+
+    return buckets;
+  }
+
+  /**
+   * Update climate project
+   */
+  async updateProject(projectId, data) {
+    await this.writeBatch(batch => batch.updateProject(projectId, data));
+  }
+
   /**
    * Get protocol statistics
    */
@@ -176,23 +426,271 @@ class FirebaseService {
   }
 
   /**
-   * Store Telegram subscription
+   * Get a stored event cursor
    */
-  async addTelegramSubscription(chatId, walletAddress) {
+  async getCursor(name) {
+    const doc = await this.cursorsRef.doc(name).get();
+
+    if (doc.exists) {
+      return doc.data();
+    }
+    return null;
+  }
+
+  /**
+   * Store an event cursor
+   */
+  async saveCursor(name, cursor) {
+    await this.cursorsRef.doc(name).set({
+      ...cursor,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  }
+
+  /**
+   * Record a webhook nonce
+   * @returns {boolean} false if the nonce has been seen before
+   */
+  async claimWebhookNonce(nonce, data = {}) {
     try {
-      await this.db.collection('telegram_subscriptions').doc(chatId.toString()).set({
-        chatId,
-        walletAddress,
-        subscribedAt: admin.firestore.FieldValue.serverTimestamp(),
-        active: true
+      await this.webhookNoncesRef.doc(nonce).create({
+        ...data,
+        receivedAt: admin.firestore.FieldValue.serverTimestamp()
       });
+      return true;
+    } catch (error) {
+      // gRPC ALREADY_EXISTS
+      if (error.code === 6) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete webhook nonces of deliveries timestamped before a unix time
+   * @returns {number} number of nonces deleted
+   */
+  async pruneWebhookNonces(before) {
+    let deleted = 0;
+
+    // A write batch holds at most 500 deletes
+    for (;;) {
+      const snapshot = await this.webhookNoncesRef.where('timestamp', '<', before).limit(500).get();
+      if (snapshot.empty) {
+        return deleted;
+      }
+
+      const batch = this.db.batch();
+      snapshot.forEach(doc => batch.delete(doc.ref));
+      await batch.commit();
+      deleted += snapshot.size;
+    }
+  }
+
+  /**
+   * Store a verification job
+   */
+  async saveVerificationJob(job) {
+    await this.verificationJobsRef.doc(job.verificationId).set(job, { merge: true });
+  }
+
+  /**
+   * Get a verification job
+   */
+  async getVerificationJob(verificationId) {
+    const doc = await this.verificationJobsRef.doc(verificationId).get();
+
+    if (doc.exists) {
+      return doc.data();
+    }
+    return null;
+  }
+
+  /**
+   * Get verification jobs, optionally filtered by status and acknowledgement
+   */
+  async getVerificationJobs({ status, acknowledged, limit = 100 } = {}) {
+    let query = this.verificationJobsRef;
+
+    if (status) {
+      query = query.where('status', '==', status);
+    }
+    if (acknowledged !== undefined) {
+      query = query.where('acknowledged', '==', acknowledged);
+    }
+
+    const snapshot = await query.orderBy('createdAt', 'asc').limit(limit).get();
+
+    const jobs = [];
+    snapshot.forEach(doc => {
+      jobs.push(doc.data());
+    });
+
+    return jobs;
+  }
+
+  /**
+   * Store a tracked oracle transaction
+   */
+  async saveTransaction(record) {
+    await this.transactionsRef.doc(record.id).set(record, { merge: true });
+  }
 
-      console.log(`Telegram subscription added for ${walletAddress}`);
+  /**
+   * Get a tracked oracle transaction
+   */
+  async getTransaction(id) {
+    const doc = await this.transactionsRef.doc(id).get();
+
+    if (doc.exists) {
+      return doc.data();
+    }
+    return null;
+  }
+
+  /**
+   * List tracked oracle transactions, newest first
+   */
+  async getTransactions({ status, limit = 100 } = {}) {
+    let query = this.transactionsRef;
+
+    if (status) {
+      query = query.where('status', '==', status);
+    }
+
+    const snapshot = await query.orderBy('submittedAt', 'desc').limit(limit).get();
+
+    const transactions = [];
+    snapshot.forEach(doc => {
+      transactions.push(doc.data());
+    });
+
+    return transactions;
+  }
+
+  /**
+   * Store a chain reconciliation report
+   */
+  async saveReconciliationReport(report) {
+    await this.reconciliationsRef.doc(report.id).set(report);
+  }
+
+  /**
+   * Get a chain reconciliation report
+   */
+  async getReconciliationReport(id) {
+    const doc = await this.reconciliationsRef.doc(id).get();
+
+    if (doc.exists) {
+      return doc.data();
+    }
+    return null;
+  }
+
+  /**
+   * List chain reconciliation reports, newest first
+   */
+  async getReconciliationReports(limit = 20) {
+    const snapshot = await this.reconciliationsRef
+      .orderBy('startedAt', 'desc')
+      .limit(limit)
+      .get();
+
+    const reports = [];
+    snapshot.forEach(doc => {
+      reports.push(doc.data());
+    });
+
+    return reports;
+  }
+
+  /**
+   * Store a one-time sign-in challenge
+   */
+  async saveChallenge(nonce, challenge) {
+    await this.challengesRef.doc(nonce).set(challenge);
+  }
+
+  /**
+   * Get a challenge without consuming it
+   */
+  async getChallenge(nonce) {
+    const doc = await this.challengesRef.doc(nonce).get();
+
+    if (doc.exists) {
+      return doc.data();
+    }
+    return null;
+  }
+
+  /**
+   * Fetch and delete a challenge, so it can only be used once
+   * @returns {Object|null} the challenge, or null if unknown or already used
+   */
+  async consumeChallenge(nonce) {
+    const ref = this.challengesRef.doc(nonce);
+
+    return this.db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      if (!doc.exists) {
+        return null;
+      }
+
+      transaction.delete(ref);
+      return doc.data();
+    });
+  }
+
+  /**
+   * Append an entry to the admin audit log
+   */
+  async addAuditLog(entry) {
+    try {
+      await this.auditLogRef.add({
+        ...entry,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
     } catch (error) {
-      console.error('Error adding subscription:', error.message);
+      console.error('Error writing audit log:', error);
+      throw error;
     }
   }
 
+  /**
+   * Get the most recent audit log entries
+   */
+  async getAuditLog(limit = 100) {
+    const snapshot = await this.auditLogRef
+      .orderBy('timestamp', 'desc')
+      .limit(limit)
+      .get();
+
+    const entries = [];
+    snapshot.forEach(doc => {
+      entries.push({ id: doc.id, ...doc.data() });
+    });
+
+    return entries;
+  }
+
+  /**
+   * Store a chat's Telegram subscription (verified wallets and notification preferences)
+   */
+  async saveTelegramSubscription(chatId, subscription) {
+    await this.db.collection('telegram_subscriptions').doc(chatId.toString()).set({
+      chatId,
+      wallets: subscription.wallets,
+      // Wallets are only stored once ownership has been proven
+      walletsVerified: true,
+      preferences: subscription.preferences,
+      active: true,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+
+    console.log(`Telegram subscription saved for chat ${chatId}`);
+  }
+
   /**
    * Remove Telegram subscription
    */
@@ -216,7 +714,10 @@ class FirebaseService {
 
       const subscriptions = [];
       snapshot.forEach(doc => {
-        subscriptions.push(doc.data());
+        const data = doc.data();
+        // Older documents hold a single walletAddress
+        const wallets = data.wallets || (data.walletAddress ? [data.walletAddress] : []);
+        subscriptions.push({ ...data, wallets });
       });
 
       return subscriptions;
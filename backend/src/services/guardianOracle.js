@@ -1,5 +1,9 @@
 const axios = require('axios');
 const { ethers } = require('ethers');
+const VerificationQueue = require('./verificationQueue');
+const CredentialVerifier = require('./credentialVerifier');
+const TransactionManager = require('./transactionManager');
+const { GREEN_REWARD_MANAGER_ABI } = require('../config/contracts');
 require('dotenv').config();
 
 /**
@@ -8,7 +12,7 @@ require('dotenv').config();
  * and triggers smart contract NFT minting
  */
 class GuardianOracle {
-  constructor() {
+  constructor({ storage } = {}) {
     this.guardianApiUrl = process.env.GUARDIAN_API_URL;
     this.guardianApiKey = process.env.GUARDIAN_API_KEY;
     this.provider = new ethers.JsonRpcProvider(process.env.HEDERA_TESTNET_RPC);
@@ -19,6 +23,19 @@ class GuardianOracle {
     this.greenRewardManager = null; // Will be initialized with ABI
     
     this.pollingInterval = 60000; // Poll every 60 seconds
+
+    // Verifiable credentials must be signed by a trusted issuer
+    this.credentialVerifier = new CredentialVerifier();
+    // Manual mints carry no credential and are only accepted when enabled,
+    // never in production
+    this.allowManualMint = process.env.ALLOW_MANUAL_MINT === 'true' &&
+      process.env.NODE_ENV !== 'production';
+
+    // All oracle wallet transactions share one nonce sequence
+    this.transactionManager = new TransactionManager({ wallet: this.wallet, storage });
+
+    // Verifications are minted through a persistent job queue
+    this.queue = new VerificationQueue({ storage, oracle: this });
   }
 
   /**
@@ -28,14 +45,15 @@ class GuardianOracle {
     console.log('Guardian Oracle starting...');
     
     // Load GreenRewardManager contract
-    const GreenRewardManagerABI = require('../../artifacts/contracts/GreenRewardManager.sol/GreenRewardManager.json');
     this.greenRewardManager = new ethers.Contract(
       this.greenRewardManagerAddress,
-      GreenRewardManagerABI.abi,
+      GREEN_REWARD_MANAGER_ABI,
       this.wallet
     );
     
     console.log('Guardian Oracle initialized');
+    await this.transactionManager.start();
+    this.queue.start();
     this.startPolling();
   }
 
@@ -75,7 +93,7 @@ class GuardianOracle {
         console.log(`Found ${verifications.length} new verifications`);
         
         for (const verification of verifications) {
-          await this.processVerification(verification);
+          await this.queue.enqueue(verification);
         }
       }
     } catch (error) {
@@ -84,54 +102,16 @@ class GuardianOracle {
   }
 
   /**
-   * Process a single verification and mint NFT
+   * Queue a verification and run its first attempt right away
    */
-  async processVerification(verification) {
+  async processVerification(verification, source = 'guardian') {
     try {
-      const {
-        verificationId,
-        recipientAddress,
-        carbonTonsOffset,
-        issuer,
-        projectId,
-        verifiableCredentials
-      } = verification;
-
-      console.log(`🔍 Processing verification ${verificationId}`);
-
-      // Validate verification data
-      if (!this.validateVerification(verification)) {
-        console.error('Invalid verification data');
-        return;
-      }
-
-      // Call smart contract to mint Carbon Credit NFT
-      const tx = await this.greenRewardManager.mintCarbonNFT(
-        recipientAddress,
-        ethers.parseUnits(carbonTonsOffset.toString(), 0),
-        verificationId,
-        issuer,
-        projectId
-      );
-
-      console.log(`Transaction submitted: ${tx.hash}`);
-      
-      const receipt = await tx.wait();
-      
-      console.log(`NFT minted! Gas used: ${receipt.gasUsed.toString()}`);
+      console.log(`🔍 Processing verification ${verification.verificationId}`);
 
-      // Mark verification as processed in Guardian
-      await this.markVerificationProcessed(verificationId);
-
-      // Return data for Telegram notification
-      return {
-        success: true,
-        txHash: receipt.hash,
-        recipient: recipientAddress,
-        carbonTons: carbonTonsOffset,
-        verificationId
-      };
+      const queued = await this.queue.enqueue(verification, source);
+      const job = await this.queue.processJob(queued);
 
+      return this.toResult(job);
     } catch (error) {
       console.error(`Error processing verification:`, error.message);
       return { success: false, error: error.message };
@@ -139,29 +119,146 @@ class GuardianOracle {
   }
 
   /**
-   * Validate Guardian verification data
+   * Queue a verification and start its first attempt in the background
    */
-  validateVerification(verification) {
-    if (!verification.recipientAddress || !ethers.isAddress(verification.recipientAddress)) {
-      console.error('Invalid recipient address');
+  async acceptVerification(verification) {
+    const job = await this.queue.enqueue(verification);
+
+    this.queue.processJob(job).catch(error => {
+      console.error(`Error processing verification ${job.verificationId}:`, error.message);
+    });
+
+    return this.toResult(job);
+  }
+
+  /**
+   * Mint status of a verification, or null if it was never queued
+   */
+  async getMintStatus(verificationId) {
+    const job = await this.queue.getJob(verificationId);
+    return job ? this.toResult(job) : null;
+  }
+
+  /**
+   * Summarise a verification job for API responses
+   */
+  toResult(job) {
+    const { verification } = job;
+
+    return {
+      success: job.status === VerificationQueue.JOB_STATUS.CONFIRMED,
+      status: job.status,
+      txHash: job.txHash,
+      recipient: verification.recipientAddress,
+      carbonTons: verification.carbonTonsOffset,
+      verificationId: job.verificationId,
+      error: job.lastError || undefined
+    };
+  }
+
+  /**
+   * Send the mintCarbonNFT transaction for a verification
+   */
+  async submitMint(verification) {
+    const {
+      verificationId,
+      recipientAddress,
+      carbonTonsOffset,
+      issuer,
+      projectId
+    } = verification;
+
+    const request = await this.greenRewardManager.mintCarbonNFT.populateTransaction(
+      recipientAddress,
+      ethers.parseUnits(carbonTonsOffset.toString(), 0),
+      verificationId,
+      issuer,
+      projectId
+    );
+
+    return this.transactionManager.send(request, {
+      label: 'mintCarbonNFT',
+      reference: verificationId
+    });
+  }
+
+  /**
+   * Receipt of a job's mint transaction, or null while it is pending
+   */
+  async getMintReceipt(job) {
+    // Jobs submitted before transactions were tracked only have a hash
+    if (!job.txId) {
+      return this.provider.getTransactionReceipt(job.txHash);
+    }
+    return this.transactionManager.getReceipt(job.txId);
+  }
+
+  /**
+   * Whether a job's mint transaction is still being tracked as pending
+   */
+  async isMintPending(job) {
+    if (!job.txId) {
       return false;
     }
 
+    const record = await this.transactionManager.getTransaction(job.txId);
+    return record !== null && record.status === TransactionManager.TX_STATUS.PENDING;
+  }
+
+  /**
+   * Check whether a verification ID has already been used on-chain
+   */
+  async isVerificationMinted(verificationId) {
+    return this.greenRewardManager.usedVerificationIds(verificationId);
+  }
+
+  /**
+   * Detect the contract's revert for a reused verification ID
+   */
+  isAlreadyMintedError(error) {
+    const reason = [error.reason, error.shortMessage, error.message].join(' ');
+    return reason.includes('Verification ID already used');
+  }
+
+  /**
+   * Get the reason a verification is invalid, or null if it is valid
+   */
+  getValidationError(verification, source = 'guardian') {
+    if (!verification.recipientAddress || !ethers.isAddress(verification.recipientAddress)) {
+      return 'Invalid recipient address';
+    }
+
     if (!verification.carbonTonsOffset || verification.carbonTonsOffset < 1) {
-      console.error('Invalid carbon tons offset');
-      return false;
+      return 'Invalid carbon tons offset';
     }
 
     if (!verification.verificationId || verification.verificationId.length === 0) {
-      console.error('Missing verification ID');
-      return false;
+      return 'Missing verification ID';
     }
 
+    if (source === 'manual') {
+      return this.allowManualMint ? null : 'Manual minting is disabled';
+    }
+
+    return this.credentialVerifier.getVerificationError(verification);
+  }
+
+  /**
+   * Validate Guardian verification data
+   */
+  validateVerification(verification, source) {
+    const error = this.getValidationError(verification, source);
+
+    if (error) {
+      console.error(error);
+      return false;
+    }
     return true;
   }
 
   /**
    * Mark verification as processed in Guardian
+   * @returns {boolean} whether Guardian accepted the update
    */
   async markVerificationProcessed(verificationId) {
     try {
@@ -180,8 +277,10 @@ class GuardianOracle {
       );
       
       console.log(`Verification ${verificationId} marked as processed`);
+      return true;
     } catch (error) {
       console.error('Error marking verification:', error.message);
+      return false;
     }
   }
 
@@ -189,16 +288,20 @@ class GuardianOracle {
    * Manually trigger verification processing (for testing)
    */
   async manualMint(recipientAddress, carbonTons, projectId) {
+    if (!this.allowManualMint) {
+      throw new Error('Manual minting is disabled');
+    }
+
     const mockVerification = {
       verificationId: `MANUAL-${Date.now()}`,
       recipientAddress,
       carbonTonsOffset: carbonTons,
       issuer: 'Manual Test Issuer',
       projectId: projectId || 'TEST-PROJECT-001',
-      verifiableCredentials: {}
+      verifiableCredentials: []
     };
 
-    return await this.processVerification(mockVerification);
+    return await this.processVerification(mockVerification, 'manual');
   }
 
   /**
@@ -246,7 +349,8 @@ class GuardianOracle {
 
 // Initialize and start oracle if run directly
 if (require.main === module) {
-  const oracle = new GuardianOracle();
+  const { createStorage } = require('../storage');
+  const oracle = new GuardianOracle({ storage: createStorage() });
   oracle.initialize();
 }
 
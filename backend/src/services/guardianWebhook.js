@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const express = require('express');
+const { ethers } = require('ethers');
+require('dotenv').config();
+
+// Verification IDs and nonces are used as document IDs
+const ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+/**
+ * Guardian Webhook
+ * Authenticates Guardian webhook deliveries (HMAC-SHA256 over the raw body,
+ * with timestamp and nonce replay protection) and validates their payload
+ */
+class GuardianWebhook {
+  constructor({ nonceStore }) {
+    this.nonceStore = nonceStore;
+    this.secret = process.env.GUARDIAN_WEBHOOK_SECRET;
+    // Maximum age (and clock skew) of a delivery, in seconds
+    this.tolerance = parseInt(process.env.GUARDIAN_WEBHOOK_TOLERANCE) || 300;
+    this.lastPrunedAt = 0;
+  }
+
+  /**
+   * Signature of a delivery: hex HMAC-SHA256 of "<timestamp>.<nonce>.<raw body>"
+   */
+  sign(timestamp, nonce, rawBody) {
+    return crypto
+      .createHmac('sha256', this.secret)
+      .update(`${timestamp}.${nonce}.`)
+      .update(rawBody)
+      .digest('hex');
+  }
+
+  /**
+   * Authenticate a delivery
+   * @returns {string|null} the reason it was rejected, or null
+   */
+  async authenticate(headers, rawBody) {
+    if (!this.secret) {
+      return 'Webhook secret is not configured';
+    }
+
+    const signature = (headers['x-guardian-signature'] || '').replace(/^sha256=/, '');
+    const timestamp = headers['x-guardian-timestamp'];
+    const nonce = headers['x-guardian-nonce'];
+
+    if (!signature || !timestamp || !nonce || !rawBody) {
+      return 'Missing signature headers';
+    }
+    if (!/^\d+$/.test(timestamp) || !NONCE_PATTERN.test(nonce)) {
+      return 'Malformed signature headers';
+    }
+
+    const expected = Buffer.from(this.sign(timestamp, nonce, rawBody), 'hex');
+    const received = Buffer.from(signature, 'hex');
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+      return 'Invalid signature';
+    }
+
+    const age = Math.floor(Date.now() / 1000) - parseInt(timestamp);
+    if (Math.abs(age) > this.tolerance) {
+      return 'Request timestamp outside the allowed window';
+    }
+
+    // Nonces only need to be unique within the timestamp window
+    const fresh = await this.nonceStore.claimWebhookNonce(nonce, {
+      timestamp: parseInt(timestamp)
+    });
+    if (!fresh) {
+      return 'Nonce has already been used';
+    }
+
+    try {
+      await this.pruneNonces();
+    } catch (error) {
+      console.error('Error pruning webhook nonces:', error.message);
+    }
+
+    return null;
+  }
+
+  /**
+   * Delete the nonces of deliveries too old to pass the timestamp check,
+   * at most once per window
+   * @returns {number} number of nonces deleted
+   */
+  async pruneNonces(now = Date.now()) {
+    if (now - this.lastPrunedAt < this.tolerance * 1000) {
+      return 0;
+    }
+
+    this.lastPrunedAt = now;
+    return this.nonceStore.pruneWebhookNonces(Math.floor(now / 1000) - this.tolerance);
+  }
+
+  /**
+   * Express router accepting deliveries with POST /. The JSON body parser
+   * must keep the raw body in req.rawBody for the signature check.
+   * @param {GuardianOracle} guardianOracle - Queues accepted verifications
+   */
+  createRouter(guardianOracle) {
+    const router = express.Router();
+
+    router.post('/', async (req, res) => {
+      try {
+        const authError = await this.authenticate(req.headers, req.rawBody);
+        if (authError) {
+          return res.status(401).json({ success: false, error: authError });
+        }
+
+        const { errors, verification } = this.validatePayload(req.body);
+        if (errors.length > 0) {
+          return res.status(400).json({ success: false, error: errors.join('; ') });
+        }
+
+        // Mint asynchronously (subscribers are notified when the
+        // NFTMinted event is picked up by the Mirror Node listener)
+        const result = await guardianOracle.acceptVerification(verification);
+
+        res.status(202).json({ success: true, data: result });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    return router;
+  }
+
+  /**
+   * Validate a verification payload
+   * @returns {{ errors: string[], verification: object }} the payload reduced to known fields
+   */
+  validatePayload(body) {
+    const errors = [];
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return { errors: ['Body must be a JSON object'], verification: null };
+    }
+
+    const {
+      verificationId,
+      recipientAddress,
+      carbonTonsOffset,
+      issuer,
+      projectId,
+      verifiableCredentials
+    } = body;
+
+    if (typeof verificationId !== 'string' || !ID_PATTERN.test(verificationId)) {
+      errors.push('verificationId must be 1-128 letters, digits or ._:-');
+    }
+    if (typeof recipientAddress !== 'string' || !ethers.isAddress(recipientAddress)) {
+      errors.push('recipientAddress must be an address');
+    }
+    if (!Number.isSafeInteger(carbonTonsOffset) || carbonTonsOffset < 1) {
+      errors.push('carbonTonsOffset must be a positive integer');
+    }
+    if (typeof issuer !== 'string' || issuer.length === 0) {
+      errors.push('issuer must be a non-empty string');
+    }
+    if (typeof projectId !== 'string' || projectId.length === 0) {
+      errors.push('projectId must be a non-empty string');
+    }
+    if (!verifiableCredentials || typeof verifiableCredentials !== 'object') {
+      errors.push('verifiableCredentials must be an object or array');
+    }
+
+    return {
+      errors,
+      verification: {
+        verificationId,
+        recipientAddress,
+        carbonTonsOffset,
+        issuer,
+        projectId,
+        verifiableCredentials
+      }
+    };
+  }
+}
+
+module.exports = GuardianWebhook;
@@ -0,0 +1,180 @@
+require('dotenv').config();
+
+/**
+ * Loan Health Monitor
+ * Tracks each borrower's loan-to-value against LendingPool's MAX_BORROW_RATIO
+ * and sends tiered liquidation-risk alerts before the ceiling is reached
+ */
+class LoanHealthMonitor {
+  constructor({ chainService, storage, telegramBot, now = Date.now }) {
+    this.chainService = chainService;
+    this.storage = storage;
+    this.telegramBot = telegramBot;
+    this.now = now;
+
+    // Loan-to-value percentages that trigger an alert
+    this.alertTiers = (process.env.HEALTH_ALERT_TIERS || '70,75,79')
+      .split(',')
+      .map(tier => parseFloat(tier))
+      .sort((a, b) => a - b);
+    // Loan-to-value the suggested repayment brings a borrower back to
+    this.safeLtv = parseFloat(process.env.HEALTH_SAFE_LTV || '60');
+    // Loan-to-value change (percentage points) worth a new history point;
+    // smaller moves, such as accruing interest, only count once they add up
+    this.ltvThreshold = parseFloat(process.env.HEALTH_LTV_THRESHOLD || '1');
+    // Days of health history kept per borrower
+    this.historyDays = parseFloat(process.env.HEALTH_HISTORY_DAYS || '30');
+
+    this.pollingInterval = 300000; // 5 minutes
+    this.isChecking = false;
+  }
+
+  /**
+   * Start periodic health checks
+   */
+  start(eventBus) {
+    console.log('🩺 Loan Health Monitor started');
+
+    setInterval(async () => {
+      try {
+        await this.checkAllBorrowers();
+      } catch (error) {
+        console.error('Health check error:', error.message);
+      }
+    }, this.pollingInterval);
+
+    // Re-check a borrower as soon as their position changes
+    if (eventBus) {
+      for (const type of ['Borrowed', 'Repaid', 'Deposited', 'Withdrawn']) {
+        eventBus.subscribe(type, (event) => {
+          if (event.contract === 'lendingPool') {
+            return this.checkBorrower(event.user);
+          }
+        });
+      }
+    }
+  }
+
+  /**
+   * Check every known borrower
+   */
+  async checkAllBorrowers() {
+    if (this.isChecking) return;
+
+    this.isChecking = true;
+    try {
+      const borrowers = await this.storage.getBorrowers();
+
+      for (const address of borrowers) {
+        try {
+          await this.checkBorrower(address);
+        } catch (error) {
+          console.error(`Error checking health of ${address}:`, error.message);
+        }
+      }
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  /**
+   * Compute health metrics from a LendingPool position (amounts in wei)
+   */
+  computeHealth(position) {
+    const { deposited, debt, maxBorrow, maxBorrowRatio } = position;
+
+    let ltv = 0;
+    if (debt > 0n) {
+      // Debt without collateral is treated as fully utilised
+      ltv = deposited > 0n ? Number((debt * 10000n) / deposited) / 100 : 100;
+    }
+
+    // Repayment that brings the loan back to the safe loan-to-value
+    const safeDebt = (deposited * BigInt(Math.round(this.safeLtv * 100))) / 10000n;
+    const suggestedRepayment = debt > safeDebt ? debt - safeDebt : 0n;
+
+    return {
+      deposited: deposited.toString(),
+      debt: debt.toString(),
+      maxBorrow: maxBorrow.toString(),
+      ltv,
+      maxLtv: maxBorrowRatio,
+      // maxBorrow / debt; below 1 the position is over the borrow limit
+      healthFactor: debt > 0n ? Number((maxBorrow * 10000n) / debt) / 10000 : null,
+      suggestedRepayment: suggestedRepayment.toString(),
+      alertTier: this.getAlertTier(ltv),
+      timestamp: Math.floor(this.now() / 1000)
+    };
+  }
+
+  /**
+   * Whether two health snapshots describe the same loan state: the same
+   * alert tier, both with or both without debt, and loan-to-values less
+   * than ltvThreshold apart
+   */
+  sameHealth(a, b) {
+    return a.alertTier === b.alertTier &&
+      (a.debt === '0') === (b.debt === '0') &&
+      Math.abs(a.ltv - b.ltv) < this.ltvThreshold;
+  }
+
+  /**
+   * Highest alert tier reached by a loan-to-value, or null
+   */
+  getAlertTier(ltv) {
+    let reached = null;
+    for (const tier of this.alertTiers) {
+      if (ltv >= tier) reached = tier;
+    }
+    return reached;
+  }
+
+  /**
+   * Check a borrower, store a snapshot when their health changed and alert
+   * on entering a higher tier. Addresses that have never had debt are skipped.
+   */
+  async checkBorrower(address) {
+    const position = await this.chainService.getUserPosition(address);
+    const health = this.computeHealth(position);
+
+    const profile = await this.storage.getUserProfile(address);
+    const previous = profile && profile.health ? profile.health : null;
+
+    if (previous ? this.sameHealth(previous, health) : health.debt === '0') {
+      return health;
+    }
+
+    await this.storage.addHealthSnapshot(address, health);
+    await this.storage.pruneHealthHistory(address, health.timestamp - this.historyDays * 86400);
+
+    const previousTier = previous ? previous.alertTier : null;
+
+    // Alert once per tier; falling back below a tier re-arms it
+    if (health.alertTier !== null && (previousTier === null || health.alertTier > previousTier)) {
+      await this.telegramBot.notifyLiquidationRisk(
+        address,
+        health.ltv,
+        health.maxLtv,
+        BigInt(health.suggestedRepayment)
+      );
+    }
+
+    return health;
+  }
+
+  /**
+   * Current health and recent history of a user
+   */
+  async getHealth(address) {
+    const position = await this.chainService.getUserPosition(address);
+    const history = await this.storage.getHealthHistory(address);
+
+    return {
+      address,
+      current: this.computeHealth(position),
+      history
+    };
+  }
+}
+
+module.exports = LoanHealthMonitor;
@@ -1,5 +1,6 @@
 const axios = require('axios');
 const { ethers } = require('ethers');
+const { getContractConfig } = require('../config/contracts');
 require('dotenv').config();
 
 /**
@@ -7,23 +8,57 @@ require('dotenv').config();
  * Monitors Hedera Mirror Node for contract events
  */
 class MirrorNodeListener {
-  constructor() {
+  constructor({ indexer, cursorStore, eventStore, eventBus } = {}) {
     this.mirrorNodeUrl = process.env.MIRROR_NODE_URL;
+    this.indexer = indexer || null;
+    // Receives each event after it has been indexed
+    this.eventBus = eventBus || null;
+    // Commits each event's indexed writes together with its (txHash, logIndex)
+    // key, so every event is applied exactly once
+    this.eventStore = eventStore || null;
+
+    const contractConfig = getContractConfig();
     this.contractAddresses = {
-      lendingPool: process.env.LENDING_POOL_ADDRESS,
-      greenRewardManager: process.env.GREEN_REWARD_MANAGER_ADDRESS,
-      leaderboardTracker: process.env.LEADERBOARD_TRACKER_ADDRESS
+      lendingPool: contractConfig.lendingPool.address,
+      greenRewardManager: contractConfig.greenRewardManager.address,
+      leaderboardTracker: contractConfig.leaderboardTracker.address,
+      climateFundVault: contractConfig.climateFundVault.address
     };
-    
-    this.lastProcessedTimestamp = Date.now() / 1000;
+
+    // Protocol contracts, each polled and decoded with its own ABI
+    this.contracts = Object.entries(this.contractAddresses)
+      .filter(([name, address]) => {
+        if (!address) {
+          console.warn(`No address configured for ${name}, its events will not be indexed`);
+        }
+        return !!address;
+      })
+      .map(([name, address]) => ({
+        name,
+        address: address.toLowerCase(),
+        contractId: null, // Hedera entity ID, resolved on start
+        interface: new ethers.Interface(contractConfig[name].abi),
+        lastProcessedTimestamp: null
+      }));
+
+    this.cursorStore = cursorStore || null;
+    this.pageSize = 100;
+    this.isPolling = false;
     this.pollingInterval = 10000; // 10 seconds
   }
 
   /**
    * Start listening for events
    */
-  start() {
-    console.log('👂 Mirror Node Listener started');
+  async start() {
+    try {
+      await this.resolveContractIds();
+    } catch (error) {
+      // Polls of the unresolved contracts retry the lookup before fetching any log
+      console.error(`${error.message}; retrying on each poll`);
+    }
+    await this.loadCursors();
+    console.log(`👂 Mirror Node Listener started for ${this.contracts.length} contracts`);
     
     setInterval(async () => {
       try {
@@ -35,111 +70,253 @@ class MirrorNodeListener {
   }
 
   /**
-   * Poll for new events
+   * Look up the Hedera entity ID of a contract, so logs reported
+   * with a long-zero address can still be matched to their emitter
    */
-  async pollEvents() {
-    try {
-      // Get recent contract results from Mirror Node
-      const response = await axios.get(
-        `${this.mirrorNodeUrl}/api/v1/contracts/results`,
-        {
-          params: {
-            timestamp: `gt:${this.lastProcessedTimestamp}`,
-            limit: 100
-          }
-        }
-      );
+  async resolveContractId(contract) {
+    const response = await axios.get(
+      `${this.mirrorNodeUrl}/api/v1/contracts/${contract.address}`
+    );
+    if (!response.data.contract_id) {
+      throw new Error(`Mirror Node has no contract ID for ${contract.address}`);
+    }
+    contract.contractId = response.data.contract_id;
+  }
 
-      const results = response.data.results || [];
+  /**
+   * Resolve the entity IDs of every contract not resolved yet
+   * @throws if any lookup fails; the others are still resolved
+   */
+  async resolveContractIds() {
+    const failures = [];
 
-      for (const result of results) {
-        await this.processContractResult(result);
+    for (const contract of this.contracts.filter(contract => !contract.contractId)) {
+      try {
+        await this.resolveContractId(contract);
+      } catch (error) {
+        failures.push(`${contract.name}: ${error.message}`);
       }
+    }
 
-      if (results.length > 0) {
-        this.lastProcessedTimestamp = results[results.length - 1].timestamp;
-      }
+    if (failures.length > 0) {
+      throw new Error(`Could not resolve contract IDs (${failures.join('; ')})`);
+    }
+  }
 
-    } catch (error) {
-      console.error('Error polling events:', error.message);
+  /**
+   * Cursor name for a contract
+   */
+  getCursorName(contract) {
+    return `mirrorNode:${contract.name}`;
+  }
+
+  /**
+   * Load the persisted cursors, starting from "now" where there is none
+   */
+  async loadCursors() {
+    const now = this.toConsensusTimestamp(Date.now() / 1000);
+
+    for (const contract of this.contracts) {
+      const cursor = this.cursorStore
+        ? await this.cursorStore.getCursor(this.getCursorName(contract))
+        : null;
+
+      contract.lastProcessedTimestamp = cursor && cursor.timestamp ? cursor.timestamp : now;
     }
   }
 
   /**
-   * Process individual contract result
+   * Persist a contract's cursor after a page has been processed
    */
-  async processContractResult(result) {
-    const contractId = result.to;
-    const logs = result.logs || [];
+  async saveCursor(contract, timestamp) {
+    contract.lastProcessedTimestamp = timestamp;
 
-    for (const log of logs) {
-      await this.parseAndEmitEvent(contractId, log, result);
+    if (this.cursorStore) {
+      await this.cursorStore.saveCursor(this.getCursorName(contract), { timestamp });
     }
   }
 
   /**
-   * Parse log and emit event
+   * Format unix seconds as a Mirror Node consensus timestamp ("seconds.nanos")
+   */
+  toConsensusTimestamp(seconds) {
+    const [whole, fraction = ''] = seconds.toString().split('.');
+    return `${whole}.${fraction.padEnd(9, '0').slice(0, 9)}`;
+  }
+
+  /**
+   * Poll every protocol contract for new events.
+   * Polls resume with 'gte' so logs sharing the cursor's timestamp are never
+   * skipped; the ones already seen are dropped by the event store.
+   * @param {string} operator - timestamp comparison for the first page ('gt' or 'gte')
+   * @returns {number} number of logs processed
    */
-  async parseAndEmitEvent(contractId, log, txResult) {
+  async pollEvents(operator = 'gte') {
+    if (this.isPolling) {
+      return 0;
+    }
+
+    this.isPolling = true;
+    let processed = 0;
+
     try {
-      // Decode event based on topic (event signature)
-      const eventSignature = log.topics[0];
-
-      // NFTMinted event
-      if (eventSignature === this.getEventSignature('NFTMinted(uint256,address,uint256,string)')) {
-        const event = {
-          type: 'NFTMinted',
-          tokenId: parseInt(log.topics[1], 16),
-          owner: '0x' + log.topics[2].slice(-40),
-          timestamp: txResult.timestamp,
-          txHash: txResult.hash
-        };
-        
-        await this.onNFTMinted(event);
+      for (const contract of this.contracts) {
+        processed += await this.pollContractLogs(contract, operator);
       }
+    } finally {
+      this.isPolling = false;
+    }
 
-      // InterestRateAdjusted event
-      if (eventSignature === this.getEventSignature('InterestRateAdjusted(address,uint256,uint256)')) {
-        const event = {
-          type: 'InterestRateAdjusted',
-          user: '0x' + log.topics[1].slice(-40),
-          timestamp: txResult.timestamp,
-          txHash: txResult.hash
-        };
-        
-        await this.onInterestRateAdjusted(event);
-      }
+    return processed;
+  }
 
-      // ScoreUpdated event (Leaderboard)
-      if (eventSignature === this.getEventSignature('ScoreUpdated(address,uint256,uint256)')) {
-        const event = {
-          type: 'ScoreUpdated',
-          user: '0x' + log.topics[1].slice(-40),
-          timestamp: txResult.timestamp,
-          txHash: txResult.hash
-        };
-        
-        await this.onLeaderboardUpdated(event);
+  /**
+   * Fetch a contract's logs, following pagination until caught up.
+   * Stops at the first log that fails, leaving the cursor on it so the next
+   * poll starts there; the failure is kept in contract.lastError.
+   * Nothing is fetched until the contract ID is resolved, since without it
+   * logs reported with a long-zero address would be rejected and skipped.
+   */
+  async pollContractLogs(contract, operator) {
+    let processed = 0;
+    contract.lastError = null;
+
+    try {
+      if (!contract.contractId) {
+        await this.resolveContractId(contract);
       }
 
-      // NFTRetired event
-      if (eventSignature === this.getEventSignature('NFTRetired(uint256,address)')) {
-        const event = {
-          type: 'NFTRetired',
-          tokenId: parseInt(log.topics[1], 16),
-          owner: '0x' + log.topics[2].slice(-40),
-          timestamp: txResult.timestamp,
-          txHash: txResult.hash
-        };
-        
-        await this.onNFTRetired(event);
+      let url = `${this.mirrorNodeUrl}/api/v1/contracts/${contract.address}/results/logs`;
+      let params = {
+        timestamp: `${operator}:${contract.lastProcessedTimestamp}`,
+        limit: this.pageSize,
+        order: 'asc'
+      };
+
+      while (url) {
+        const response = await axios.get(url, { params });
+        const logs = response.data.logs || [];
+
+        for (const log of logs) {
+          try {
+            await this.parseAndEmitEvent(contract, log);
+          } catch (error) {
+            // Earlier logs with the same timestamp are skipped by the event store
+            await this.saveCursor(contract, log.timestamp);
+            throw error;
+          }
+        }
+
+        if (logs.length > 0) {
+          await this.saveCursor(contract, logs[logs.length - 1].timestamp);
+          processed += logs.length;
+        }
+
+        // links.next already carries the query string
+        const next = response.data.links && response.data.links.next;
+        url = next ? `${this.mirrorNodeUrl}${next}` : null;
+        params = undefined;
       }
+    } catch (error) {
+      contract.lastError = error;
+      console.error(`Error polling ${contract.name} events:`, error.message);
+    }
+
+    return processed;
+  }
+
+  /**
+   * Replay history from a consensus timestamp or block number
+   * so a fresh database can be rebuilt from chain history
+   */
+  async backfill({ fromTimestamp, fromBlock }) {
+    let from = fromTimestamp;
+
+    if (fromBlock !== undefined) {
+      const response = await axios.get(`${this.mirrorNodeUrl}/api/v1/blocks/${fromBlock}`);
+      from = response.data.timestamp.from;
+    }
+
+    if (!from) {
+      throw new Error('Backfill requires a start timestamp or block');
+    }
+
+    await this.resolveContractIds();
+
+    const start = this.toConsensusTimestamp(from);
+    this.contracts.forEach(contract => {
+      contract.lastProcessedTimestamp = start;
+    });
+    console.log(`⏪ Backfilling from ${start}`);
+
+    const processed = await this.pollEvents('gte');
 
+    const failed = this.contracts.filter(contract => contract.lastError);
+    if (failed.length > 0) {
+      throw new Error(`Backfill stopped for ${failed.map(contract => contract.name).join(', ')}: ` +
+        failed.map(contract => contract.lastError.message).join('; '));
+    }
+    console.log(`Backfill complete: ${processed} logs processed`);
+
+    return processed;
+  }
+
+  /**
+   * Check that a log was emitted by the contract it was fetched for
+   */
+  isFromContract(contract, log) {
+    if (contract.contractId && log.contract_id === contract.contractId) {
+      return true;
+    }
+    return (log.address || '').toLowerCase() === contract.address;
+  }
+
+  /**
+   * Decode a log with the ABI of the contract that emitted it
+   */
+  decodeLog(contract, log) {
+    // A matching topic from a third-party contract must not reach our indexes
+    if (!this.isFromContract(contract, log)) {
+      console.warn(`Rejected log from ${log.address}: not emitted by ${contract.name}`);
+      return null;
+    }
+
+    try {
+      return contract.interface.parseLog({ topics: log.topics, data: log.data });
     } catch (error) {
-      console.error('Error parsing event:', error.message);
+      return null;
     }
   }
 
+  /**
+   * Parse log and emit event. Logs that do not decode are skipped;
+   * errors while handling the event are thrown.
+   */
+  async parseAndEmitEvent(contract, log) {
+    const parsed = this.decodeLog(contract, log);
+
+    if (!parsed) {
+      return;
+    }
+
+    const event = {
+      type: parsed.name,
+      contract: contract.name,
+      contractAddress: contract.address,
+      timestamp: log.timestamp,
+      txHash: log.transaction_hash,
+      logIndex: log.index,
+      blockNumber: log.block_number
+    };
+
+    parsed.fragment.inputs.forEach((input, i) => {
+      const value = parsed.args[i];
+      event[input.name] = input.type === 'address' ? value.toLowerCase() : value;
+    });
+
+    await this.handleEvent(event);
+  }
+
   /**
    * Get event signature hash
    */
@@ -148,29 +325,71 @@ class MirrorNodeListener {
   }
 
   /**
-   * Event handlers
+   * Idempotency key of an event
    */
-  async onNFTMinted(event) {
-    console.log('NFT Minted:', event);
-    // Trigger Telegram notification
-    // Update Firebase cache
+  getEventKey(event) {
+    return `${event.txHash}-${event.logIndex}`;
   }
 
-  async onInterestRateAdjusted(event) {
-    console.log('📉 Interest Rate Adjusted:', event);
-    // Trigger Telegram notification
+  /**
+   * Index a decoded event and dispatch it to its handler, exactly once.
+   * The event's writes and its processed_events record are committed
+   * together, so a failed event leaves nothing behind and is retried whole.
+   * @returns {boolean} false if the event had already been processed
+   */
+  async handleEvent(event) {
+    if (this.eventStore) {
+      const data = { type: event.type, contract: event.contract, timestamp: event.timestamp };
+      const applied = await this.eventStore.processEvent(this.getEventKey(event), data,
+        writes => this.indexer && this.indexer.handleEvent(event, writes));
+
+      if (!applied) {
+        return false;
+      }
+    } else if (this.indexer) {
+      await this.indexer.handleEvent(event);
+    }
+
+    await this.dispatchEvent(event);
+    return true;
+  }
+
+  /**
+   * Run the handlers for an indexed event
+   */
+  async dispatchEvent(event) {
+    switch (event.type) {
+      case 'NFTMinted':
+        await this.onNFTMinted(event);
+        break;
+      case 'NFTRetired':
+        await this.onNFTRetired(event);
+        break;
+      case 'ScoreUpdated':
+        await this.onLeaderboardUpdated(event);
+        break;
+      default:
+        break;
+    }
+
+    if (this.eventBus) {
+      await this.eventBus.publish(event);
+    }
+  }
+
+  /**
+   * Event handlers
+   */
+  async onNFTMinted(event) {
+    console.log(`NFT Minted: #${event.tokenId} -> ${event.owner} (${event.carbonTons} tons)`);
   }
 
   async onLeaderboardUpdated(event) {
-    console.log('Leaderboard Updated:', event);
-    // Update Firebase leaderboard cache
-    // Trigger Telegram notification if rank changed significantly
+    console.log(`Leaderboard Updated: ${event.user} score ${event.newScore}, rank #${event.rank}`);
   }
 
   async onNFTRetired(event) {
-    console.log('NFT Retired:', event);
-    // Trigger Telegram notification
-    // Update stats
+    console.log(`NFT Retired: #${event.tokenId} by ${event.owner}`);
   }
 
   /**
@@ -205,9 +424,37 @@ class MirrorNodeListener {
 }
 
 // Start listener if run directly
+// Usage: node mirrorNodeListener.js [--backfill <timestamp|block:N>]
 if (require.main === module) {
-  const listener = new MirrorNodeListener();
-  listener.start();
+  const { createStorage } = require('../storage');
+  const EventIndexer = require('./eventIndexer');
+  const FileCursorStore = require('./fileCursorStore');
+
+  const storage = createStorage();
+  const listener = new MirrorNodeListener({
+    indexer: new EventIndexer(storage),
+    cursorStore: process.env.MIRROR_CURSOR_FILE
+      ? new FileCursorStore(process.env.MIRROR_CURSOR_FILE)
+      : storage,
+    eventStore: storage
+  });
+
+  const backfillIndex = process.argv.indexOf('--backfill');
+  if (backfillIndex !== -1) {
+    const from = process.argv[backfillIndex + 1] || '';
+    const options = from.startsWith('block:')
+      ? { fromBlock: parseInt(from.slice('block:'.length)) }
+      : { fromTimestamp: from };
+
+    listener.backfill(options)
+      .then(() => process.exit(0))
+      .catch((error) => {
+        console.error('Backfill failed:', error.message);
+        process.exit(1);
+      });
+  } else {
+    listener.start();
+  }
 }
 
 module.exports = MirrorNodeListener;
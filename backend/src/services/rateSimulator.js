@@ -0,0 +1,135 @@
+const { ethers } = require('ethers');
+const {
+  getUtilizationRate,
+  getBorrowRate,
+  getSupplyRate,
+  getAdjustedInterestRate,
+  calculateInterest
+} = require('../utils/rateEngine');
+
+const WEI_PATTERN = /^\d{1,78}$/;
+const MAX_HORIZON_DAYS = 3650;
+const MAX_NFT_COUNT = 1000;
+
+/**
+ * Rate Simulator
+ * Answers what-if questions about rates: the pool's borrow and supply APR
+ * and a borrower's personal APR and interest after hypothetical deposits,
+ * borrows and NFT holdings, computed with the rate engine from live pool
+ * state and rate parameters
+ */
+class RateSimulator {
+  constructor({ chainService }) {
+    this.chainService = chainService;
+  }
+
+  /**
+   * Validate a simulation request
+   * @returns {{ errors: string[], request: Object }} amounts as bigint
+   */
+  validateRequest(body) {
+    const errors = [];
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return { errors: ['Body must be a JSON object'], request: null };
+    }
+
+    const { address, deposit = '0', borrow = '0', nftCount, horizonDays = 365 } = body;
+
+    if (address !== undefined && (typeof address !== 'string' || !ethers.isAddress(address))) {
+      errors.push('address must be an address');
+    }
+    if (typeof deposit !== 'string' || !WEI_PATTERN.test(deposit)) {
+      errors.push('deposit must be a wei amount as a decimal string');
+    }
+    if (typeof borrow !== 'string' || !WEI_PATTERN.test(borrow)) {
+      errors.push('borrow must be a wei amount as a decimal string');
+    }
+    if (nftCount !== undefined && (!Number.isSafeInteger(nftCount) || nftCount < 0 || nftCount > MAX_NFT_COUNT)) {
+      errors.push(`nftCount must be an integer from 0 to ${MAX_NFT_COUNT}`);
+    }
+    if (!Number.isSafeInteger(horizonDays) || horizonDays < 1 || horizonDays > MAX_HORIZON_DAYS) {
+      errors.push(`horizonDays must be an integer from 1 to ${MAX_HORIZON_DAYS}`);
+    }
+
+    if (errors.length > 0) {
+      return { errors, request: null };
+    }
+
+    return {
+      errors,
+      request: {
+        address: address ? address.toLowerCase() : null,
+        deposit: BigInt(deposit),
+        borrow: BigInt(borrow),
+        nftCount: nftCount === undefined ? null : BigInt(nftCount),
+        horizonDays
+      }
+    };
+  }
+
+  /**
+   * Simulate rates after a deposit and/or borrow
+   * @param {Object} request - from validateRequest; deposit and borrow are added to
+   *   the pool totals, borrow also to the address's principal, and nftCount replaces
+   *   the borrower's active NFT count (default: the address's current count, or 0)
+   */
+  async simulate({ address, deposit, borrow, nftCount, horizonDays }) {
+    const model = await this.chainService.getRateModel();
+    const { totalDeposits, totalBorrows } = await this.chainService.getPoolStats();
+
+    let borrowed = 0n;
+    let activeNFTs = 0n;
+    if (address) {
+      ({ borrowed } = await this.chainService.getUserAccount(address));
+      activeNFTs = BigInt((await this.chainService.getGreenProfile(address)).activeNFTs);
+    }
+
+    const before = this.getRates(model, totalDeposits, totalBorrows);
+    const after = this.getRates(model, totalDeposits + deposit, totalBorrows + borrow);
+
+    const nfts = nftCount === null ? activeNFTs : nftCount;
+    const personalAPR = getAdjustedInterestRate(after.borrowAPR, nfts, model);
+    const principal = borrowed + borrow;
+    const horizon = BigInt(horizonDays) * 86400n;
+
+    return {
+      current: this.formatRates(before),
+      simulated: this.formatRates(after),
+      totalDeposits: (totalDeposits + deposit).toString(),
+      totalBorrows: (totalBorrows + borrow).toString(),
+      nftCount: Number(nfts),
+      personalAPR: Number(personalAPR),
+      principal: principal.toString(),
+      horizonDays,
+      projectedInterest: calculateInterest(principal, personalAPR, horizon).toString(),
+      // What the same principal would cost without the NFT discount
+      projectedInterestWithoutNFTs: calculateInterest(principal, after.borrowAPR, horizon).toString(),
+      exceedsLiquidity: totalBorrows + borrow > totalDeposits + deposit
+    };
+  }
+
+  /**
+   * Utilization, borrow and supply rate of a pool state
+   */
+  getRates(model, totalDeposits, totalBorrows) {
+    return {
+      utilization: getUtilizationRate(totalDeposits, totalBorrows),
+      borrowAPR: getBorrowRate(model, totalDeposits, totalBorrows),
+      supplyAPR: getSupplyRate(model, totalDeposits, totalBorrows, model.reserveFactor)
+    };
+  }
+
+  /**
+   * Rates as numbers for JSON responses
+   */
+  formatRates(rates) {
+    return {
+      utilization: Number(rates.utilization),
+      borrowAPR: Number(rates.borrowAPR),
+      supplyAPR: Number(rates.supplyAPR)
+    };
+  }
+}
+
+module.exports = RateSimulator;
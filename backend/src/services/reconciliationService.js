@@ -0,0 +1,344 @@
+require('dotenv').config();
+
+const MAX_REPORTED = 500; // keeps a report well under Firestore's 1 MB document limit
+
+/**
+ * Reconciliation Service
+ * Compares the cached user, NFT and leaderboard documents of every known
+ * address with contract state, reports the differences and optionally
+ * overwrites the cache with the on-chain values
+ */
+class ReconciliationService {
+  constructor({ chainService, storage }) {
+    this.chainService = chainService;
+    this.storage = storage;
+
+    // Minutes between scheduled runs (0 disables them)
+    this.interval = parseInt(process.env.RECONCILE_INTERVAL || '1440');
+    this.autoRepair = process.env.RECONCILE_REPAIR === 'true';
+
+    this.current = null; // report of the run in progress
+  }
+
+  /**
+   * Start scheduled reconciliation runs
+   */
+  start() {
+    if (this.interval <= 0) return;
+
+    console.log(`Chain reconciliation scheduled every ${this.interval} minutes`);
+
+    setInterval(async () => {
+      try {
+        if (!this.isRunning()) {
+          await this.run({ repair: this.autoRepair });
+        }
+      } catch (error) {
+        console.error('Reconciliation error:', error.message);
+      }
+    }, this.interval * 60000);
+  }
+
+  /**
+   * Whether a run is in progress
+   */
+  isRunning() {
+    return this.current !== null;
+  }
+
+  /**
+   * Start a run in the background
+   * @returns {Object} the report, with status 'running'
+   */
+  async trigger(options) {
+    const report = await this.begin(options);
+    const started = { ...report };
+
+    this.reconcile(report, options).catch((error) => {
+      console.error('Reconciliation error:', error.message);
+    });
+    return started;
+  }
+
+  /**
+   * Run a reconciliation to completion
+   * @param {Object} options - { repair, addresses } (defaults: report only, every known address)
+   * @returns {Object} the finished report
+   */
+  async run(options) {
+    const report = await this.begin(options);
+    return this.reconcile(report, options);
+  }
+
+  /**
+   * Create and store the report of a new run
+   */
+  async begin({ repair = false } = {}) {
+    if (this.current) {
+      throw new Error('A reconciliation is already running');
+    }
+
+    const startedAt = Date.now();
+    this.current = {
+      id: `reconciliation-${startedAt}`,
+      status: 'running',
+      repair,
+      startedAt,
+      finishedAt: null,
+      addressesTotal: null,
+      addressesChecked: 0,
+      discrepancyCount: 0,
+      repairedCount: 0,
+      discrepancies: [],
+      errors: [],
+      truncated: false,
+      error: null
+    };
+
+    try {
+      await this.storage.saveReconciliationReport(this.current);
+    } catch (error) {
+      this.current = null;
+      throw error;
+    }
+    return this.current;
+  }
+
+  /**
+   * Check each address and finish the report
+   */
+  async reconcile(report, { repair = false, addresses } = {}) {
+    try {
+      const targets = addresses
+        ? addresses.map(address => address.toLowerCase())
+        : await this.storage.getKnownAddresses();
+      report.addressesTotal = targets.length;
+      console.log(`Reconciling ${targets.length} addresses${repair ? ' (repair)' : ''}`);
+
+      for (const address of targets) {
+        try {
+          const discrepancies = await this.checkAddress(address);
+
+          if (repair && discrepancies.length > 0) {
+            await this.repair(address, discrepancies);
+            report.repairedCount += discrepancies.length;
+          }
+
+          report.discrepancyCount += discrepancies.length;
+          this.record(report, 'discrepancies', discrepancies);
+        } catch (error) {
+          console.error(`Error reconciling ${address}:`, error.message);
+          this.record(report, 'errors', [{ address, error: error.message }]);
+        }
+        report.addressesChecked++;
+      }
+
+      report.status = 'completed';
+    } catch (error) {
+      report.status = 'failed';
+      report.error = error.message;
+    } finally {
+      report.finishedAt = Date.now();
+      this.current = null;
+    }
+
+    await this.storage.saveReconciliationReport(report);
+    console.log(`Reconciliation ${report.status}: ${report.discrepancyCount} discrepancies in ${report.addressesChecked} addresses`);
+    return report;
+  }
+
+  /**
+   * Append entries to a report list, up to the stored maximum
+   */
+  record(report, list, entries) {
+    const room = MAX_REPORTED - report[list].length;
+
+    if (entries.length > room) {
+      report.truncated = true;
+    }
+    report[list].push(...entries.slice(0, Math.max(room, 0)));
+  }
+
+  /**
+   * Diff one address's cached documents against the contracts
+   * @returns {Array} discrepancies ({ address, document, field, cached, chain })
+   */
+  async checkAddress(address) {
+    const { contracts } = this.chainService;
+    const discrepancies = [];
+
+    const diff = (document, field, cached, chain) => {
+      if (cached !== chain) {
+        discrepancies.push({ address, document, field, cached, chain });
+      }
+    };
+
+    const profile = (await this.storage.getUserProfile(address)) || {};
+    const userDocument = `users/${address}`;
+
+    if (contracts.lendingPool) {
+      const account = await this.chainService.getUserAccount(address);
+
+      diff(userDocument, 'deposited', BigInt(profile.deposited || 0).toString(), account.deposited.toString());
+      diff(userDocument, 'borrowed', BigInt(profile.borrowed || 0).toString(), account.borrowed.toString());
+
+      // The cache keeps all interest ever accrued; the contract only what is still owed
+      const outstanding = BigInt(profile.accruedInterest || 0) - BigInt(profile.interestPaid || 0);
+      diff(userDocument, 'accruedInterest', outstanding.toString(), account.accruedInterest.toString());
+    }
+
+    if (contracts.greenRewardManager) {
+      const green = await this.chainService.getGreenProfile(address);
+
+      diff(userDocument, 'nftCount', profile.nftCount || 0, green.totalNFTs);
+      diff(userDocument, 'totalCarbonOffset', profile.totalCarbonOffset || 0, green.totalCarbonOffset);
+      diff(userDocument, 'activeNFTCount', profile.activeNFTCount || 0, green.activeNFTs);
+
+      const chainNFTs = await this.chainService.getUserNFTs(address);
+      const cachedNFTs = new Map(
+        (await this.storage.getUserNFTs(address)).map(nft => [Number(nft.tokenId), nft])
+      );
+
+      for (const nft of chainNFTs) {
+        const document = `users/${address}/nfts/${nft.tokenId}`;
+        const cached = cachedNFTs.get(nft.tokenId);
+        cachedNFTs.delete(nft.tokenId);
+
+        if (!cached) {
+          diff(document, null, null, nft.verificationId);
+          continue;
+        }
+        diff(document, 'carbonTons', cached.carbonTons, nft.carbonTons);
+        diff(document, 'verificationId', cached.verificationId, nft.verificationId);
+        diff(document, 'isRetired', cached.isRetired, nft.isRetired);
+      }
+
+      // Cached NFTs the contract does not list for this owner
+      for (const [tokenId, cached] of cachedNFTs) {
+        diff(`users/${address}/nfts/${tokenId}`, null, cached.verificationId, null);
+      }
+    }
+
+    if (contracts.leaderboardTracker) {
+      const score = await this.chainService.getUserScore(address);
+      const entry = await this.storage.getLeaderboardEntry(address);
+      const document = `leaderboard/${address}`;
+
+      if (entry) {
+        diff(document, 'totalCarbonOffset', entry.totalCarbonOffset || 0, score.totalCarbonOffset);
+        diff(document, 'nftCount', entry.nftCount || 0, score.nftCount);
+        diff(document, 'rank', entry.rank || 0, score.rank);
+        diff(document, 'badge', entry.badge || 'None', score.badge);
+      } else if (score.nftCount > 0) {
+        diff(document, null, null, score.totalCarbonOffset);
+      }
+    }
+
+    return discrepancies;
+  }
+
+  /**
+   * Overwrite the documents behind a set of discrepancies with contract state
+   */
+  async repair(address, discrepancies) {
+    const documents = new Set(discrepancies.map(discrepancy => discrepancy.document));
+
+    if (documents.has(`users/${address}`)) {
+      const update = {};
+      const profile = (await this.storage.getUserProfile(address)) || {};
+
+      for (const { document, field, chain } of discrepancies) {
+        if (document !== `users/${address}`) continue;
+
+        if (field === 'accruedInterest') {
+          // Keep the cache's meaning: everything accrued, including what was paid
+          update.accruedInterest = (BigInt(chain) + BigInt(profile.interestPaid || 0)).toString();
+        } else {
+          update[field] = chain;
+        }
+      }
+      await this.storage.updateUserProfile(address, update);
+    }
+
+    if ([...documents].some(document => document.startsWith(`users/${address}/nfts/`))) {
+      const chainNFTs = new Map(
+        (await this.chainService.getUserNFTs(address)).map(nft => [nft.tokenId, nft])
+      );
+
+      for (const document of documents) {
+        if (!document.startsWith(`users/${address}/nfts/`)) continue;
+
+        const tokenId = Number(document.split('/').pop());
+        const nft = chainNFTs.get(tokenId);
+
+        if (!nft) {
+          await this.storage.removeUserNFT(address, tokenId);
+          continue;
+        }
+
+        await this.storage.addUserNFT(address, {
+          tokenId,
+          carbonTons: nft.carbonTons,
+          verificationId: nft.verificationId,
+          issuer: nft.issuer,
+          timestamp: nft.mintedAt
+        });
+        if (nft.isRetired) {
+          await this.storage.retireNFT(address, tokenId);
+        }
+      }
+    }
+
+    if (documents.has(`leaderboard/${address}`)) {
+      const score = await this.chainService.getUserScore(address);
+      await this.storage.updateLeaderboard(address, score);
+    }
+
+    console.log(`Repaired ${discrepancies.length} discrepancies for ${address}`);
+  }
+
+  /**
+   * Get a report
+   */
+  async getReport(id) {
+    return this.storage.getReconciliationReport(id);
+  }
+
+  /**
+   * List recent reports
+   */
+  async listReports(limit) {
+    return this.storage.getReconciliationReports(limit);
+  }
+}
+
+// Run once if executed directly
+// Usage: node reconciliationService.js [--repair] [address ...]
+if (require.main === module) {
+  const { createStorage } = require('../storage');
+  const ChainService = require('./chainService');
+
+  const args = process.argv.slice(2);
+  const addresses = args.filter(arg => !arg.startsWith('--'));
+  const service = new ReconciliationService({
+    chainService: new ChainService(),
+    storage: createStorage()
+  });
+
+  service.run({
+    repair: args.includes('--repair'),
+    addresses: addresses.length > 0 ? addresses : undefined
+  })
+    .then((report) => {
+      for (const { document, field, cached, chain } of report.discrepancies) {
+        console.log(`${document}${field ? `.${field}` : ''}: cached ${cached}, chain ${chain}`);
+      }
+      process.exit(report.status === 'completed' ? 0 : 1);
+    })
+    .catch((error) => {
+      console.error('Reconciliation failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = ReconciliationService;
@@ -0,0 +1,132 @@
+const { bucketStart, downsample } = require('../utils/statsHistory');
+require('dotenv').config();
+
+// Events that change the totals read by the aggregator
+const REFRESH_EVENTS = [
+  'Deposited', 'Borrowed', 'Repaid', 'Withdrawn',
+  'NFTMinted', 'NFTRetired', 'ScoreUpdated', 'Staked'
+];
+
+/**
+ * Stats Aggregator
+ * Reads protocol totals and current rates from the contracts and publishes
+ * them to `stats/protocol`, the document behind GET /api/stats, and to the
+ * hourly `stats_history` series behind GET /api/stats/history.
+ * Amounts are stored as wei strings, rates as % per year.
+ */
+class StatsAggregator {
+  constructor({ chainService, storage }) {
+    this.chainService = chainService;
+    this.storage = storage;
+
+    this.pollingInterval = parseInt(process.env.STATS_INTERVAL || '60') * 1000;
+    this.refreshDelay = 5000; // batch bursts of events into one refresh
+    this.timer = null;
+    this.pendingRefresh = null;
+    this.unsubscribers = [];
+    this.isUpdating = false;
+    this.rerunRequested = false; // an update was asked for while one was running
+  }
+
+  /**
+   * Publish stats now, then on a schedule and shortly after relevant events
+   */
+  async start(eventBus) {
+    console.log('📊 Stats Aggregator started');
+
+    await this.update();
+
+    this.timer = setInterval(() => this.update(), this.pollingInterval);
+
+    if (eventBus) {
+      for (const type of REFRESH_EVENTS) {
+        this.unsubscribers.push(eventBus.subscribe(type, () => this.scheduleRefresh()));
+      }
+    }
+  }
+
+  /**
+   * Stop scheduled and pending refreshes
+   */
+  stop() {
+    clearInterval(this.timer);
+    clearTimeout(this.pendingRefresh);
+    this.pendingRefresh = null;
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+  }
+
+  /**
+   * Refresh once after a short delay
+   */
+  scheduleRefresh() {
+    if (this.pendingRefresh) return;
+
+    this.pendingRefresh = setTimeout(() => {
+      this.pendingRefresh = null;
+      this.update();
+    }, this.refreshDelay);
+  }
+
+  /**
+   * Read the current protocol statistics from the contracts
+   */
+  async collect() {
+    const stats = await this.chainService.getPoolStats();
+
+    return Object.fromEntries(
+      Object.entries(stats).map(([field, value]) => [
+        field,
+        typeof value === 'bigint' ? value.toString() : value
+      ])
+    );
+  }
+
+  /**
+   * Collect and store the statistics. A call made while an update is
+   * running runs again once it finishes, so the change that prompted it
+   * is not missed.
+   * @returns {Object|null} the published stats, or null if the update failed or was deferred
+   */
+  async update() {
+    if (this.isUpdating) {
+      this.rerunRequested = true;
+      return null;
+    }
+
+    this.isUpdating = true;
+    try {
+      const stats = await this.collect();
+      await this.storage.updateStats(stats);
+      await this.storage.recordStatsSnapshot(Date.now(), stats);
+      return stats;
+    } catch (error) {
+      console.error('Error aggregating protocol stats:', error.message);
+      return null;
+    } finally {
+      this.isUpdating = false;
+      if (this.rerunRequested) {
+        this.rerunRequested = false;
+        this.update();
+      }
+    }
+  }
+
+  /**
+   * Time series of one metric between two timestamps (ms), in hour, day or week buckets
+   */
+  async getHistory(metric, { from, to, interval }) {
+    const start = bucketStart(from, interval);
+    const buckets = await this.storage.getStatsHistory(start, to);
+
+    return {
+      metric,
+      interval,
+      from: start,
+      to,
+      points: downsample(buckets, metric, interval)
+    };
+  }
+}
+
+module.exports = StatsAggregator;
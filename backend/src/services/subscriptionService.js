@@ -0,0 +1,198 @@
+/**
+ * Subscription Service
+ * Single store for Telegram subscriptions, shared by the bot commands
+ * and the REST API. Keeps an in-memory index backed by persistent storage.
+ *
+ * A subscribed chat always receives public protocol announcements; wallet
+ * notifications are only sent for wallets whose ownership has been proven.
+ */
+
+// Notification categories a chat can switch on or off
+const NOTIFICATION_TYPES = ['mints', 'rates', 'rank', 'liquidation', 'announcements'];
+
+const DEFAULT_PREFERENCES = {
+  mints: true,
+  rates: true,
+  rank: true,
+  liquidation: true,
+  announcements: true
+};
+
+class SubscriptionService {
+  constructor(storage) {
+    this.storage = storage;
+    this.subscriptions = new Map(); // chatId -> { wallets (verified), preferences }
+  }
+
+  /**
+   * Load persisted subscriptions
+   */
+  async load() {
+    const subscriptions = await this.storage.getTelegramSubscriptions();
+
+    this.subscriptions = new Map();
+    for (const subscription of subscriptions) {
+      // Wallets saved before ownership proofs were required are dropped
+      const wallets = subscription.walletsVerified ? subscription.wallets : [];
+
+      this.subscriptions.set(subscription.chatId.toString(), {
+        wallets: wallets.map(wallet => wallet.toLowerCase()),
+        preferences: { ...DEFAULT_PREFERENCES, ...subscription.preferences }
+      });
+    }
+
+    return this.subscriptions.size;
+  }
+
+  /**
+   * Get a chat's subscription, or a new empty one
+   */
+  getSubscription(chatId) {
+    return this.subscriptions.get(chatId.toString()) || {
+      wallets: [],
+      preferences: { ...DEFAULT_PREFERENCES }
+    };
+  }
+
+  /**
+   * Whether a chat is subscribed (to announcements at least)
+   */
+  isSubscribed(chatId) {
+    return this.subscriptions.has(chatId.toString());
+  }
+
+  /**
+   * Persist and cache a chat's subscription
+   */
+  async save(chatId, subscription) {
+    await this.storage.saveTelegramSubscription(chatId, subscription);
+    this.subscriptions.set(chatId.toString(), subscription);
+  }
+
+  /**
+   * Subscribe a chat to public announcements
+   * @returns {boolean} false if the chat was already subscribed
+   */
+  async join(chatId) {
+    if (this.isSubscribed(chatId)) {
+      return false;
+    }
+
+    await this.save(chatId, this.getSubscription(chatId));
+    return true;
+  }
+
+  /**
+   * Add a wallet to a chat. Only call this once the chat has proven
+   * ownership of the wallet.
+   * @returns {boolean} false if the wallet was already subscribed
+   */
+  async subscribe(chatId, walletAddress) {
+    const subscription = this.getSubscription(chatId);
+    const wallet = walletAddress.toLowerCase();
+
+    if (subscription.wallets.includes(wallet)) {
+      return false;
+    }
+
+    await this.save(chatId, {
+      ...subscription,
+      wallets: [...subscription.wallets, wallet]
+    });
+    return true;
+  }
+
+  /**
+   * Remove one wallet from a chat, or the whole subscription when no wallet is given
+   * @returns {boolean} false if there was nothing to remove
+   */
+  async unsubscribe(chatId, walletAddress) {
+    const subscription = this.getSubscription(chatId);
+
+    if (!walletAddress) {
+      if (!this.isSubscribed(chatId)) return false;
+      await this.storage.removeTelegramSubscription(chatId);
+      this.subscriptions.delete(chatId.toString());
+      return true;
+    }
+
+    const wallet = walletAddress.toLowerCase();
+    if (!subscription.wallets.includes(wallet)) {
+      return false;
+    }
+
+    await this.save(chatId, {
+      ...subscription,
+      wallets: subscription.wallets.filter(w => w !== wallet)
+    });
+    return true;
+  }
+
+  /**
+   * Wallets a chat is subscribed to
+   */
+  getWallets(chatId) {
+    return this.getSubscription(chatId).wallets;
+  }
+
+  /**
+   * Notification preferences of a chat
+   */
+  getPreferences(chatId) {
+    return this.getSubscription(chatId).preferences;
+  }
+
+  /**
+   * Switch a notification type on or off for a chat
+   */
+  async setPreference(chatId, type, enabled) {
+    if (!NOTIFICATION_TYPES.includes(type)) {
+      throw new Error(`Unknown notification type: ${type}`);
+    }
+
+    if (!this.isSubscribed(chatId)) {
+      throw new Error('Not subscribed');
+    }
+    const subscription = this.getSubscription(chatId);
+
+    await this.save(chatId, {
+      ...subscription,
+      preferences: { ...subscription.preferences, [type]: enabled }
+    });
+  }
+
+  /**
+   * Chats subscribed to a wallet that want a notification type
+   */
+  getChatIdsByWallet(walletAddress, type) {
+    const wallet = walletAddress.toLowerCase();
+    const chatIds = [];
+
+    for (const [chatId, subscription] of this.subscriptions.entries()) {
+      if (!subscription.wallets.includes(wallet)) continue;
+      if (type && !subscription.preferences[type]) continue;
+      chatIds.push(chatId);
+    }
+
+    return chatIds;
+  }
+
+  /**
+   * Chats that want public protocol announcements
+   */
+  getAnnouncementChatIds() {
+    const chatIds = [];
+
+    for (const [chatId, subscription] of this.subscriptions.entries()) {
+      if (subscription.preferences.announcements) {
+        chatIds.push(chatId);
+      }
+    }
+
+    return chatIds;
+  }
+}
+
+SubscriptionService.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
+
+module.exports = SubscriptionService;
@@ -1,5 +1,10 @@
 const TelegramBot = require('node-telegram-bot-api');
 const axios = require('axios');
+const { ethers } = require('ethers');
+const { BADGE_NAMES } = require('../config/contracts');
+const SubscriptionService = require('./subscriptionService');
+const { formatHBAR, shortenAddress, escapeMarkdown } = require('../utils/format');
+const { getAdjustedInterestRate } = require('../utils/rateEngine');
 require('dotenv').config();
 
 /**
@@ -7,17 +12,40 @@ require('dotenv').config();
  * Sends notifications for NFT minting, interest rate changes, leaderboard updates
  */
 class TelegramNotificationBot {
-  constructor() {
+  constructor({ subscriptionService, storage, chainService, authService, bot } = {}) {
     this.token = process.env.TELEGRAM_BOT_TOKEN;
-    this.bot = new TelegramBot(this.token, { polling: true });
+    // Polling starts with start(), once subscriptions are loaded
+    this.bot = bot || new TelegramBot(this.token, { polling: false });
     this.mirrorNodeUrl = process.env.MIRROR_NODE_URL;
     
-    // Store user subscriptions (in production, use database)
-    this.subscriptions = new Map(); // chatId -> walletAddress
+    // Shared with the REST API so both paths use the same store
+    this.subscriptionService = subscriptionService;
+
+    // Wallets are linked by signing a challenge in the frontend
+    this.authService = authService;
+    this.frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    this.linkTtl = 900; // 15 minutes to sign the link challenge
+
+    // Same cache as the REST API, with the contracts as fallback
+    this.storage = storage;
+    this.chainService = chainService;
+    this.leaderboardSize = 10;
+
+    // Context carried between logs of the same transaction
+    this.pendingRetirementRewards = new Map(); // txHash -> GREEN reward (wei)
+    this.userBadges = new Map(); // walletAddress -> latest badge name
     
     this.setupCommands();
   }
 
+  /**
+   * Start receiving commands. Call it after SubscriptionService.load(),
+   * which replaces the in-memory subscriptions a command would change.
+   */
+  start() {
+    return this.bot.startPolling();
+  }
+
   /**
    * Setup bot commands
    */
@@ -32,11 +60,20 @@ class TelegramNotificationBot {
         '- New Carbon Credit NFTs minted\n' +
         '- Interest rate reductions\n' +
         '- Leaderboard updates\n' +
-        '- NFT retirements\n\n' +
+        '- NFT retirements\n' +
+        '- Protocol announcements\n\n' +
+        'Wallet notifications need a one-time signature proving you own the wallet.\n\n' +
         'Commands:\n' +
-        '/subscribe <wallet_address> - Subscribe to notifications\n' +
-        '/unsubscribe - Unsubscribe from notifications\n' +
+        '/subscribe - Subscribe to protocol announcements\n' +
+        '/subscribe <wallet\\_address> - Link a wallet you own for its notifications\n' +
+        '/unsubscribe [wallet\\_address] - Unlink one wallet, or unsubscribe entirely\n' +
+        '/wallets - List your linked wallets\n' +
+        '/notify <type> <on|off> - Choose notifications (mints, rates, rank, liquidation, announcements)\n' +
         '/status - Check your subscription status\n' +
+        '/position - Your deposits, debt and borrowing headroom\n' +
+        '/nfts - Your Carbon Credit NFTs\n' +
+        '/rate - Your borrow rate vs. the base rate\n' +
+        '/rank - Your leaderboard rank and badge\n' +
         '/leaderboard - View top contributors\n' +
         '/stats - View protocol statistics',
         { parse_mode: 'Markdown' }
@@ -44,47 +81,123 @@ class TelegramNotificationBot {
     });
 
     // Subscribe command
-    this.bot.onText(/\/subscribe (.+)/, (msg, match) => {
+    this.bot.onText(/^\/subscribe(?:\s+(\S+))?/, async (msg, match) => {
       const chatId = msg.chat.id;
-      const walletAddress = match[1].trim();
+      const walletAddress = match[1];
 
-      if (this.isValidAddress(walletAddress)) {
-        this.subscriptions.set(chatId, walletAddress);
-        this.bot.sendMessage(
-          chatId,
-          `Subscribed! You'll receive notifications for wallet:\n\`${walletAddress}\``,
-          { parse_mode: 'Markdown' }
-        );
-      } else {
-        this.bot.sendMessage(chatId, 'Invalid wallet address. Please provide a valid Hedera address.');
+      if (walletAddress && !this.isValidAddress(walletAddress)) {
+        await this.bot.sendMessage(chatId, 'Invalid wallet address. Please provide a valid Hedera address.');
+        return;
+      }
+
+      try {
+        const joined = await this.subscriptionService.join(chatId);
+
+        if (!walletAddress) {
+          await this.bot.sendMessage(
+            chatId,
+            (joined ? 'Subscribed to GreenDeFi announcements!' : 'Already subscribed to announcements.') +
+            '\n\nUse /subscribe <wallet_address> to link a wallet you own.'
+          );
+          return;
+        }
+
+        if (this.subscriptionService.getWallets(chatId).includes(walletAddress.toLowerCase())) {
+          await this.bot.sendMessage(chatId, `Already linked to \`${walletAddress}\``, { parse_mode: 'Markdown' });
+          return;
+        }
+
+        await this.sendLinkChallenge(chatId, walletAddress);
+      } catch (error) {
+        console.error('Error subscribing:', error.message);
+        await this.bot.sendMessage(chatId, 'Error saving subscription. Please try again.');
       }
     });
 
     // Unsubscribe command
-    this.bot.onText(/\/unsubscribe/, (msg) => {
+    this.bot.onText(/^\/unsubscribe(?:\s+(\S+))?/, async (msg, match) => {
       const chatId = msg.chat.id;
-      
-      if (this.subscriptions.has(chatId)) {
-        this.subscriptions.delete(chatId);
-        this.bot.sendMessage(chatId, 'Unsubscribed from notifications.');
-      } else {
-        this.bot.sendMessage(chatId, 'You are not subscribed.');
+      const walletAddress = match[1];
+
+      try {
+        const removed = await this.subscriptionService.unsubscribe(chatId, walletAddress);
+
+        if (!removed) {
+          await this.bot.sendMessage(
+            chatId,
+            walletAddress ? 'That wallet is not subscribed.' : 'You are not subscribed.'
+          );
+        } else if (walletAddress) {
+          await this.bot.sendMessage(
+            chatId,
+            `Unlinked wallet \`${walletAddress}\`. You'll still receive announcements.`,
+            { parse_mode: 'Markdown' }
+          );
+        } else {
+          await this.bot.sendMessage(chatId, 'Unsubscribed from notifications.');
+        }
+      } catch (error) {
+        console.error('Error unsubscribing:', error.message);
+        await this.bot.sendMessage(chatId, 'Error updating subscription. Please try again.');
+      }
+    });
+
+    // Wallets command
+    this.bot.onText(/^\/wallets/, async (msg) => {
+      const chatId = msg.chat.id;
+      const wallets = this.subscriptionService.getWallets(chatId);
+
+      if (wallets.length === 0) {
+        await this.bot.sendMessage(chatId, 'No linked wallets. Use /subscribe <wallet_address> to link one.');
+        return;
+      }
+
+      await this.bot.sendMessage(
+        chatId,
+        '*Linked Wallets*\n\n' + wallets.map(wallet => `\`${wallet}\``).join('\n'),
+        { parse_mode: 'Markdown' }
+      );
+    });
+
+    // Notification preferences command
+    this.bot.onText(/^\/notify(?:\s+(\w+)\s+(on|off))?/, async (msg, match) => {
+      const chatId = msg.chat.id;
+      const [, type, setting] = match;
+
+      if (!type) {
+        await this.bot.sendMessage(
+          chatId,
+          this.formatPreferences(chatId) + '\n\nUse /notify <type> <on|off> to change.',
+          { parse_mode: 'Markdown' }
+        );
+        return;
+      }
+
+      try {
+        await this.subscriptionService.setPreference(chatId, type, setting === 'on');
+        await this.bot.sendMessage(chatId, this.formatPreferences(chatId), { parse_mode: 'Markdown' });
+      } catch (error) {
+        await this.bot.sendMessage(chatId, `${error.message}. Types: ${SubscriptionService.NOTIFICATION_TYPES.join(', ')}`);
       }
     });
 
     // Status command
-    this.bot.onText(/\/status/, (msg) => {
+    this.bot.onText(/\/status/, async (msg) => {
       const chatId = msg.chat.id;
+      const wallets = this.subscriptionService.getWallets(chatId);
       
-      if (this.subscriptions.has(chatId)) {
-        const wallet = this.subscriptions.get(chatId);
-        this.bot.sendMessage(
+      if (this.subscriptionService.isSubscribed(chatId)) {
+        await this.bot.sendMessage(
           chatId,
-          `*Subscription Active*\n\nWallet: \`${wallet}\``,
+          `*Subscription Active*\n\n` +
+          (wallets.length > 0
+            ? `Wallets:\n${wallets.map(wallet => `\`${wallet}\``).join('\n')}\n\n`
+            : 'No linked wallets: announcements only.\n\n') +
+          this.formatPreferences(chatId),
           { parse_mode: 'Markdown' }
         );
       } else {
-        this.bot.sendMessage(chatId, 'Not subscribed. Use /subscribe <wallet_address> to start.');
+        await this.bot.sendMessage(chatId, 'Not subscribed. Use /subscribe <wallet_address> to start.');
       }
     });
 
@@ -100,9 +213,220 @@ class TelegramNotificationBot {
       await this.sendProtocolStats(chatId);
     });
 
+    // Per-wallet commands
+    this.bot.onText(/^\/position/, (msg) =>
+      this.sendWalletReport(msg.chat.id, (wallet) => this.formatPosition(wallet))
+    );
+
+    this.bot.onText(/^\/nfts/, (msg) =>
+      this.sendWalletReport(msg.chat.id, (wallet) => this.formatNFTs(wallet))
+    );
+
+    this.bot.onText(/^\/rate/, (msg) =>
+      this.sendWalletReport(msg.chat.id, (wallet) => this.formatRates(wallet))
+    );
+
+    this.bot.onText(/^\/rank/, (msg) =>
+      this.sendWalletReport(msg.chat.id, (wallet) => this.formatRank(wallet))
+    );
+
     console.log('Telegram bot commands initialized');
   }
 
+  /**
+   * Send a one-time link for proving ownership of a wallet
+   */
+  async sendLinkChallenge(chatId, walletAddress) {
+    const { nonce } = await this.authService.createChallenge(walletAddress, {
+      statement: 'Link this wallet to a Telegram chat for GreenDeFi notifications',
+      purpose: 'telegram-link',
+      ttl: this.linkTtl,
+      data: { chatId }
+    });
+
+    await this.bot.sendMessage(
+      chatId,
+      `To receive notifications for \`${walletAddress}\`, open this link and sign the message with that wallet:\n\n` +
+      // Escaped so underscores in the URL are not read as italics
+      `${escapeMarkdown(`${this.frontendUrl}/link-telegram?nonce=${nonce}`)}\n\n` +
+      `The link expires in ${this.linkTtl / 60} minutes. Until then you'll only receive public announcements.`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+
+  /**
+   * Confirm that a wallet has been linked to a chat
+   */
+  async notifyWalletLinked(chatId, walletAddress) {
+    try {
+      await this.bot.sendMessage(
+        chatId,
+        `Wallet verified! You'll receive notifications for:\n\`${walletAddress}\``,
+        { parse_mode: 'Markdown' }
+      );
+    } catch (error) {
+      console.error(`Error sending to ${chatId}:`, error.message);
+    }
+  }
+
+  /**
+   * Send one section per linked wallet of a chat
+   */
+  async sendWalletReport(chatId, formatWallet) {
+    const wallets = this.subscriptionService.getWallets(chatId);
+
+    if (wallets.length === 0) {
+      await this.bot.sendMessage(chatId, 'No linked wallets. Use /subscribe <wallet_address> first.');
+      return;
+    }
+
+    if (!this.chainService) {
+      await this.bot.sendMessage(chatId, 'On-chain data is not available right now.');
+      return;
+    }
+
+    const sections = [];
+    for (const wallet of wallets) {
+      try {
+        sections.push(`\`${wallet}\`\n` + await formatWallet(wallet));
+      } catch (error) {
+        console.error(`Error reading data for ${wallet}:`, error.message);
+        sections.push(`\`${wallet}\`\nError fetching on-chain data.`);
+      }
+    }
+
+    await this.bot.sendMessage(chatId, sections.join('\n\n'), { parse_mode: 'Markdown' });
+  }
+
+  /**
+   * Format a wallet's LendingPool position
+   */
+  async formatPosition(wallet) {
+    const position = await this.chainService.getUserPosition(wallet);
+
+    return `*Position*\n` +
+      `Deposited: *${formatHBAR(position.deposited)} HBAR*\n` +
+      `Borrowed: *${formatHBAR(position.borrowed)} HBAR*\n` +
+      `Current Debt: *${formatHBAR(position.debt)} HBAR*\n` +
+      `Borrow Limit (${position.maxBorrowRatio}%): *${formatHBAR(position.maxBorrow)} HBAR*\n` +
+      `Headroom: *${formatHBAR(position.headroom)} HBAR*`;
+  }
+
+  /**
+   * Format a wallet's Carbon Credit NFTs
+   */
+  async formatNFTs(wallet) {
+    const nfts = await this.chainService.getUserNFTs(wallet);
+
+    if (nfts.length === 0) {
+      return 'No Carbon Credit NFTs yet.';
+    }
+
+    return `*Carbon Credit NFTs (${nfts.length})*\n` + nfts.map(nft =>
+      `#${nft.tokenId} - ${nft.carbonTons} tons CO₂` +
+      `${nft.isRetired ? ' (retired)' : ''}\n` +
+      `   ${escapeMarkdown(nft.issuer)} - ${escapeMarkdown(nft.verificationId)}`
+    ).join('\n');
+  }
+
+  /**
+   * Format a wallet's personal borrow rate against the base rate
+   */
+  async formatRates(wallet) {
+    const rates = await this.chainService.getUserRates(wallet);
+    const discount = rates.baseRate - rates.personalRate;
+
+    return `*Borrow Rate*\n` +
+      `Base Rate: ${rates.baseRate}%\n` +
+      `Your Rate: *${rates.personalRate}%*\n` +
+      `Green Discount: *-${discount}%* (${rates.activeNFTs} active NFTs)`;
+  }
+
+  /**
+   * Format a wallet's leaderboard standing
+   */
+  async formatRank(wallet) {
+    const score = await this.chainService.getUserScore(wallet);
+
+    return `*Leaderboard*\n` +
+      `Rank: *${score.rank > 0 ? `#${score.rank}` : 'Unranked'}*\n` +
+      `Badge: ${escapeMarkdown(score.badge)}\n` +
+      `Carbon Offset: *${score.totalCarbonOffset.toLocaleString('en-US')} tons CO₂*\n` +
+      `NFTs: ${score.nftCount}`;
+  }
+
+  /**
+   * Notify subscribers of decoded on-chain events
+   */
+  subscribeToEvents(eventBus) {
+    // Minting and retiring change the owner's active NFTs, and with them its borrow rate
+    eventBus.subscribe('NFTMinted', async (event) => {
+      await this.notifyNFTMinted(event.owner, event.tokenId, event.carbonTons, event.verificationId);
+      await this.checkRateChange(event.owner, 1);
+    });
+
+    // Emitted just before NFTRetired when a GREEN token is configured
+    eventBus.subscribe('GreenTokenRewarded', (event) => {
+      this.pendingRetirementRewards.set(event.txHash, event.amount);
+    });
+
+    eventBus.subscribe('NFTRetired', async (event) => {
+      const reward = this.pendingRetirementRewards.get(event.txHash);
+      this.pendingRetirementRewards.delete(event.txHash);
+
+      // Retirement bonus is 100 GREEN per ton
+      const carbonTons = reward ? reward / (100n * 10n ** 18n) : null;
+      const bonusReward = reward ? ethers.formatEther(reward) : null;
+
+      await this.notifyNFTRetired(event.owner, event.tokenId, carbonTons, bonusReward);
+      await this.checkRateChange(event.owner, -1);
+    });
+
+    eventBus.subscribe('BadgeAwarded', (event) => {
+      const badge = BADGE_NAMES[Number(event.badge)] || 'None';
+      this.userBadges.set(event.user, badge);
+      return this.notifyBadgeAwarded(event.user, badge);
+    });
+
+    eventBus.subscribe('ProjectCreated', (event) =>
+      this.notifyAnnouncement(
+        `*New Climate Project!*\n\n` +
+        `${escapeMarkdown(event.name)} (#${event.projectId})\n` +
+        `Funding Goal: *${formatHBAR(event.fundingGoal)} HBAR*\n\n` +
+        `Stake in the Climate Fund Vault to support it.`
+      )
+    );
+
+    eventBus.subscribe('ProjectCompleted', (event) =>
+      this.notifyAnnouncement(
+        `*Climate Project #${event.projectId} Fully Funded!*\n\n` +
+        `Thank you to everyone who staked in the Climate Fund Vault.`
+      )
+    );
+
+    eventBus.subscribe('RankChanged', (event) =>
+      this.notifyLeaderboardUpdate(
+        event.user,
+        event.oldRank,
+        event.newRank,
+        this.userBadges.get(event.user) || '-'
+      )
+    );
+
+    console.log('Telegram bot subscribed to on-chain events');
+  }
+
+  /**
+   * Format a chat's notification preferences
+   */
+  formatPreferences(chatId) {
+    const preferences = this.subscriptionService.getPreferences(chatId);
+
+    return '*Notifications*\n' + SubscriptionService.NOTIFICATION_TYPES
+      .map(type => `${type}: ${preferences[type] ? 'on' : 'off'}`)
+      .join('\n');
+  }
+
   /**
    * Validate Hedera address
    */
@@ -115,7 +439,7 @@ class TelegramNotificationBot {
    * Send NFT minted notification
    */
   async notifyNFTMinted(walletAddress, tokenId, carbonTons, verificationId) {
-    const chatIds = this.getChatIdsByWallet(walletAddress);
+    const chatIds = this.getChatIdsByWallet(walletAddress, 'mints');
     
     const message = 
       `*New Carbon Credit NFT Minted!*\n\n` +
@@ -133,11 +457,38 @@ class TelegramNotificationBot {
     }
   }
 
+  /**
+   * Work out how a mint or retirement changed a wallet's personal borrow rate
+   * and notify its chats. The active NFT counts before and after come from the
+   * indexed profile, which already includes the event, so replayed events
+   * report the change they made rather than the wallet's current state.
+   * @param {number} change - 1 for a mint, -1 for a retirement
+   */
+  async checkRateChange(walletAddress, change) {
+    if (!this.chainService || !this.storage) return;
+
+    const profile = await this.storage.getUserProfile(walletAddress);
+    const after = BigInt((profile && profile.activeNFTCount) || 0);
+    const before = after - BigInt(change);
+    if (before < 0n) return;
+
+    const baseRate = await this.chainService.getBaseRate();
+    const model = await this.chainService.getRateModel();
+    const oldRate = getAdjustedInterestRate(baseRate, before, model);
+    const newRate = getAdjustedInterestRate(baseRate, after, model);
+
+    if (newRate < oldRate) {
+      await this.notifyInterestRateReduction(walletAddress, oldRate, newRate, oldRate - newRate);
+    } else if (newRate > oldRate) {
+      await this.notifyInterestRateIncrease(walletAddress, oldRate, newRate, newRate - oldRate);
+    }
+  }
+
   /**
    * Send interest rate reduction notification
    */
   async notifyInterestRateReduction(walletAddress, oldRate, newRate, reduction) {
-    const chatIds = this.getChatIdsByWallet(walletAddress);
+    const chatIds = this.getChatIdsByWallet(walletAddress, 'rates');
     
     const message = 
       `*Interest Rate Reduced!*\n\n` +
@@ -155,15 +506,37 @@ class TelegramNotificationBot {
     }
   }
 
+  /**
+   * Send interest rate increase notification (after a retirement)
+   */
+  async notifyInterestRateIncrease(walletAddress, oldRate, newRate, increase) {
+    const chatIds = this.getChatIdsByWallet(walletAddress, 'rates');
+
+    const message =
+      `*Interest Rate Increased*\n\n` +
+      `Previous Rate: ${oldRate}%\n` +
+      `New Rate: *${newRate}%*\n` +
+      `Increase: *+${increase}%*\n\n` +
+      `Retired NFTs no longer count towards your green discount.`;
+
+    for (const chatId of chatIds) {
+      try {
+        await this.bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+      } catch (error) {
+        console.error(`Error sending to ${chatId}:`, error.message);
+      }
+    }
+  }
+
   /**
    * Send leaderboard update notification
    */
   async notifyLeaderboardUpdate(walletAddress, oldRank, newRank, badge) {
-    const chatIds = this.getChatIdsByWallet(walletAddress);
+    const chatIds = this.getChatIdsByWallet(walletAddress, 'rank');
     
     const message = 
       `*Leaderboard Update!*\n\n` +
-      `Previous Rank: #${oldRank}\n` +
+      `Previous Rank: ${Number(oldRank) === 0 ? 'Unranked' : `#${oldRank}`}\n` +
       `New Rank: *#${newRank}*\n` +
       `Badge: ${badge}\n\n` +
       `Amazing progress! Keep climbing!`;
@@ -177,18 +550,77 @@ class TelegramNotificationBot {
     }
   }
 
+  /**
+   * Send liquidation risk alert
+   */
+  async notifyLiquidationRisk(walletAddress, ltv, maxLtv, suggestedRepayment) {
+    const chatIds = this.getChatIdsByWallet(walletAddress, 'liquidation');
+    
+    const message = 
+      `*Loan Health Warning!*\n\n` +
+      `Wallet: \`${walletAddress}\`\n` +
+      `Loan-to-Value: *${ltv.toFixed(2)}%*\n` +
+      `Borrow Limit: ${maxLtv}%\n` +
+      `Suggested Repayment: *${formatHBAR(suggestedRepayment)} HBAR*\n\n` +
+      `Repay or add collateral to keep your loan healthy.`;
+
+    for (const chatId of chatIds) {
+      try {
+        await this.bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+      } catch (error) {
+        console.error(`Error sending to ${chatId}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Send badge awarded notification
+   */
+  async notifyBadgeAwarded(walletAddress, badge) {
+    const chatIds = this.getChatIdsByWallet(walletAddress, 'rank');
+    
+    const message = 
+      `*New Badge Unlocked!*\n\n` +
+      `Badge: *${badge}*\n\n` +
+      `Thank you for offsetting carbon with GreenDeFi!`;
+
+    for (const chatId of chatIds) {
+      try {
+        await this.bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+      } catch (error) {
+        console.error(`Error sending to ${chatId}:`, error.message);
+      }
+    }
+  }
+
   /**
    * Send NFT retirement notification
+   * (carbon tons and bonus are only known when a GREEN reward was paid)
    */
   async notifyNFTRetired(walletAddress, tokenId, carbonTons, bonusReward) {
-    const chatIds = this.getChatIdsByWallet(walletAddress);
+    const chatIds = this.getChatIdsByWallet(walletAddress, 'mints');
     
     const message = 
       `*NFT Retired!*\n\n` +
       `Token ID: \`${tokenId}\`\n` +
-      `Permanent Impact: *${carbonTons} tons CO₂*\n` +
-      `Bonus Reward: *${bonusReward} GREEN*\n\n` +
-      `Your contribution is permanently recorded on-chain!`;
+      (carbonTons !== null ? `Permanent Impact: *${carbonTons} tons CO₂*\n` : '') +
+      (bonusReward !== null ? `Bonus Reward: *${bonusReward} GREEN*\n` : '') +
+      `\nYour contribution is permanently recorded on-chain!`;
+
+    for (const chatId of chatIds) {
+      try {
+        await this.bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+      } catch (error) {
+        console.error(`Error sending to ${chatId}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Send a public protocol announcement to every subscribed chat
+   */
+  async notifyAnnouncement(message) {
+    const chatIds = this.subscriptionService.getAnnouncementChatIds();
 
     for (const chatId of chatIds) {
       try {
@@ -204,14 +636,17 @@ class TelegramNotificationBot {
    */
   async sendLeaderboard(chatId) {
     try {
-      // This would call the backend API to get leaderboard data
       const leaderboardData = await this.fetchLeaderboardData();
       
       let message = '*Top Climate Champions*\n\n';
+
+      if (leaderboardData.length === 0) {
+        message += 'No contributors yet. Be the first to offset carbon!';
+      }
       
       leaderboardData.forEach((user, index) => {
-        message += `#${index + 1} - ${user.shortAddress}\n`;
-        message += `   ${user.carbonOffset} tons CO₂\n\n`;
+        message += `#${index + 1} - ${escapeMarkdown(shortenAddress(user.address))}\n`;
+        message += `   ${user.carbonOffset.toLocaleString('en-US')} tons CO₂\n\n`;
       });
 
       await this.bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
@@ -230,9 +665,9 @@ class TelegramNotificationBot {
       
       const message = 
         `*GreenDeFi Protocol Statistics*\n\n` +
-        `Total Deposits: *${stats.totalDeposits} HBAR*\n` +
-        `Total Borrows: *${stats.totalBorrows} HBAR*\n` +
-        `Total CO₂ Offset: *${stats.totalCarbonOffset} tons*\n` +
+        `Total Deposits: *${formatHBAR(stats.totalDeposits)} HBAR*\n` +
+        `Total Borrows: *${formatHBAR(stats.totalBorrows)} HBAR*\n` +
+        `Total CO₂ Offset: *${stats.totalCarbonOffset.toLocaleString('en-US')} tons*\n` +
         `NFTs Minted: *${stats.totalNFTs}*\n` +
         `Active Users: *${stats.activeUsers}*\n` +
         `Utilization: *${stats.utilization}%*\n\n` +
@@ -246,64 +681,89 @@ class TelegramNotificationBot {
   }
 
   /**
-   * Get chat IDs for a wallet address
+   * Get chat IDs for a wallet address that want a notification type
    */
-  getChatIdsByWallet(walletAddress) {
-    const chatIds = [];
-    for (const [chatId, wallet] of this.subscriptions.entries()) {
-      if (wallet.toLowerCase() === walletAddress.toLowerCase()) {
-        chatIds.push(chatId);
-      }
-    }
-    return chatIds;
+  getChatIdsByWallet(walletAddress, type) {
+    return this.subscriptionService.getChatIdsByWallet(walletAddress, type);
   }
 
   /**
-   * Fetch leaderboard data from backend
+   * Fetch leaderboard data from the cache, falling back to LeaderboardTracker
    */
   async fetchLeaderboardData() {
-    // Mock data - in production, call your API
-    return [
-      { address: '0x1234...5678', shortAddress: '0x1234...5678', carbonOffset: 150 },
-      { address: '0x8765...4321', shortAddress: '0x8765...4321', carbonOffset: 120 },
-      { address: '0xabcd...ef01', shortAddress: '0xabcd...ef01', carbonOffset: 95 }
-    ];
+    const contributors = this.storage
+      ? await this.storage.getTopContributors(this.leaderboardSize)
+      : [];
+
+    if (contributors.length > 0) {
+      return contributors.map(entry => ({
+        address: entry.address,
+        carbonOffset: entry.totalCarbonOffset || 0
+      }));
+    }
+
+    if (!this.chainService) {
+      return [];
+    }
+
+    const onChain = await this.chainService.getTopContributors(this.leaderboardSize);
+    return onChain.map(entry => ({
+      address: entry.address,
+      carbonOffset: entry.totalCarbonOffset
+    }));
   }
 
   /**
-   * Fetch protocol statistics
+   * Fetch protocol statistics from the cache, falling back to the contracts.
+   * Amounts are returned in wei.
    */
   async fetchProtocolStats() {
-    // Mock data - in production, call your API
-    return {
-      totalDeposits: '1,250,000',
-      totalBorrows: '850,000',
-      totalCarbonOffset: '2,450',
-      totalNFTs: 145,
-      activeUsers: 387,
-      utilization: 68
-    };
-  }
+    let stats = this.storage ? await this.storage.getStats() : null;
 
-  /**
-   * Get subscriptions (for persistence)
-   */
-  getSubscriptions() {
-    return Array.from(this.subscriptions.entries());
-  }
+    if (!stats && this.chainService) {
+      stats = await this.chainService.getPoolStats();
+    }
 
-  /**
-   * Load subscriptions (from database)
-   */
-  loadSubscriptions(subscriptionsArray) {
-    this.subscriptions = new Map(subscriptionsArray);
+    if (!stats) {
+      throw new Error('No protocol statistics available');
+    }
+
+    const totalDeposits = BigInt(stats.totalDeposits || 0);
+    const totalBorrows = BigInt(stats.totalBorrows || 0);
+    const utilization = stats.utilization !== undefined
+      ? stats.utilization
+      : totalDeposits > 0n ? Number((totalBorrows * 100n) / totalDeposits) : 0;
+
+    return {
+      totalDeposits,
+      totalBorrows,
+      totalCarbonOffset: stats.totalCarbonOffset || 0,
+      totalNFTs: stats.totalNFTs || 0,
+      activeUsers: stats.activeUsers || 0,
+      utilization
+    };
   }
 }
 
 // Initialize bot if run directly
 if (require.main === module) {
-  const bot = new TelegramNotificationBot();
-  console.log('Telegram bot started!');
+  const { createStorage } = require('../storage');
+  const ChainService = require('./chainService');
+  const AuthService = require('./authService');
+  const storage = createStorage();
+  const subscriptionService = new SubscriptionService(storage);
+
+  subscriptionService.load().then(async (count) => {
+    const bot = new TelegramNotificationBot({
+      subscriptionService,
+      storage,
+      chainService: new ChainService(),
+      // Issues the wallet-link challenges behind /subscribe
+      authService: new AuthService({ storage })
+    });
+    await bot.start();
+    console.log(`Telegram bot started with ${count} subscriptions!`);
+  });
 }
 
 module.exports = TelegramNotificationBot;
@@ -0,0 +1,401 @@
+require('dotenv').config();
+
+/**
+ * Transaction states
+ */
+const TX_STATUS = {
+  PENDING: 'pending',     // broadcast, no receipt yet
+  CONFIRMED: 'confirmed', // mined successfully
+  REVERTED: 'reverted',   // mined but reverted
+  DROPPED: 'dropped',     // nonce used by another transaction
+  FAILED: 'failed'        // out of replacements, needs an operator
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Transaction Manager
+ * Sends every transaction of one wallet through a single nonce sequence,
+ * tracks them in storage across restarts and rebroadcasts or replaces
+ * transactions that stay pending
+ */
+class TransactionManager {
+  constructor({ wallet, storage }) {
+    this.wallet = wallet;
+    this.provider = wallet.provider;
+    this.storage = storage;
+
+    // Hedera charges for at least 80% of the gas limit, so keep the buffer small
+    this.gasLimitBuffer = parseInt(process.env.TX_GAS_LIMIT_BUFFER || '20');
+    this.gasPriceBuffer = parseInt(process.env.TX_GAS_PRICE_BUFFER || '10');
+    this.replacementBump = parseInt(process.env.TX_REPLACEMENT_BUMP || '15');
+    this.maxGasPrice = process.env.TX_MAX_GAS_PRICE ? BigInt(process.env.TX_MAX_GAS_PRICE) : null;
+    this.maxReplacements = parseInt(process.env.TX_MAX_REPLACEMENTS || '3');
+
+    this.stuckTimeout = parseInt(process.env.TX_STUCK_TIMEOUT || '120') * 1000;
+    this.waitTimeout = 180000; // 3 minutes
+    this.pollingInterval = 15000; // 15 seconds
+
+    this.address = null;
+    this.nextNonce = null;
+    this.lock = Promise.resolve(); // serializes nonce assignment
+    this.isChecking = false;
+  }
+
+  /**
+   * Resume tracking pending transactions and start the monitor
+   */
+  async start() {
+    this.address = (await this.wallet.getAddress()).toLowerCase();
+
+    const pending = await this.storage.getTransactions({ status: TX_STATUS.PENDING });
+    console.log(`Transaction manager started (${pending.length} pending)`);
+
+    setInterval(async () => {
+      try {
+        await this.checkPending();
+      } catch (error) {
+        console.error('Transaction monitor error:', error.message);
+      }
+    }, this.pollingInterval);
+  }
+
+  /**
+   * Run a function while holding the nonce lock
+   */
+  withLock(fn) {
+    const run = this.lock.then(fn);
+    this.lock = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Next nonce to use: the node's pending count, unless we are already ahead of it
+   */
+  async getNextNonce() {
+    const chainNonce = await this.provider.getTransactionCount(this.address, 'pending');
+
+    if (this.nextNonce === null || chainNonce > this.nextNonce) {
+      this.nextNonce = chainNonce;
+    }
+    return this.nextNonce;
+  }
+
+  /**
+   * Gas price for a new transaction (legacy pricing; Hedera ignores priority fees)
+   */
+  async getGasPrice() {
+    const { gasPrice } = await this.provider.getFeeData();
+    const buffered = (gasPrice * BigInt(100 + this.gasPriceBuffer)) / 100n;
+
+    return this.capGasPrice(buffered);
+  }
+
+  capGasPrice(gasPrice) {
+    return this.maxGasPrice !== null && gasPrice > this.maxGasPrice ? this.maxGasPrice : gasPrice;
+  }
+
+  /**
+   * Send a transaction
+   * @param {Object} request - unsigned transaction ({ to, data, value })
+   * @param {Object} options - { label, reference } stored with the transaction
+   * @returns {Object} { id, hash, nonce, wait() }
+   */
+  async send(request, { label = null, reference = null } = {}) {
+    const record = await this.withLock(async () => {
+      if (!this.address) {
+        this.address = (await this.wallet.getAddress()).toLowerCase();
+      }
+
+      const estimate = await this.provider.estimateGas({ ...request, from: this.address });
+      const gasLimit = (estimate * BigInt(100 + this.gasLimitBuffer)) / 100n;
+      const gasPrice = await this.getGasPrice();
+
+      let nonce = await this.getNextNonce();
+      let signed;
+      try {
+        signed = await this.broadcast({ ...request, nonce, gasLimit, gasPrice });
+      } catch (error) {
+        if (error.code !== 'NONCE_EXPIRED') throw error;
+
+        // Another sender used this wallet: resync and try once more
+        this.nextNonce = null;
+        nonce = await this.getNextNonce();
+        signed = await this.broadcast({ ...request, nonce, gasLimit, gasPrice });
+      }
+
+      this.nextNonce = nonce + 1;
+
+      const now = Date.now();
+      const record = {
+        id: signed.hash, // the first hash stays the id across replacements
+        from: this.address,
+        nonce,
+        to: request.to,
+        data: request.data || '0x',
+        value: (request.value || 0n).toString(),
+        gasLimit: gasLimit.toString(),
+        gasPrice: gasPrice.toString(),
+        hash: signed.hash,
+        hashes: [signed.hash],
+        rawTransaction: signed.rawTransaction,
+        replacements: 0,
+        status: TX_STATUS.PENDING,
+        label,
+        reference,
+        blockNumber: null,
+        gasUsed: null,
+        error: null,
+        submittedAt: now,
+        lastBroadcastAt: now,
+        updatedAt: now
+      };
+
+      await this.storage.saveTransaction(record);
+      await this.dropReusedNonce(record);
+      return record;
+    });
+
+    console.log(`Transaction ${record.hash} sent (nonce ${record.nonce})`);
+
+    return {
+      id: record.id,
+      hash: record.hash,
+      nonce: record.nonce,
+      wait: () => this.wait(record.id)
+    };
+  }
+
+  /**
+   * Mark pending transactions at the nonce a new transaction reused as dropped
+   * (the node lost them, so their nonce was handed out again)
+   */
+  async dropReusedNonce(record) {
+    const pending = await this.storage.getTransactions({ status: TX_STATUS.PENDING });
+
+    for (const other of pending) {
+      if (other.id === record.id || other.from !== record.from || other.nonce !== record.nonce) continue;
+
+      console.error(`Transaction ${other.id} dropped: nonce reused by ${record.id}`);
+      await this.update(other, {
+        status: TX_STATUS.DROPPED,
+        error: `Nonce reused by transaction ${record.id}`,
+        rawTransaction: null
+      });
+    }
+  }
+
+  /**
+   * Sign and broadcast a fully specified transaction
+   */
+  async broadcast(request) {
+    const populated = await this.wallet.populateTransaction({ ...request, type: 0 });
+    const rawTransaction = await this.wallet.signTransaction(populated);
+    const response = await this.provider.broadcastTransaction(rawTransaction);
+
+    return { hash: response.hash, rawTransaction };
+  }
+
+  /**
+   * Persist changes to a transaction
+   */
+  async update(record, changes) {
+    const updated = { ...record, ...changes, updatedAt: Date.now() };
+    await this.storage.saveTransaction(updated);
+    return updated;
+  }
+
+  /**
+   * Look up receipts for every hash broadcast under a transaction's nonce
+   * @returns {Object} { record, receipt } with the receipt null while pending
+   */
+  async refresh(record) {
+    if (record.status !== TX_STATUS.PENDING) {
+      const receipt = record.blockNumber !== null
+        ? await this.provider.getTransactionReceipt(record.hash)
+        : null;
+      return { record, receipt };
+    }
+
+    for (const hash of record.hashes) {
+      const receipt = await this.provider.getTransactionReceipt(hash);
+      if (!receipt) continue;
+
+      const updated = await this.update(record, {
+        hash,
+        status: receipt.status === 1 ? TX_STATUS.CONFIRMED : TX_STATUS.REVERTED,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString(),
+        rawTransaction: null
+      });
+      return { record: updated, receipt };
+    }
+
+    return { record, receipt: null };
+  }
+
+  /**
+   * Receipt of a tracked transaction, or null while it is pending
+   */
+  async getReceipt(id) {
+    const record = await this.storage.getTransaction(id);
+    if (!record) {
+      throw new Error(`Unknown transaction ${id}`);
+    }
+
+    const { receipt } = await this.refresh(record);
+    return receipt;
+  }
+
+  /**
+   * Wait for a transaction (or one of its replacements) to be mined
+   */
+  async wait(id) {
+    const deadline = Date.now() + this.waitTimeout;
+
+    while (Date.now() < deadline) {
+      const stored = await this.storage.getTransaction(id);
+      const { record, receipt } = await this.refresh(stored);
+
+      if (record.status === TX_STATUS.CONFIRMED) {
+        return receipt;
+      }
+      if (record.status !== TX_STATUS.PENDING) {
+        throw new Error(`Transaction ${record.hash} ${record.status}${record.error ? `: ${record.error}` : ''}`);
+      }
+
+      await sleep(3000);
+    }
+
+    throw new Error(`Timed out waiting for transaction ${id}`);
+  }
+
+  /**
+   * Check every pending transaction and act on stuck ones
+   */
+  async checkPending() {
+    if (this.isChecking) return;
+
+    this.isChecking = true;
+    try {
+      const pending = await this.storage.getTransactions({ status: TX_STATUS.PENDING });
+
+      for (const stored of pending) {
+        try {
+          const { record, receipt } = await this.refresh(stored);
+
+          if (!receipt && Date.now() - record.lastBroadcastAt >= this.stuckTimeout) {
+            await this.unstick(record);
+          }
+        } catch (error) {
+          console.error(`Error checking transaction ${stored.id}:`, error.message);
+        }
+      }
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  /**
+   * Rebroadcast a stuck transaction once, then replace it with a higher gas price
+   */
+  async unstick(record) {
+    const mined = await this.provider.getTransactionCount(record.from, 'latest');
+
+    if (mined > record.nonce) {
+      // One of our hashes may have been mined since the last receipt check
+      const refreshed = await this.refresh(record);
+      if (refreshed.receipt) {
+        return refreshed.record;
+      }
+
+      // The nonce was consumed by a transaction we never broadcast
+      console.error(`Transaction ${record.id} dropped: nonce already used`);
+      return this.update(record, {
+        status: TX_STATUS.DROPPED,
+        error: 'Nonce used by another transaction',
+        rawTransaction: null
+      });
+    }
+
+    // The node may simply have lost it
+    if (record.replacements === 0 && record.rawTransaction && record.lastBroadcastAt === record.submittedAt) {
+      try {
+        await this.provider.broadcastTransaction(record.rawTransaction);
+        console.log(`Transaction ${record.hash} rebroadcast`);
+      } catch (error) {
+        console.error(`Rebroadcast of ${record.hash} failed:`, error.shortMessage || error.message);
+      }
+      return this.update(record, { lastBroadcastAt: Date.now() });
+    }
+
+    if (record.replacements >= this.maxReplacements) {
+      console.error(`Transaction ${record.id} still pending after ${record.replacements} replacements`);
+      return this.update(record, {
+        status: TX_STATUS.FAILED,
+        error: 'Still pending after the maximum number of replacements'
+      });
+    }
+
+    return this.replace(record);
+  }
+
+  /**
+   * Re-sign a transaction at the same nonce with a higher gas price
+   */
+  async replace(record) {
+    const current = await this.getGasPrice();
+    const bumped = (BigInt(record.gasPrice) * BigInt(100 + this.replacementBump)) / 100n;
+    const gasPrice = this.capGasPrice(current > bumped ? current : bumped);
+
+    if (gasPrice <= BigInt(record.gasPrice)) {
+      return this.update(record, {
+        status: TX_STATUS.FAILED,
+        error: 'Gas price cap reached'
+      });
+    }
+
+    try {
+      const signed = await this.broadcast({
+        to: record.to,
+        data: record.data,
+        value: BigInt(record.value),
+        nonce: record.nonce,
+        gasLimit: BigInt(record.gasLimit),
+        gasPrice
+      });
+      console.log(`Transaction ${record.id} replaced by ${signed.hash}`);
+
+      return this.update(record, {
+        hash: signed.hash,
+        hashes: [...record.hashes, signed.hash],
+        rawTransaction: signed.rawTransaction,
+        gasPrice: gasPrice.toString(),
+        replacements: record.replacements + 1,
+        lastBroadcastAt: Date.now()
+      });
+    } catch (error) {
+      const message = error.shortMessage || error.message;
+      console.error(`Replacing ${record.id} failed:`, message);
+      return this.update(record, { error: message, lastBroadcastAt: Date.now() });
+    }
+  }
+
+  /**
+   * Get a tracked transaction
+   */
+  async getTransaction(id) {
+    return this.storage.getTransaction(id);
+  }
+
+  /**
+   * List tracked transactions, optionally by status
+   */
+  async listTransactions(status) {
+    return this.storage.getTransactions({ status });
+  }
+}
+
+TransactionManager.TX_STATUS = TX_STATUS;
+
+module.exports = TransactionManager;
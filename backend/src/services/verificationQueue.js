@@ -0,0 +1,299 @@
+require('dotenv').config();
+
+/**
+ * Verification job states
+ */
+const JOB_STATUS = {
+  PENDING: 'pending',         // waiting to be submitted
+  SUBMITTED: 'submitted',     // mint transaction sent, awaiting receipt
+  CONFIRMED: 'confirmed',     // NFT minted (by us or an earlier attempt)
+  FAILED: 'failed',           // attempt failed, retry scheduled
+  DEAD_LETTER: 'dead-letter'  // invalid or out of retries, needs an operator
+};
+
+/**
+ * Verification Queue
+ * Persistent job queue that turns Guardian verifications into
+ * Carbon Credit NFT mints, with retries and exponential backoff
+ */
+class VerificationQueue {
+  constructor({ storage, oracle, now = Date.now }) {
+    this.storage = storage;
+    this.oracle = oracle;
+    this.now = now;
+
+    this.maxAttempts = parseInt(process.env.VERIFICATION_MAX_ATTEMPTS) || 6;
+    this.baseBackoff = 30000; // 30 seconds, doubled after each failure
+    this.maxBackoff = 3600000; // 1 hour
+    this.submittedTimeout = 300000; // resubmit if no receipt after 5 minutes
+    this.pollingInterval = 15000; // 15 seconds
+    this.isProcessing = false;
+    this.activeJobs = new Set(); // verification IDs with an attempt in progress
+  }
+
+  /**
+   * Start processing due jobs
+   */
+  start() {
+    console.log('Verification queue started');
+
+    setInterval(async () => {
+      try {
+        await this.processDueJobs();
+      } catch (error) {
+        console.error('Verification queue error:', error.message);
+      }
+    }, this.pollingInterval);
+  }
+
+  /**
+   * Add a verification to the queue (no-op if it is already queued)
+   */
+  async enqueue(verification, source = 'guardian') {
+    const existing = await this.storage.getVerificationJob(verification.verificationId);
+    if (existing) {
+      return existing;
+    }
+
+    const now = this.now();
+    const job = {
+      verificationId: verification.verificationId,
+      verification,
+      source,
+      status: JOB_STATUS.PENDING,
+      attempts: 0, // failed attempts so far
+      nextAttemptAt: now,
+      txId: null, // transaction manager record of the mint
+      txHash: null,
+      lastError: null,
+      // Manual mints have no Guardian record to acknowledge
+      acknowledged: source === 'manual',
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.storage.saveVerificationJob(job);
+    console.log(`Verification ${job.verificationId} queued`);
+    return job;
+  }
+
+  /**
+   * Persist changes to a job
+   */
+  async update(job, changes) {
+    const updated = { ...job, ...changes, updatedAt: this.now() };
+    await this.storage.saveVerificationJob(updated);
+    return updated;
+  }
+
+  /**
+   * Delay before the next attempt
+   */
+  getBackoff(attempts) {
+    return Math.min(this.baseBackoff * 2 ** (attempts - 1), this.maxBackoff);
+  }
+
+  /**
+   * Process jobs whose next attempt is due, and retry Guardian acknowledgements.
+   * Mints are submitted without waiting for their receipts, which are checked
+   * on a later tick, so one slow transaction does not hold up the others.
+   */
+  async processDueJobs() {
+    if (this.isProcessing) return;
+
+    this.isProcessing = true;
+    try {
+      const now = this.now();
+
+      for (const status of [JOB_STATUS.PENDING, JOB_STATUS.FAILED, JOB_STATUS.SUBMITTED]) {
+        const jobs = await this.storage.getVerificationJobs({ status });
+
+        for (const job of jobs) {
+          if (job.nextAttemptAt <= now) {
+            await this.processJob(job, { wait: false });
+          }
+        }
+      }
+
+      const unacknowledged = await this.storage.getVerificationJobs({
+        status: JOB_STATUS.CONFIRMED,
+        acknowledged: false
+      });
+      for (const job of unacknowledged) {
+        await this.acknowledge(job);
+      }
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Run one attempt of a job, unless one is already in progress
+   * @param {Object} [options] - wait: wait for the mint's receipt (default true)
+   */
+  async processJob(job, options = {}) {
+    const finished = [JOB_STATUS.CONFIRMED, JOB_STATUS.DEAD_LETTER].includes(job.status);
+    if (finished || this.activeJobs.has(job.verificationId)) {
+      return job;
+    }
+
+    this.activeJobs.add(job.verificationId);
+    try {
+      return await this.attempt(job, options);
+    } finally {
+      this.activeJobs.delete(job.verificationId);
+    }
+  }
+
+  /**
+   * Validate, submit and confirm a job's mint
+   */
+  async attempt(job, { wait = true } = {}) {
+    const { verification } = job;
+
+    const validationError = this.oracle.getValidationError(verification, job.source);
+    if (validationError) {
+      console.error(`Verification ${job.verificationId} rejected: ${validationError}`);
+      return this.update(job, {
+        status: JOB_STATUS.DEAD_LETTER,
+        lastError: validationError
+      });
+    }
+
+    try {
+      // A previous attempt may still be in flight
+      if (job.status === JOB_STATUS.SUBMITTED && job.txHash) {
+        const receipt = await this.oracle.getMintReceipt(job);
+
+        if (receipt && receipt.status === 1) {
+          return this.confirm(job, receipt.hash);
+        }
+        if (receipt) {
+          throw new Error(`Mint transaction ${job.txHash} reverted`);
+        }
+        // The transaction manager rebroadcasts or replaces it while it is pending
+        const pending = await this.oracle.isMintPending(job) ||
+          this.now() - job.updatedAt < this.submittedTimeout;
+        if (pending) {
+          return job;
+        }
+      }
+
+      if (await this.oracle.isVerificationMinted(job.verificationId)) {
+        return this.confirm(job, job.txHash, true);
+      }
+
+      const tx = await this.oracle.submitMint(verification);
+      job = await this.update(job, {
+        status: JOB_STATUS.SUBMITTED,
+        txId: tx.id,
+        txHash: tx.hash
+      });
+      console.log(`Transaction submitted: ${tx.hash}`);
+
+      if (!wait) {
+        return job;
+      }
+
+      const receipt = await tx.wait();
+      console.log(`NFT minted! Gas used: ${receipt.gasUsed.toString()}`);
+
+      return this.confirm(job, receipt.hash);
+    } catch (error) {
+      // The contract rejects a reused verification ID: an earlier attempt succeeded
+      if (this.oracle.isAlreadyMintedError(error)) {
+        return this.confirm(job, job.txHash, true);
+      }
+      return this.fail(job, error);
+    }
+  }
+
+  /**
+   * Mark a job as minted and acknowledge it to Guardian
+   */
+  async confirm(job, txHash, alreadyMinted = false) {
+    const confirmed = await this.update(job, {
+      status: JOB_STATUS.CONFIRMED,
+      txHash,
+      alreadyMinted,
+      lastError: null
+    });
+    console.log(`Verification ${job.verificationId} confirmed${alreadyMinted ? ' (already minted)' : ''}`);
+
+    return this.acknowledge(confirmed);
+  }
+
+  /**
+   * Tell Guardian the verification has been processed
+   */
+  async acknowledge(job) {
+    if (job.acknowledged) {
+      return job;
+    }
+
+    const acknowledged = await this.oracle.markVerificationProcessed(job.verificationId);
+    return acknowledged ? this.update(job, { acknowledged: true }) : job;
+  }
+
+  /**
+   * Record a failed attempt and schedule a retry, or dead-letter the job
+   */
+  async fail(job, error) {
+    const attempts = job.attempts + 1;
+    const message = error.shortMessage || error.message;
+    console.error(`Verification ${job.verificationId} attempt ${attempts} failed: ${message}`);
+
+    if (attempts >= this.maxAttempts) {
+      return this.update(job, {
+        status: JOB_STATUS.DEAD_LETTER,
+        attempts,
+        lastError: message
+      });
+    }
+
+    return this.update(job, {
+      status: JOB_STATUS.FAILED,
+      attempts,
+      lastError: message,
+      nextAttemptAt: this.now() + this.getBackoff(attempts)
+    });
+  }
+
+  /**
+   * Get a job
+   */
+  async getJob(verificationId) {
+    return this.storage.getVerificationJob(verificationId);
+  }
+
+  /**
+   * List jobs, optionally by status
+   */
+  async listJobs(status) {
+    return this.storage.getVerificationJobs({ status });
+  }
+
+  /**
+   * Requeue a failed or dead-lettered job for an immediate attempt
+   */
+  async retry(verificationId) {
+    const job = await this.storage.getVerificationJob(verificationId);
+
+    if (!job) {
+      throw new Error('Verification job not found');
+    }
+    if (![JOB_STATUS.FAILED, JOB_STATUS.DEAD_LETTER].includes(job.status)) {
+      throw new Error(`Cannot retry a ${job.status} job`);
+    }
+
+    return this.update(job, {
+      status: JOB_STATUS.PENDING,
+      attempts: 0,
+      nextAttemptAt: this.now()
+    });
+  }
+}
+
+VerificationQueue.JOB_STATUS = JOB_STATUS;
+
+module.exports = VerificationQueue;
@@ -0,0 +1,459 @@
+const crypto = require('crypto');
+const { bucketStart, addSnapshot } = require('../utils/statsHistory');
+const { WriteBatch } = require('./writeBatch');
+
+/**
+ * Document Storage
+ * Storage interface implemented on top of a handful of document primitives,
+ * laid out like the Firestore collections of FirebaseService.
+ *
+ * Subclasses implement:
+ * - getDoc(collection, id) → data or null
+ * - setDoc(collection, id, data, { merge })
+ * - createDoc(collection, id, data) → false if the document exists
+ * - updateDoc(collection, id, update) → atomically replace a document with update(current)
+ * - takeDoc(collection, id) → atomically fetch and delete a document
+ * - deleteDoc(collection, id)
+ * - queryDocs(collection, { where, orderBy, direction, limit }) → [{ id, data }]
+ *   where is a list of [field, op, value] with op one of ==, !=, <, <=, >, >=, in;
+ *   like Firestore, operators other than == never match documents without the field
+ * - commitWrites(writes, { claim }) → atomically apply WriteBatch writes, and
+ *   create the claim document; false (and nothing written) if the claim exists
+ */
+class DocumentStorage {
+  constructor({ now = Date.now } = {}) {
+    this.now = now;
+  }
+
+  /**
+   * Add a document with a generated ID
+   */
+  async addDoc(collection, data) {
+    const id = crypto.randomUUID();
+    await this.setDoc(collection, id, data);
+    return id;
+  }
+
+  /**
+   * Collect writes with fn(batch) and commit them together
+   */
+  async writeBatch(fn) {
+    const batch = new WriteBatch({ now: this.now });
+    await fn(batch);
+    await this.commitWrites(batch.writes);
+  }
+
+  /**
+   * Apply an event's writes exactly once. The writes are committed together
+   * with the event's processed_events document, so a failure leaves neither.
+   * @param {string} eventKey - txHash-logIndex
+   * @param {Object} data - Stored on the processed_events document
+   * @param {Function} fn - fn(batch) collects the event's writes
+   * @returns {boolean} false if the event was already processed
+   */
+  async processEvent(eventKey, data, fn) {
+    const batch = new WriteBatch({ now: this.now });
+    await fn(batch);
+
+    return this.commitWrites(batch.writes, {
+      claim: { collection: 'processed_events', id: eventKey, data: { ...data, processedAt: this.now() } }
+    });
+  }
+
+  /**
+   * Update leaderboard entry
+   */
+  async updateLeaderboard(address, data) {
+    await this.writeBatch(batch => batch.updateLeaderboard(address, data));
+  }
+
+  /**
+   * Increment leaderboard counters
+   */
+  async incrementLeaderboardFields(address, deltas) {
+    await this.writeBatch(batch => batch.incrementLeaderboardFields(address, deltas));
+  }
+
+  /**
+   * Get top contributors
+   */
+  async getTopContributors(limit = 100) {
+    const docs = await this.queryDocs('leaderboard', {
+      orderBy: 'totalCarbonOffset',
+      direction: 'desc',
+      limit
+    });
+    return docs.map(({ id, data }) => ({ id, ...data }));
+  }
+
+  /**
+   * Get a user's leaderboard entry
+   */
+  async getLeaderboardEntry(address) {
+    const entry = await this.getDoc('leaderboard', address);
+    return entry ? { id: address, ...entry } : null;
+  }
+
+  /**
+   * Get user profile
+   */
+  async getUserProfile(address) {
+    return this.getDoc('users', address);
+  }
+
+  /**
+   * Update user profile
+   */
+  async updateUserProfile(address, data) {
+    await this.writeBatch(batch => batch.updateUserProfile(address, data));
+  }
+
+  /**
+   * Increment user profile counters
+   */
+  async incrementUserFields(address, deltas) {
+    await this.writeBatch(batch => batch.incrementUserFields(address, deltas));
+  }
+
+  /**
+   * Get every address with a user profile or leaderboard entry
+   */
+  async getKnownAddresses() {
+    const [users, entries] = await Promise.all([
+      this.queryDocs('users'),
+      this.queryDocs('leaderboard')
+    ]);
+
+    return [...new Set([...users, ...entries].map(({ id }) => id))];
+  }
+
+  /**
+   * Get addresses with outstanding borrows
+   */
+  async getBorrowers() {
+    const docs = await this.queryDocs('users', { where: [['borrowed', '!=', '0']] });
+    return docs.map(({ id }) => id);
+  }
+
+  /**
+   * Record a loan health snapshot and keep the latest on the user profile
+   */
+  async addHealthSnapshot(address, snapshot) {
+    await this.addDoc(`users/${address}/health_history`, snapshot);
+    await this.setDoc('users', address, {
+      address,
+      health: snapshot,
+      lastUpdate: this.now()
+    }, { merge: true });
+  }
+
+  /**
+   * Delete loan health snapshots taken before a unix time
+   */
+  async pruneHealthHistory(address, before) {
+    const collection = `users/${address}/health_history`;
+    const docs = await this.queryDocs(collection, { where: [['timestamp', '<', before]] });
+
+    for (const { id } of docs) {
+      await this.deleteDoc(collection, id);
+    }
+  }
+
+  /**
+   * Get recent loan health snapshots, newest first
+   */
+  async getHealthHistory(address, limit = 100) {
+    const docs = await this.queryDocs(`users/${address}/health_history`, {
+      orderBy: 'timestamp',
+      direction: 'desc',
+      limit
+    });
+    return docs.map(({ data }) => data);
+  }
+
+  /**
+   * Get NFTs in a user's collection
+   */
+  async getUserNFTs(address) {
+    const docs = await this.queryDocs(`users/${address}/nfts`, { orderBy: 'tokenId' });
+    return docs.map(({ data }) => data);
+  }
+
+  /**
+   * Add NFT to user's collection
+   */
+  async addUserNFT(address, nftData) {
+    await this.writeBatch(batch => batch.addUserNFT(address, nftData));
+  }
+
+  /**
+   * Mark NFT as retired
+   */
+  async retireNFT(address, tokenId) {
+    await this.writeBatch(batch => batch.retireNFT(address, tokenId));
+  }
+
+  /**
+   * Remove an NFT from a user's collection
+   */
+  async removeUserNFT(address, tokenId) {
+    await this.deleteDoc(`users/${address}/nfts`, tokenId.toString());
+  }
+
+  /**
+   * Store a user activity entry (keyed by its event, so replays overwrite it)
+   */
+  async addActivity(entry) {
+    await this.writeBatch(batch => batch.addActivity(entry));
+  }
+
+  /**
+   * Get a user's activity entries, newest first
+   * @param {Object} options - types to include, position range [since, before) and limit
+   */
+  async getUserActivity(address, { types, since, before, limit = 50 } = {}) {
+    const where = [['address', '==', address]];
+    if (types) where.push(['type', 'in', types]);
+    if (since) where.push(['position', '>=', since]);
+    if (before) where.push(['position', '<', before]);
+
+    const docs = await this.queryDocs('activity', { where, orderBy: 'position', direction: 'desc', limit });
+    return docs.map(({ data }) => data);
+  }
+
+  /**
+   * Get protocol statistics
+   */
+  async getStats() {
+    return this.getDoc('stats', 'protocol');
+  }
+
+  /**
+   * Update protocol statistics
+   */
+  async updateStats(stats) {
+    await this.setDoc('stats', 'protocol', {
+      ...stats,
+      lastUpdate: this.now()
+    }, { merge: true });
+  }
+
+  /**
+   * Increment protocol statistics counters
+   */
+  async incrementStats(deltas) {
+    await this.writeBatch(batch => batch.incrementStats(deltas));
+  }
+
+  /**
+   * Fold a stats snapshot into its hourly history bucket
+   */
+  async recordStatsSnapshot(timestamp, stats) {
+    const hour = bucketStart(timestamp, 'hour');
+    await this.updateDoc('stats_history', hour.toString(), (bucket) => addSnapshot(bucket, timestamp, stats));
+  }
+
+  /**
+   * Get hourly stats buckets starting in [from, to), oldest first
+   */
+  async getStatsHistory(from, to) {
+    const docs = await this.queryDocs('stats_history', {
+      where: [['hour', '>=', from], ['hour', '<', to]],
+      orderBy: 'hour'
+    });
+    return docs.map(({ data }) => data);
+  }
+
+  /**
+   * Update climate project
+   */
+  async updateProject(projectId, data) {
+    await this.writeBatch(batch => batch.updateProject(projectId, data));
+  }
+
+  /**
+   * Get a stored event cursor
+   */
+  async getCursor(name) {
+    return this.getDoc('cursors', name);
+  }
+
+  /**
+   * Store an event cursor
+   */
+  async saveCursor(name, cursor) {
+    await this.setDoc('cursors', name, { ...cursor, updatedAt: this.now() });
+  }
+
+  /**
+   * Record a webhook nonce
+   * @returns {boolean} false if the nonce has been seen before
+   */
+  async claimWebhookNonce(nonce, data = {}) {
+    return this.createDoc('webhook_nonces', nonce, { ...data, receivedAt: this.now() });
+  }
+
+  /**
+   * Delete webhook nonces of deliveries timestamped before a unix time
+   * @returns {number} number of nonces deleted
+   */
+  async pruneWebhookNonces(before) {
+    const docs = await this.queryDocs('webhook_nonces', { where: [['timestamp', '<', before]] });
+
+    for (const { id } of docs) {
+      await this.deleteDoc('webhook_nonces', id);
+    }
+    return docs.length;
+  }
+
+  /**
+   * Store a verification job
+   */
+  async saveVerificationJob(job) {
+    await this.setDoc('verification_jobs', job.verificationId, job, { merge: true });
+  }
+
+  /**
+   * Get a verification job
+   */
+  async getVerificationJob(verificationId) {
+    return this.getDoc('verification_jobs', verificationId);
+  }
+
+  /**
+   * Get verification jobs, optionally filtered by status and acknowledgement
+   */
+  async getVerificationJobs({ status, acknowledged, limit = 100 } = {}) {
+    const where = [];
+    if (status) where.push(['status', '==', status]);
+    if (acknowledged !== undefined) where.push(['acknowledged', '==', acknowledged]);
+
+    const docs = await this.queryDocs('verification_jobs', { where, orderBy: 'createdAt', limit });
+    return docs.map(({ data }) => data);
+  }
+
+  /**
+   * Store a tracked oracle transaction
+   */
+  async saveTransaction(record) {
+    await this.setDoc('oracle_transactions', record.id, record, { merge: true });
+  }
+
+  /**
+   * Get a tracked oracle transaction
+   */
+  async getTransaction(id) {
+    return this.getDoc('oracle_transactions', id);
+  }
+
+  /**
+   * List tracked oracle transactions, newest first
+   */
+  async getTransactions({ status, limit = 100 } = {}) {
+    const docs = await this.queryDocs('oracle_transactions', {
+      where: status ? [['status', '==', status]] : [],
+      orderBy: 'submittedAt',
+      direction: 'desc',
+      limit
+    });
+    return docs.map(({ data }) => data);
+  }
+
+  /**
+   * Store a chain reconciliation report
+   */
+  async saveReconciliationReport(report) {
+    await this.setDoc('reconciliation_reports', report.id, report);
+  }
+
+  /**
+   * Get a chain reconciliation report
+   */
+  async getReconciliationReport(id) {
+    return this.getDoc('reconciliation_reports', id);
+  }
+
+  /**
+   * List chain reconciliation reports, newest first
+   */
+  async getReconciliationReports(limit = 20) {
+    const docs = await this.queryDocs('reconciliation_reports', {
+      orderBy: 'startedAt',
+      direction: 'desc',
+      limit
+    });
+    return docs.map(({ data }) => data);
+  }
+
+  /**
+   * Store a one-time sign-in challenge
+   */
+  async saveChallenge(nonce, challenge) {
+    await this.setDoc('auth_challenges', nonce, challenge);
+  }
+
+  /**
+   * Get a challenge without consuming it
+   */
+  async getChallenge(nonce) {
+    return this.getDoc('auth_challenges', nonce);
+  }
+
+  /**
+   * Fetch and delete a challenge, so it can only be used once
+   */
+  async consumeChallenge(nonce) {
+    return this.takeDoc('auth_challenges', nonce);
+  }
+
+  /**
+   * Append an entry to the admin audit log
+   */
+  async addAuditLog(entry) {
+    await this.addDoc('audit_log', { ...entry, createdAt: this.now() });
+  }
+
+  /**
+   * Get the most recent audit log entries
+   */
+  async getAuditLog(limit = 100) {
+    const docs = await this.queryDocs('audit_log', {
+      orderBy: 'timestamp',
+      direction: 'desc',
+      limit
+    });
+    return docs.map(({ id, data }) => ({ id, ...data }));
+  }
+
+  /**
+   * Store a chat's Telegram subscription (verified wallets and notification preferences)
+   */
+  async saveTelegramSubscription(chatId, subscription) {
+    await this.setDoc('telegram_subscriptions', chatId.toString(), {
+      chatId,
+      wallets: subscription.wallets,
+      // Wallets are only stored once ownership has been proven
+      walletsVerified: true,
+      preferences: subscription.preferences,
+      active: true,
+      updatedAt: this.now()
+    }, { merge: true });
+  }
+
+  /**
+   * Remove Telegram subscription
+   */
+  async removeTelegramSubscription(chatId) {
+    await this.deleteDoc('telegram_subscriptions', chatId.toString());
+  }
+
+  /**
+   * Get all active Telegram subscriptions
+   */
+  async getTelegramSubscriptions() {
+    const docs = await this.queryDocs('telegram_subscriptions', { where: [['active', '==', true]] });
+    return docs.map(({ data }) => ({ ...data, wallets: data.wallets || [] }));
+  }
+}
+
+module.exports = DocumentStorage;
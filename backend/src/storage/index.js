@@ -0,0 +1,48 @@
+require('dotenv').config();
+
+const MemoryStorage = require('./memoryStorage');
+const SqliteStorage = require('./sqliteStorage');
+
+let exitsOnSignals = false;
+
+/**
+ * Exit normally on SIGINT and SIGTERM, once per process. A signal otherwise
+ * ends the process without running the 'exit' handlers that save a SQLite
+ * database's last changes.
+ */
+function exitOnSignals() {
+  if (exitsOnSignals) return;
+
+  exitsOnSignals = true;
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => process.exit(0));
+  }
+}
+
+/**
+ * Create the storage backend chosen by STORAGE_BACKEND:
+ * - firestore (default): Firebase Firestore
+ * - sqlite: a local SQLite file at SQLITE_PATH
+ * - memory: in-process only, lost on restart
+ */
+function createStorage(backend = process.env.STORAGE_BACKEND || 'firestore') {
+  switch (backend) {
+    case 'firestore': {
+      // Loaded lazily so offline backends never initialize Firebase
+      const FirebaseService = require('../services/firebaseService');
+      return new FirebaseService();
+    }
+    case 'sqlite':
+      exitOnSignals();
+      return new SqliteStorage({
+        filename: process.env.SQLITE_PATH || './data/greendefi.sqlite',
+        flushDelay: parseInt(process.env.SQLITE_FLUSH_DELAY || '1000')
+      });
+    case 'memory':
+      return new MemoryStorage();
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+  }
+}
+
+module.exports = { createStorage, MemoryStorage, SqliteStorage };
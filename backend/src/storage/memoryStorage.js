@@ -0,0 +1,135 @@
+const DocumentStorage = require('./documentStorage');
+const { stageWrites } = require('./writeBatch');
+
+/**
+ * Deep copy of a stored document, so callers cannot mutate storage
+ */
+function clone(data) {
+  return data ? structuredClone(data) : null;
+}
+
+/**
+ * Evaluate one where clause against a document
+ */
+function matches(data, field, op, value) {
+  if (op === '==') return data[field] === value;
+  // Like Firestore, the other operators never match documents without the field
+  if (!(field in data)) return false;
+
+  switch (op) {
+    case '!=': return data[field] !== value;
+    case '<': return data[field] < value;
+    case '<=': return data[field] <= value;
+    case '>': return data[field] > value;
+    case '>=': return data[field] >= value;
+    case 'in': return value.includes(data[field]);
+    default: throw new Error(`Unsupported operator: ${op}`);
+  }
+}
+
+/**
+ * Memory Storage
+ * Keeps every collection in a Map. Nothing survives a restart;
+ * meant for tests and quick local runs.
+ */
+class MemoryStorage extends DocumentStorage {
+  constructor(options) {
+    super(options);
+    this.collections = {};
+  }
+
+  /**
+   * Map holding a collection's documents
+   */
+  collection(name) {
+    if (!this.collections[name]) {
+      this.collections[name] = new Map();
+    }
+    return this.collections[name];
+  }
+
+  async getDoc(collection, id) {
+    return clone(this.collection(collection).get(id));
+  }
+
+  async setDoc(collection, id, data, { merge = false } = {}) {
+    const documents = this.collection(collection);
+    const current = merge ? documents.get(id) : null;
+    documents.set(id, { ...current, ...clone(data) });
+  }
+
+  async createDoc(collection, id, data) {
+    const documents = this.collection(collection);
+    if (documents.has(id)) {
+      return false;
+    }
+    documents.set(id, clone(data));
+    return true;
+  }
+
+  async updateDoc(collection, id, update) {
+    const documents = this.collection(collection);
+    documents.set(id, clone(update(clone(documents.get(id)))));
+  }
+
+  async takeDoc(collection, id) {
+    const documents = this.collection(collection);
+    const data = clone(documents.get(id));
+    documents.delete(id);
+    return data;
+  }
+
+  async deleteDoc(collection, id) {
+    this.collection(collection).delete(id);
+  }
+
+  async commitWrites(writes, { claim } = {}) {
+    if (claim && this.collection(claim.collection).has(claim.id)) {
+      return false;
+    }
+
+    // Every write is worked out before any is stored, so a failing one leaves no trace
+    const staged = stageWrites(writes, (collection, id) => clone(this.collection(collection).get(id)));
+    for (const { collection, id, data } of staged) {
+      this.collection(collection).set(id, clone(data));
+    }
+    if (claim) {
+      this.collection(claim.collection).set(claim.id, clone(claim.data));
+    }
+    return true;
+  }
+
+  async queryDocs(collection, { where = [], orderBy, direction = 'asc', limit } = {}) {
+    let docs = [...this.collection(collection)]
+      .filter(([, data]) => where.every(([field, op, value]) => matches(data, field, op, value)))
+      .map(([id, data]) => ({ id, data: clone(data) }));
+
+    if (orderBy) {
+      // Like Firestore, documents without the field are left out
+      const sign = direction === 'desc' ? -1 : 1;
+      docs = docs
+        .filter(({ data }) => data[orderBy] !== undefined && data[orderBy] !== null)
+        .sort((a, b) => {
+          const x = a.data[orderBy];
+          const y = b.data[orderBy];
+          return sign * (x < y ? -1 : x > y ? 1 : 0);
+        });
+    }
+
+    return limit ? docs.slice(0, limit) : docs;
+  }
+
+  /**
+   * Plain-object copy of the stored documents (cursors excluded)
+   */
+  snapshot() {
+    const result = {};
+    for (const [name, collection] of Object.entries(this.collections)) {
+      if (name === 'cursors') continue;
+      result[name] = Object.fromEntries(collection);
+    }
+    return JSON.parse(JSON.stringify(result));
+  }
+}
+
+module.exports = MemoryStorage;
@@ -0,0 +1,259 @@
+const fs = require('fs');
+const path = require('path');
+const initSqlJs = require('sql.js');
+const DocumentStorage = require('./documentStorage');
+const { stageWrites } = require('./writeBatch');
+
+const FIELD_PATTERN = /^\w+$/;
+const COMPARISONS = ['!=', '<', '<=', '>', '>='];
+
+/**
+ * SQLite path expression for a top-level document field
+ */
+function fieldPath(field) {
+  if (!FIELD_PATTERN.test(field)) {
+    throw new Error(`Invalid field name: ${field}`);
+  }
+  return `'$.${field}'`;
+}
+
+/**
+ * SQLite has no boolean type; JSON booleans read back as 1 and 0
+ */
+function toSqlValue(value) {
+  return typeof value === 'boolean' ? Number(value) : value;
+}
+
+/**
+ * SQLite Storage
+ * Stores documents as JSON in a single SQLite table, using sql.js
+ * (SQLite compiled to WebAssembly) so no native build is needed.
+ * sql.js keeps the database in memory and can only save it whole, so
+ * changes are written back to the file at most once per flushDelay ms,
+ * and on close or process exit; without a file it only lives in memory.
+ */
+class SqliteStorage extends DocumentStorage {
+  constructor({ filename = null, flushDelay = 1000, ...options } = {}) {
+    super(options);
+    this.filename = filename;
+    this.flushDelay = flushDelay;
+    this.flushTimer = null;
+    this.db = null;
+
+    if (this.filename) {
+      // Writes still waiting for the timer are saved when the process exits
+      this.flushOnExit = () => this.flush();
+      process.on('exit', this.flushOnExit);
+    }
+    this.ready = this.open();
+  }
+
+  /**
+   * Load the database file, or create an empty database
+   */
+  async open() {
+    const SQL = await initSqlJs();
+
+    if (this.filename && fs.existsSync(this.filename)) {
+      this.db = new SQL.Database(fs.readFileSync(this.filename));
+    } else {
+      this.db = new SQL.Database();
+    }
+
+    this.db.run(`
+      CREATE TABLE IF NOT EXISTS documents (
+        collection TEXT NOT NULL,
+        id TEXT NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (collection, id)
+      )
+    `);
+    this.flush();
+  }
+
+  /**
+   * Schedule writing the database to its file
+   */
+  persist() {
+    if (!this.filename || this.flushTimer) return;
+
+    this.flushTimer = setTimeout(() => this.flush(), this.flushDelay);
+  }
+
+  /**
+   * Write the database to its file now (temporary file + rename, so a crash
+   * never leaves a half-written database)
+   */
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    if (!this.filename || !this.db) return;
+
+    fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+    const temporary = `${this.filename}.tmp`;
+    fs.writeFileSync(temporary, Buffer.from(this.db.export()));
+    fs.renameSync(temporary, this.filename);
+  }
+
+  /**
+   * Run a query and return its rows as objects
+   */
+  select(sql, params = []) {
+    const statement = this.db.prepare(sql);
+    try {
+      statement.bind(params);
+      const rows = [];
+      while (statement.step()) {
+        rows.push(statement.getAsObject());
+      }
+      return rows;
+    } finally {
+      statement.free();
+    }
+  }
+
+  read(collection, id) {
+    const [row] = this.select(
+      'SELECT data FROM documents WHERE collection = ? AND id = ?',
+      [collection, id]
+    );
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  write(collection, id, data) {
+    this.db.run(
+      'INSERT OR REPLACE INTO documents (collection, id, data) VALUES (?, ?, ?)',
+      [collection, id, JSON.stringify(data)]
+    );
+  }
+
+  remove(collection, id) {
+    this.db.run('DELETE FROM documents WHERE collection = ? AND id = ?', [collection, id]);
+  }
+
+  // Each primitive reads and writes synchronously once the database is open,
+  // so no other operation can run in between
+
+  async getDoc(collection, id) {
+    await this.ready;
+    return this.read(collection, id);
+  }
+
+  async setDoc(collection, id, data, { merge = false } = {}) {
+    await this.ready;
+    const current = merge ? this.read(collection, id) : null;
+    this.write(collection, id, { ...current, ...data });
+    this.persist();
+  }
+
+  async createDoc(collection, id, data) {
+    await this.ready;
+    if (this.read(collection, id)) {
+      return false;
+    }
+    this.write(collection, id, data);
+    this.persist();
+    return true;
+  }
+
+  async updateDoc(collection, id, update) {
+    await this.ready;
+    this.write(collection, id, update(this.read(collection, id)));
+    this.persist();
+  }
+
+  async takeDoc(collection, id) {
+    await this.ready;
+    const data = this.read(collection, id);
+    if (data) {
+      this.remove(collection, id);
+      this.persist();
+    }
+    return data;
+  }
+
+  async deleteDoc(collection, id) {
+    await this.ready;
+    this.remove(collection, id);
+    this.persist();
+  }
+
+  async commitWrites(writes, { claim } = {}) {
+    await this.ready;
+    if (claim && this.read(claim.collection, claim.id)) {
+      return false;
+    }
+
+    const staged = stageWrites(writes, (collection, id) => this.read(collection, id));
+    this.db.run('BEGIN');
+    try {
+      for (const { collection, id, data } of staged) {
+        this.write(collection, id, data);
+      }
+      if (claim) {
+        this.write(claim.collection, claim.id, claim.data);
+      }
+      this.db.run('COMMIT');
+    } catch (error) {
+      this.db.run('ROLLBACK');
+      throw error;
+    }
+    this.persist();
+    return true;
+  }
+
+  async queryDocs(collection, { where = [], orderBy, direction = 'asc', limit } = {}) {
+    await this.ready;
+
+    const conditions = ['collection = ?'];
+    const params = [collection];
+
+    for (const [field, op, value] of where) {
+      const column = `json_extract(data, ${fieldPath(field)})`;
+
+      if (value === null) {
+        conditions.push(op === '==' ? `json_type(data, ${fieldPath(field)}) = 'null'` : `${column} IS NOT NULL`);
+      } else if (op === '==') {
+        conditions.push(`${column} = ?`);
+        params.push(toSqlValue(value));
+      } else if (op === 'in') {
+        conditions.push(`${column} IN (${value.map(() => '?').join(', ')})`);
+        params.push(...value.map(toSqlValue));
+      } else if (COMPARISONS.includes(op)) {
+        // Like Firestore, documents without the field do not match
+        conditions.push(`${column} IS NOT NULL AND ${column} ${op} ?`);
+        params.push(toSqlValue(value));
+      } else {
+        throw new Error(`Unsupported operator: ${op}`);
+      }
+    }
+
+    let sql = `SELECT id, data FROM documents WHERE ${conditions.join(' AND ')}`;
+
+    if (orderBy) {
+      const column = `json_extract(data, ${fieldPath(orderBy)})`;
+      sql += ` AND ${column} IS NOT NULL ORDER BY ${column} ${direction === 'desc' ? 'DESC' : 'ASC'}`;
+    }
+    if (limit) {
+      sql += ' LIMIT ?';
+      params.push(limit);
+    }
+
+    return this.select(sql, params).map(row => ({ id: row.id, data: JSON.parse(row.data) }));
+  }
+
+  /**
+   * Save pending changes and close the database
+   */
+  async close() {
+    await this.ready;
+    this.flush();
+    if (this.flushOnExit) {
+      process.removeListener('exit', this.flushOnExit);
+    }
+    this.db.close();
+    this.db = null;
+  }
+}
+
+module.exports = SqliteStorage;
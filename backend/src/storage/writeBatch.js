@@ -0,0 +1,171 @@
+/**
+ * Drop undefined fields (Firestore rejects them)
+ */
+function compact(data) {
+  return Object.fromEntries(
+    Object.entries(data).filter(([, value]) => value !== undefined)
+  );
+}
+
+/**
+ * Write Batch
+ * Collects the document writes of one unit of work (such as an indexed
+ * event) so a backend can commit them together or not at all.
+ *
+ * Each write is { collection, id, apply }, where apply(current) returns the
+ * new document, or undefined to leave it unchanged. Writes to the same
+ * document are applied in order.
+ */
+class WriteBatch {
+  /**
+   * @param {Object} [options] - now() gives the lastUpdate value of written documents
+   */
+  constructor({ now = Date.now } = {}) {
+    this.now = now;
+    this.writes = [];
+  }
+
+  /**
+   * Replace a document with apply(current)
+   */
+  update(collection, id, apply) {
+    this.writes.push({ collection, id, apply });
+  }
+
+  /**
+   * Write a document, merging into the existing one if requested
+   */
+  set(collection, id, data, { merge = false } = {}) {
+    this.update(collection, id, (current) => (merge ? { ...current, ...compact(data) } : compact(data)));
+  }
+
+  /**
+   * Add deltas to numeric fields of a document.
+   * BigInt deltas are stored as decimal strings so wei amounts keep full precision.
+   */
+  increment(collection, id, deltas, data = {}) {
+    this.update(collection, id, (current) => {
+      const update = { ...(current || {}), ...data };
+
+      for (const [field, delta] of Object.entries(deltas)) {
+        const value = current ? current[field] : undefined;
+        if (typeof delta === 'bigint') {
+          update[field] = (BigInt(value || 0) + delta).toString();
+        } else {
+          update[field] = (value || 0) + delta;
+        }
+      }
+
+      return { ...update, lastUpdate: this.now() };
+    });
+  }
+
+  /**
+   * Update leaderboard entry
+   */
+  updateLeaderboard(address, data) {
+    this.set('leaderboard', address, {
+      address,
+      totalCarbonOffset: data.totalCarbonOffset,
+      nftCount: data.nftCount,
+      rank: data.rank,
+      badge: data.badge,
+      lastUpdate: this.now()
+    }, { merge: true });
+  }
+
+  /**
+   * Increment leaderboard counters
+   */
+  incrementLeaderboardFields(address, deltas) {
+    this.increment('leaderboard', address, deltas, { address });
+  }
+
+  /**
+   * Update user profile
+   */
+  updateUserProfile(address, data) {
+    this.set('users', address, { address, ...data, lastUpdate: this.now() }, { merge: true });
+  }
+
+  /**
+   * Increment user profile counters
+   */
+  incrementUserFields(address, deltas) {
+    this.increment('users', address, deltas, { address });
+  }
+
+  /**
+   * Add NFT to user's collection
+   */
+  addUserNFT(address, nftData) {
+    this.set(`users/${address}/nfts`, nftData.tokenId.toString(), {
+      tokenId: nftData.tokenId,
+      carbonTons: nftData.carbonTons,
+      verificationId: nftData.verificationId,
+      issuer: nftData.issuer || null,
+      projectId: nftData.projectId || null,
+      mintedAt: nftData.timestamp,
+      isRetired: false
+    });
+  }
+
+  /**
+   * Mark NFT as retired (an NFT that was never stored is left out rather
+   * than created with only its retirement fields)
+   */
+  retireNFT(address, tokenId) {
+    this.update(`users/${address}/nfts`, tokenId.toString(), (current) => (
+      current ? { ...current, isRetired: true, retiredAt: this.now() } : undefined
+    ));
+  }
+
+  /**
+   * Store a user activity entry (keyed by its event, so replays overwrite it)
+   */
+  addActivity(entry) {
+    this.set('activity', entry.id, entry);
+  }
+
+  /**
+   * Increment protocol statistics counters
+   */
+  incrementStats(deltas) {
+    this.increment('stats', 'protocol', deltas);
+  }
+
+  /**
+   * Update climate project
+   */
+  updateProject(projectId, data) {
+    this.set('projects', projectId.toString(), {
+      projectId,
+      ...data,
+      lastUpdate: this.now()
+    }, { merge: true });
+  }
+}
+
+/**
+ * Work out the documents a list of writes produces, without storing anything
+ * @param {Array} writes - WriteBatch writes
+ * @param {Function} read - read(collection, id) → current document or null
+ * @returns {Array} [{ collection, id, data }], one per changed document
+ */
+function stageWrites(writes, read) {
+  const staged = new Map();
+
+  for (const { collection, id, apply } of writes) {
+    const key = `${collection}\u0000${id}`;
+    const current = staged.has(key) ? staged.get(key).data : read(collection, id);
+    const data = apply(current);
+
+    if (data !== undefined) {
+      staged.set(key, { collection, id, data });
+    }
+  }
+
+  return [...staged.values()];
+}
+
+module.exports = { WriteBatch, stageWrites, compact };
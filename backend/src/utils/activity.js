@@ -0,0 +1,125 @@
+/**
+ * Activity entry types and the events they are built from.
+ * Each builder returns the user the entry belongs to and its details;
+ * amounts are wei strings.
+ */
+const ACTIVITY_TYPES = {
+  deposit: {
+    event: 'Deposited',
+    contract: 'lendingPool',
+    build: event => ({ user: event.user, amount: event.amount.toString() })
+  },
+  borrow: {
+    event: 'Borrowed',
+    contract: 'lendingPool',
+    build: event => ({ user: event.user, amount: event.amount.toString() })
+  },
+  repay: {
+    event: 'Repaid',
+    contract: 'lendingPool',
+    // Interest is paid off first, the remainder reduces principal
+    build: event => ({
+      user: event.user,
+      amount: event.amount.toString(),
+      interest: event.interest.toString(),
+      principal: (event.amount - event.interest).toString()
+    })
+  },
+  withdraw: {
+    event: 'Withdrawn',
+    contract: 'lendingPool',
+    build: event => ({ user: event.user, amount: event.amount.toString() })
+  },
+  mint: {
+    event: 'NFTMinted',
+    contract: 'greenRewardManager',
+    build: event => ({
+      user: event.owner,
+      tokenId: Number(event.tokenId),
+      carbonTons: Number(event.carbonTons),
+      verificationId: event.verificationId
+    })
+  },
+  retire: {
+    event: 'NFTRetired',
+    contract: 'greenRewardManager',
+    build: event => ({ user: event.owner, tokenId: Number(event.tokenId) })
+  },
+  stake: {
+    event: 'Staked',
+    contract: 'climateFundVault',
+    build: event => ({ user: event.user, amount: event.amount.toString() })
+  },
+  unstake: {
+    event: 'Withdrawn',
+    contract: 'climateFundVault',
+    build: event => ({ user: event.user, amount: event.amount.toString() })
+  },
+  claim: {
+    event: 'RewardsClaimed',
+    contract: 'climateFundVault',
+    build: event => ({ user: event.user, amount: event.amount.toString() })
+  }
+};
+
+/**
+ * Activity type of a decoded event, or null if it is not user activity
+ */
+function activityType(event) {
+  const match = Object.entries(ACTIVITY_TYPES).find(([, definition]) =>
+    definition.event === event.type && definition.contract === event.contract
+  );
+  return match ? match[0] : null;
+}
+
+/**
+ * Sortable position of an event: its consensus timestamp ("seconds.nanos",
+ * fixed width) followed by its log index, so entries of one transaction
+ * keep their log order
+ */
+function activityPosition(timestamp, logIndex = 0) {
+  return `${timestamp}-${String(logIndex).padStart(6, '0')}`;
+}
+
+/**
+ * Position bound for a time in unix milliseconds; every event at or after
+ * the time sorts at or after the bound
+ */
+function positionAt(milliseconds) {
+  const seconds = Math.floor(milliseconds / 1000);
+  const millis = String(milliseconds % 1000).padStart(3, '0');
+  return `${seconds}.${millis}000000`;
+}
+
+/**
+ * Build the activity entry of a decoded event
+ * @returns {Object|null} null for events that are not user activity
+ */
+function buildActivity(event) {
+  const type = activityType(event);
+
+  if (!type || !event.txHash || !event.timestamp) {
+    return null;
+  }
+
+  const { user, ...details } = ACTIVITY_TYPES[type].build(event);
+
+  return {
+    id: `${event.txHash}-${event.logIndex}`,
+    address: user.toLowerCase(),
+    type,
+    ...details,
+    timestamp: Math.floor(parseFloat(event.timestamp)),
+    consensusTimestamp: event.timestamp,
+    position: activityPosition(event.timestamp, event.logIndex),
+    txHash: event.txHash,
+    logIndex: event.logIndex,
+    blockNumber: event.blockNumber
+  };
+}
+
+module.exports = {
+  ACTIVITY_TYPES,
+  positionAt,
+  buildActivity
+};
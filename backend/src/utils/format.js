@@ -0,0 +1,34 @@
+const { ethers } = require('ethers');
+
+/**
+ * Format a wei amount (bigint or decimal string) as HBAR with thousands separators
+ */
+function formatHBAR(amount, decimals = 2) {
+  const value = parseFloat(ethers.formatEther(BigInt(amount || 0)));
+
+  return value.toLocaleString('en-US', {
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals
+  });
+}
+
+/**
+ * Shorten an address to 0x1234...abcd
+ */
+function shortenAddress(address) {
+  if (!address || address.length < 10) return address || '';
+  return `${address.slice(0, 6)}...${address.slice(-4)}`;
+}
+
+/**
+ * Escape text for Telegram's Markdown parse mode
+ */
+function escapeMarkdown(text) {
+  return String(text).replace(/([_*`\[])/g, '\\$1');
+}
+
+module.exports = {
+  formatHBAR,
+  shortenAddress,
+  escapeMarkdown
+};
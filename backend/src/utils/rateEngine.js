@@ -0,0 +1,95 @@
+/**
+ * Rate Engine
+ * JavaScript copy of the on-chain rate math: InterestRateModel's kinked
+ * borrow and supply rates, GreenRewardManager's NFT discount and
+ * LendingPool's interest accrual. All arithmetic is BigInt with the same
+ * operation order as the contracts, so results match them exactly
+ * (including integer rounding). Rates are whole % per year.
+ */
+
+const SECONDS_PER_YEAR = 365n * 24n * 60n * 60n;
+
+// GreenRewardManager.BASE_RATE_REDUCTION and MAX_RATE_REDUCTION
+const DEFAULT_REDUCTIONS = {
+  baseRateReduction: 10n,
+  maxRateReduction: 50n
+};
+
+/**
+ * InterestRateModel.getUtilizationRate
+ */
+function getUtilizationRate(totalDeposits, totalBorrows) {
+  if (totalDeposits === 0n) {
+    return 0n;
+  }
+  return (totalBorrows * 100n) / totalDeposits;
+}
+
+/**
+ * InterestRateModel.getBorrowRate
+ * @param {Object} model - baseRatePerYear, multiplierPerYear, jumpMultiplierPerYear and kink
+ */
+function getBorrowRate(model, totalDeposits, totalBorrows) {
+  if (totalDeposits === 0n) {
+    return model.baseRatePerYear;
+  }
+
+  const utilization = getUtilizationRate(totalDeposits, totalBorrows);
+
+  if (utilization <= model.kink) {
+    return model.baseRatePerYear + (utilization * model.multiplierPerYear) / 100n;
+  }
+
+  const normalRate = model.baseRatePerYear + (model.kink * model.multiplierPerYear) / 100n;
+  const excessUtil = utilization - model.kink;
+  return normalRate + (excessUtil * model.jumpMultiplierPerYear) / 100n;
+}
+
+/**
+ * InterestRateModel.getSupplyRate
+ */
+function getSupplyRate(model, totalDeposits, totalBorrows, reserveFactor) {
+  if (totalDeposits === 0n) {
+    return 0n;
+  }
+
+  const borrowRate = getBorrowRate(model, totalDeposits, totalBorrows);
+  const utilization = getUtilizationRate(totalDeposits, totalBorrows);
+
+  const rateToPool = (borrowRate * (100n - reserveFactor)) / 100n;
+  return (rateToPool * utilization) / 100n;
+}
+
+/**
+ * GreenRewardManager.getAdjustedInterestRate for a borrower with activeNFTCount NFTs
+ */
+function getAdjustedInterestRate(baseRate, activeNFTCount, reductions = DEFAULT_REDUCTIONS) {
+  if (activeNFTCount === 0n) {
+    return baseRate;
+  }
+
+  let reductionPercent = activeNFTCount * reductions.baseRateReduction;
+  if (reductionPercent > reductions.maxRateReduction) {
+    reductionPercent = reductions.maxRateReduction;
+  }
+
+  const reduction = (baseRate * reductionPercent) / 100n;
+  return baseRate - reduction;
+}
+
+/**
+ * Interest LendingPool accrues on a principal at a rate over a number of seconds
+ */
+function calculateInterest(principal, rate, seconds) {
+  return (principal * rate * seconds) / (SECONDS_PER_YEAR * 100n);
+}
+
+module.exports = {
+  SECONDS_PER_YEAR,
+  DEFAULT_REDUCTIONS,
+  getUtilizationRate,
+  getBorrowRate,
+  getSupplyRate,
+  getAdjustedInterestRate,
+  calculateInterest
+};
@@ -0,0 +1,147 @@
+/**
+ * Stats History
+ * Time series of protocol metrics. Each snapshot is folded into an hourly
+ * bucket (sum, count, min, max and last value per metric), so day and week
+ * series are built from at most a few thousand hourly buckets.
+ */
+
+// Charted metrics: wei amounts are kept as decimal strings
+const METRICS = {
+  totalDeposits: 'wei',
+  totalBorrows: 'wei',
+  utilization: 'number',
+  borrowAPR: 'number',
+  supplyAPR: 'number',
+  totalCarbonOffset: 'number',
+  totalStaked: 'wei'
+};
+
+const HOUR = 3600000;
+
+const INTERVALS = {
+  hour: HOUR,
+  day: 24 * HOUR,
+  week: 7 * 24 * HOUR
+};
+
+// 1970-01-01 was a Thursday; weeks start on Monday (UTC)
+const WEEK_OFFSET = 4 * 24 * HOUR;
+
+const MAX_POINTS = 1000;
+
+/**
+ * Start of the bucket a timestamp (ms) falls in
+ */
+function bucketStart(timestamp, interval) {
+  const size = INTERVALS[interval];
+  const offset = interval === 'week' ? WEEK_OFFSET : 0;
+
+  return Math.floor((timestamp - offset) / size) * size + offset;
+}
+
+/**
+ * Arithmetic for a metric type
+ */
+function arithmetic(type) {
+  if (type === 'wei') {
+    return {
+      add: (a, b) => (BigInt(a) + BigInt(b)).toString(),
+      less: (a, b) => BigInt(a) < BigInt(b),
+      average: (sum, count) => (BigInt(sum) / BigInt(count)).toString()
+    };
+  }
+  return {
+    add: (a, b) => a + b,
+    less: (a, b) => a < b,
+    average: (sum, count) => sum / count
+  };
+}
+
+/**
+ * Combine two aggregates of the same metric
+ */
+function combine(type, a, b) {
+  if (!a) return b;
+  if (!b) return a;
+
+  const { add, less } = arithmetic(type);
+  const latest = b.lastAt >= a.lastAt ? b : a;
+
+  return {
+    sum: add(a.sum, b.sum),
+    count: a.count + b.count,
+    min: less(b.min, a.min) ? b.min : a.min,
+    max: less(a.max, b.max) ? b.max : a.max,
+    last: latest.last,
+    lastAt: latest.lastAt
+  };
+}
+
+/**
+ * Fold a stats snapshot into its hourly bucket
+ * @param {Object|null} bucket - the stored bucket, if any
+ * @param {number} timestamp - snapshot time (ms)
+ * @param {Object} stats - published protocol stats
+ */
+function addSnapshot(bucket, timestamp, stats) {
+  const metrics = { ...(bucket ? bucket.metrics : {}) };
+
+  for (const [metric, type] of Object.entries(METRICS)) {
+    const value = stats[metric];
+    if (value === undefined || value === null) continue;
+
+    const normalized = type === 'wei' ? BigInt(value).toString() : Number(value);
+    metrics[metric] = combine(type, metrics[metric], {
+      sum: normalized,
+      count: 1,
+      min: normalized,
+      max: normalized,
+      last: normalized,
+      lastAt: timestamp
+    });
+  }
+
+  return {
+    hour: bucketStart(timestamp, 'hour'),
+    metrics,
+    updatedAt: timestamp
+  };
+}
+
+/**
+ * Downsample hourly buckets into a series for one metric
+ * @returns {Array} points ({ timestamp, average, min, max, last, count }), oldest first
+ */
+function downsample(buckets, metric, interval) {
+  const type = METRICS[metric];
+  const { average } = arithmetic(type);
+  const merged = new Map();
+
+  for (const bucket of buckets) {
+    const aggregate = bucket.metrics && bucket.metrics[metric];
+    if (!aggregate) continue;
+
+    const start = bucketStart(bucket.hour, interval);
+    merged.set(start, combine(type, merged.get(start), aggregate));
+  }
+
+  return [...merged.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([timestamp, aggregate]) => ({
+      timestamp,
+      average: average(aggregate.sum, aggregate.count),
+      min: aggregate.min,
+      max: aggregate.max,
+      last: aggregate.last,
+      count: aggregate.count
+    }));
+}
+
+module.exports = {
+  METRICS,
+  INTERVALS,
+  MAX_POINTS,
+  bucketStart,
+  addSnapshot,
+  downsample
+};
@@ -0,0 +1,173 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+
+const { MemoryStorage } = require('../src/storage');
+const AuthService = require('../src/services/authService');
+
+const admin = ethers.Wallet.createRandom();
+const user = ethers.Wallet.createRandom();
+
+let storage;
+let auth;
+
+/**
+ * Sign in a wallet and return the session
+ */
+async function signIn(wallet) {
+  const { message } = await auth.createChallenge(wallet.address);
+  return auth.login(message, await wallet.signMessage(message));
+}
+
+/**
+ * Run a middleware against a fake request and report how it responded
+ */
+function runMiddleware(middleware, headers = {}) {
+  const req = { headers, method: 'POST', originalUrl: '/api/test', params: {}, body: {} };
+  const res = {};
+  const result = { req, res, outcome: { next: false } };
+
+  res.statusCode = 200;
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    result.outcome = { status: res.statusCode, body };
+    return res;
+  };
+
+  middleware(req, res, () => {
+    result.outcome = { next: true };
+  });
+  return result;
+}
+
+beforeEach(() => {
+  process.env.AUTH_TOKEN_SECRET = 'test-auth-secret';
+  process.env.ADMIN_ADDRESSES = admin.address;
+  process.env.ORACLE_OPERATOR_ADDRESSES = '';
+  storage = new MemoryStorage();
+  auth = new AuthService({ storage });
+});
+
+test('signs in a wallet with the role from configuration', async () => {
+  const adminSession = await signIn(admin);
+  assert.equal(adminSession.address, admin.address.toLowerCase());
+  assert.equal(adminSession.role, 'admin');
+  assert.deepEqual(auth.verifyToken(adminSession.token), {
+    address: admin.address.toLowerCase(),
+    role: 'admin'
+  });
+
+  const userSession = await signIn(user);
+  assert.equal(userSession.role, 'user');
+});
+
+test('rejects reused challenges and signatures from another wallet', async () => {
+  const { message } = await auth.createChallenge(admin.address);
+  const signature = await admin.signMessage(message);
+
+  await auth.login(message, signature);
+  await assert.rejects(auth.login(message, signature), /already used/);
+
+  const second = await auth.createChallenge(admin.address);
+  await assert.rejects(
+    auth.login(second.message, await user.signMessage(second.message)),
+    /does not match/
+  );
+
+  // A bad signature does not use up the challenge
+  const session = await auth.login(second.message, await admin.signMessage(second.message));
+  assert.equal(session.role, 'admin');
+});
+
+test('keeps Telegram link challenges separate from sign-in', async () => {
+  const { message, nonce } = await auth.createChallenge(user.address, {
+    purpose: 'telegram-link',
+    data: { chatId: 42 }
+  });
+  const signature = await user.signMessage(message);
+
+  assert.equal(await auth.getChallenge(nonce), null);
+  assert.equal((await auth.getChallenge(nonce, 'telegram-link')).chatId, 42);
+
+  await assert.rejects(auth.login(message, signature), /Unknown or already used/);
+
+  const relinked = await auth.createChallenge(user.address, {
+    purpose: 'telegram-link',
+    data: { chatId: 42 }
+  });
+  const challenge = await auth.verifyChallenge(
+    relinked.message,
+    await user.signMessage(relinked.message),
+    'telegram-link'
+  );
+  assert.equal(challenge.address, user.address.toLowerCase());
+  assert.equal(challenge.chatId, 42);
+});
+
+test('rejects tampered and expired tokens', async () => {
+  const { token } = await signIn(user);
+  const [header, , signature] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({
+    sub: user.address.toLowerCase(),
+    role: 'admin',
+    iat: 0,
+    exp: 9999999999
+  })).toString('base64url');
+
+  assert.equal(auth.verifyToken(`${header}.${forged}.${signature}`), null);
+
+  auth.tokenTtl = -1;
+  const expired = auth.issueToken(user.address.toLowerCase(), 'user');
+  assert.equal(auth.verifyToken(expired.token), null);
+});
+
+test('route guards check the token and role', async () => {
+  const guard = auth.requireRole('admin');
+
+  assert.equal(runMiddleware(guard).outcome.status, 401);
+
+  const userSession = await signIn(user);
+  const asUser = runMiddleware(guard, { authorization: `Bearer ${userSession.token}` });
+  assert.equal(asUser.outcome.status, 403);
+
+  const adminSession = await signIn(admin);
+  const asAdmin = runMiddleware(guard, { authorization: `Bearer ${adminSession.token}` });
+  assert.equal(asAdmin.outcome.next, true);
+  assert.equal(asAdmin.req.auth.role, 'admin');
+});
+
+test('audit middleware records the actor, status and listed body fields before responding', async () => {
+  const result = runMiddleware(auth.audit('manual-mint', { body: ['recipientAddress'] }));
+  result.req.auth = { address: admin.address.toLowerCase(), role: 'admin' };
+  result.req.body = { recipientAddress: user.address, note: 'not recorded' };
+
+  result.res.status(201).json({ success: true });
+  // Sent once the entry has been written
+  assert.deepEqual(result.outcome, { next: true });
+  await new Promise(setImmediate);
+
+  const [entry] = storage.collection('audit_log').values();
+  assert.equal(entry.action, 'manual-mint');
+  assert.equal(entry.actor, admin.address.toLowerCase());
+  assert.equal(entry.status, 201);
+  assert.deepEqual(entry.body, { recipientAddress: user.address });
+  assert.deepEqual(result.outcome, { status: 201, body: { success: true } });
+});
+
+test('audit middleware fails the request when the entry cannot be written', async () => {
+  storage.addAuditLog = async () => {
+    throw new Error('storage unavailable');
+  };
+  const result = runMiddleware(auth.audit('retry-verification'));
+
+  result.res.json({ success: true });
+  await new Promise(setImmediate);
+
+  assert.deepEqual(result.outcome, {
+    status: 500,
+    body: { success: false, error: 'Could not write the audit log' }
+  });
+});
@@ -0,0 +1,219 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const CredentialVerifier = require('../src/services/credentialVerifier');
+
+const { canonicalize } = CredentialVerifier;
+const RECIPIENT = '0x1f3a5b7c9d2e4f6a8b0c1d3e5f7a9b2c4d6e8f01';
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+function encodeBase58(bytes) {
+  let value = BigInt(`0x${Buffer.from(bytes).toString('hex') || '0'}`);
+  let text = '';
+  while (value > 0n) {
+    text = BASE58_ALPHABET[Number(value % 58n)] + text;
+    value /= 58n;
+  }
+  for (const byte of bytes) {
+    if (byte !== 0) break;
+    text = `1${text}`;
+  }
+  return text;
+}
+
+/**
+ * Create an Ed25519 did:key issuer
+ */
+function createIssuer() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  const raw = Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url');
+  const did = `did:key:z${encodeBase58(Buffer.concat([Buffer.from([0xed, 0x01]), raw]))}`;
+  return { did, privateKey };
+}
+
+/**
+ * Sign a credential with an eddsa-jcs-2022 proof
+ */
+function sign(credential, { did, privateKey }) {
+  const proofOptions = {
+    type: 'DataIntegrityProof',
+    cryptosuite: 'eddsa-jcs-2022',
+    created: '2025-01-01T00:00:00Z',
+    verificationMethod: `${did}#${did.slice('did:key:'.length)}`,
+    proofPurpose: 'assertionMethod'
+  };
+  const hashData = Buffer.concat([
+    crypto.createHash('sha256').update(canonicalize(proofOptions)).digest(),
+    crypto.createHash('sha256').update(canonicalize(credential)).digest()
+  ]);
+  const signature = crypto.sign(null, hashData, privateKey);
+
+  return { ...credential, proof: { ...proofOptions, proofValue: `z${encodeBase58(signature)}` } };
+}
+
+function createCredential(issuer, subject = {}) {
+  return {
+    '@context': ['https://www.w3.org/ns/credentials/v2'],
+    type: ['VerifiableCredential'],
+    issuer: issuer.did,
+    validFrom: '2025-01-01T00:00:00Z',
+    credentialSubject: {
+      verificationId: 'VER-1',
+      carbonTonsOffset: 10,
+      projectId: 'PROJECT-1',
+      issuer: 'Verra',
+      recipientAddress: RECIPIENT,
+      ...subject
+    }
+  };
+}
+
+function createVerification(credentials, overrides = {}) {
+  return {
+    verificationId: 'VER-1',
+    recipientAddress: RECIPIENT,
+    carbonTonsOffset: 10,
+    projectId: 'PROJECT-1',
+    issuer: 'Verra',
+    verifiableCredentials: credentials,
+    ...overrides
+  };
+}
+
+test('accepts a credential signed by a trusted issuer that matches the verification', () => {
+  const issuer = createIssuer();
+  const verifier = new CredentialVerifier([{ did: issuer.did }]);
+  const credential = sign(createCredential(issuer), issuer);
+
+  assert.equal(verifier.getVerificationError(createVerification([credential])), null);
+  assert.equal(verifier.getVerificationError(createVerification(credential)), null);
+});
+
+test('rejects missing credentials and untrusted issuers', () => {
+  const trusted = createIssuer();
+  const untrusted = createIssuer();
+  const verifier = new CredentialVerifier([{ did: trusted.did }]);
+
+  assert.equal(verifier.getVerificationError(createVerification({})), 'Missing verifiable credential');
+  assert.match(
+    verifier.getVerificationError(createVerification([sign(createCredential(untrusted), untrusted)])),
+    /is not trusted/
+  );
+});
+
+test('rejects tampered, forged and expired credentials', () => {
+  const issuer = createIssuer();
+  const forger = createIssuer();
+  const verifier = new CredentialVerifier([{ did: issuer.did }]);
+
+  const tampered = sign(createCredential(issuer), issuer);
+  tampered.credentialSubject = { ...tampered.credentialSubject, carbonTonsOffset: 1000 };
+  assert.equal(
+    verifier.getVerificationError(createVerification([tampered], { carbonTonsOffset: 1000 })),
+    'Credential proof signature is invalid'
+  );
+
+  // Signed by another key but claiming the trusted issuer
+  const forged = sign(createCredential(issuer), forger);
+  assert.equal(
+    verifier.getVerificationError(createVerification([forged])),
+    'Credential proof was not made by its issuer'
+  );
+
+  const expired = sign({ ...createCredential(issuer), validUntil: '2020-01-01T00:00:00Z' }, issuer);
+  assert.equal(verifier.getVerificationError(createVerification([expired])), 'Credential has expired');
+
+  const early = sign({ ...createCredential(issuer), validFrom: '2999-01-01T00:00:00Z' }, issuer);
+  assert.equal(verifier.getVerificationError(createVerification([early])), 'Credential is not valid yet');
+
+  const undated = sign({ ...createCredential(issuer), validUntil: 'next year' }, issuer);
+  assert.equal(
+    verifier.getVerificationError(createVerification([undated])),
+    'Credential validUntil is not a valid date'
+  );
+  const garbled = sign({ ...createCredential(issuer), validFrom: '2024-13-45' }, issuer);
+  assert.equal(
+    verifier.getVerificationError(createVerification([garbled])),
+    'Credential validFrom is not a valid date'
+  );
+});
+
+test('rejects a credential replayed for another verification', () => {
+  const issuer = createIssuer();
+  const verifier = new CredentialVerifier([{ did: issuer.did }]);
+  const credential = sign(createCredential(issuer), issuer);
+
+  assert.equal(
+    verifier.getVerificationError(createVerification([credential], { verificationId: 'VER-2' })),
+    'verificationId does not match the credential'
+  );
+
+  // Without a verificationId in the subject, the credential's id binds it
+  const identified = sign({ ...createCredential(issuer, { verificationId: undefined }), id: 'VER-1' }, issuer);
+  assert.equal(verifier.getVerificationError(createVerification([identified])), null);
+  assert.equal(
+    verifier.getVerificationError(createVerification([identified], { verificationId: 'VER-2' })),
+    'verificationId does not match the credential'
+  );
+
+  const unbound = sign(createCredential(issuer, { verificationId: undefined }), issuer);
+  assert.equal(
+    verifier.getVerificationError(createVerification([unbound])),
+    'verificationId does not match the credential'
+  );
+});
+
+test('rejects a credential redirected to another recipient', () => {
+  const issuer = createIssuer();
+  const verifier = new CredentialVerifier([{ did: issuer.did }]);
+  const attacker = '0x2a4c6e8f0b1d3f5a7c9e2b4d6f8a0c1e3b5d7f92';
+
+  const credential = sign(createCredential(issuer), issuer);
+  assert.equal(
+    verifier.getVerificationError(createVerification([credential], { recipientAddress: attacker })),
+    'recipientAddress does not match the credential subject'
+  );
+
+  // A subject that names no recipient cannot be claimed by anyone
+  const unaddressed = sign(createCredential(issuer, { recipientAddress: undefined }), issuer);
+  assert.equal(
+    verifier.getVerificationError(createVerification([unaddressed], { recipientAddress: attacker })),
+    'recipientAddress does not match the credential subject'
+  );
+  // Addresses compare case-insensitively
+  const uppercase = sign(createCredential(issuer, { recipientAddress: RECIPIENT.toUpperCase().replace('0X', '0x') }), issuer);
+  assert.equal(verifier.getVerificationError(createVerification([uppercase])), null);
+});
+
+test('rejects verifications that do not match the credential subject', () => {
+  const issuer = createIssuer();
+  const verifier = new CredentialVerifier([{ did: issuer.did, name: 'Gold Standard' }]);
+  const credential = sign(createCredential(issuer), issuer);
+
+  assert.equal(
+    verifier.getVerificationError(createVerification([credential], { carbonTonsOffset: 11 })),
+    'carbonTonsOffset does not match the credential subject'
+  );
+  assert.equal(
+    verifier.getVerificationError(createVerification([credential], { projectId: 'PROJECT-2' })),
+    'projectId does not match the credential subject'
+  );
+  assert.equal(
+    verifier.getVerificationError(createVerification([credential], { issuer: 'Someone Else' })),
+    'issuer does not match the credential subject'
+  );
+  assert.equal(
+    verifier.getVerificationError(createVerification([credential], {
+      recipientAddress: '0x2a4c6e8f0b1d3f5a7c9e2b4d6f8a0c1e3b5d7f92'
+    })),
+    'recipientAddress does not match the credential subject'
+  );
+
+  // Without an issuer in the subject, the trusted issuer's name is used
+  const unnamed = sign(createCredential(issuer, { issuer: undefined }), issuer);
+  assert.equal(
+    verifier.getVerificationError(createVerification([unnamed], { issuer: 'Gold Standard' })),
+    null
+  );
+});
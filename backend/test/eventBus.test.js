@@ -0,0 +1,18 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const EventBus = require('../src/services/eventBus');
+
+test('a subscriber that throws does not keep the others from the event', async () => {
+  const eventBus = new EventBus();
+  const received = [];
+  eventBus.subscribe('NFTMinted', () => {
+    throw new Error('broken subscriber');
+  });
+  eventBus.subscribe('*', async (event) => {
+    received.push(event.tokenId);
+  });
+
+  await eventBus.publish({ type: 'NFTMinted', tokenId: 1n });
+  assert.deepEqual(received, [1n]);
+});
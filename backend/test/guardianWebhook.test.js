@@ -0,0 +1,168 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const express = require('express');
+
+const { MemoryStorage } = require('../src/storage');
+const GuardianWebhook = require('../src/services/guardianWebhook');
+
+const SECRET = 'test-webhook-secret';
+
+const payload = {
+  verificationId: 'VER-1',
+  recipientAddress: '0x1f3a5b7c9d2e4f6a8b0c1d3e5f7a9b2c4d6e8f01',
+  carbonTonsOffset: 10,
+  issuer: 'Verra',
+  projectId: 'PROJECT-1',
+  verifiableCredentials: []
+};
+
+let webhook;
+let storage;
+
+/**
+ * Build a signed delivery the way Guardian sends it
+ */
+function deliver(body, { timestamp = Math.floor(Date.now() / 1000), nonce = crypto.randomUUID() } = {}) {
+  const rawBody = Buffer.from(JSON.stringify(body));
+  const signature = crypto
+    .createHmac('sha256', SECRET)
+    .update(`${timestamp}.${nonce}.${rawBody}`)
+    .digest('hex');
+
+  return {
+    headers: {
+      'x-guardian-signature': `sha256=${signature}`,
+      'x-guardian-timestamp': timestamp.toString(),
+      'x-guardian-nonce': nonce
+    },
+    rawBody
+  };
+}
+
+beforeEach(() => {
+  process.env.GUARDIAN_WEBHOOK_SECRET = SECRET;
+  storage = new MemoryStorage();
+  webhook = new GuardianWebhook({ nonceStore: storage });
+});
+
+/**
+ * Serve the webhook route the way server.js mounts it
+ */
+async function listen(guardianOracle) {
+  const app = express();
+  app.use(express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    }
+  }));
+  app.use('/api/webhook/guardian', webhook.createRouter(guardianOracle));
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const url = `http://127.0.0.1:${server.address().port}/api/webhook/guardian`;
+
+  return { server, url };
+}
+
+function post(url, { headers, rawBody }) {
+  return fetch(url, {
+    method: 'POST',
+    headers: { ...headers, 'content-type': 'application/json' },
+    body: rawBody
+  });
+}
+
+test('accepts a correctly signed delivery once', async () => {
+  const { headers, rawBody } = deliver(payload);
+
+  assert.equal(await webhook.authenticate(headers, rawBody), null);
+  assert.equal(await webhook.authenticate(headers, rawBody), 'Nonce has already been used');
+});
+
+test('rejects unsigned, tampered and wrongly keyed deliveries', async () => {
+  const { headers, rawBody } = deliver(payload);
+
+  assert.equal(await webhook.authenticate({}, rawBody), 'Missing signature headers');
+
+  const tampered = Buffer.from(JSON.stringify({ ...payload, carbonTonsOffset: 1000 }));
+  assert.equal(await webhook.authenticate(headers, tampered), 'Invalid signature');
+
+  process.env.GUARDIAN_WEBHOOK_SECRET = 'another-secret';
+  const otherKey = new GuardianWebhook({ nonceStore: new MemoryStorage() });
+  assert.equal(await otherKey.authenticate(headers, rawBody), 'Invalid signature');
+});
+
+test('rejects deliveries outside the timestamp window', async () => {
+  const stale = deliver(payload, { timestamp: Math.floor(Date.now() / 1000) - 3600 });
+
+  assert.equal(
+    await webhook.authenticate(stale.headers, stale.rawBody),
+    'Request timestamp outside the allowed window'
+  );
+});
+
+test('validates the payload and drops unknown fields', () => {
+  const { errors, verification } = webhook.validatePayload({ ...payload, extra: 'ignored' });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(verification, payload);
+
+  const invalid = webhook.validatePayload({
+    ...payload,
+    verificationId: 'a/b',
+    recipientAddress: '0x123',
+    carbonTonsOffset: 1.5
+  });
+  assert.equal(invalid.errors.length, 3);
+
+  assert.deepEqual(webhook.validatePayload([]).errors, ['Body must be a JSON object']);
+});
+
+test('prunes nonces that have left the timestamp window', async () => {
+  const now = Math.floor(Date.now() / 1000);
+  await storage.claimWebhookNonce('old-nonce-0123456789', { timestamp: now - 301 });
+  await storage.claimWebhookNonce('recent-nonce-0123456789', { timestamp: now - 299 });
+
+  const { headers, rawBody } = deliver(payload);
+  assert.equal(await webhook.authenticate(headers, rawBody), null);
+
+  const nonces = await storage.queryDocs('webhook_nonces');
+  assert.deepEqual(nonces.map(({ id }) => id).sort(), [headers['x-guardian-nonce'], 'recent-nonce-0123456789'].sort());
+
+  // At most once per window
+  assert.equal(await webhook.pruneNonces(), 0);
+});
+
+test('queues a signed delivery with 202 and rejects its replay', async () => {
+  const accepted = [];
+  const guardianOracle = {
+    async acceptVerification(verification) {
+      accepted.push(verification);
+      return { success: false, status: 'pending', verificationId: verification.verificationId };
+    }
+  };
+  const { server, url } = await listen(guardianOracle);
+
+  try {
+    const delivery = deliver({ ...payload, extra: 'ignored' });
+
+    const response = await post(url, delivery);
+    assert.equal(response.status, 202);
+    assert.deepEqual(await response.json(), {
+      success: true,
+      data: { success: false, status: 'pending', verificationId: 'VER-1' }
+    });
+    assert.deepEqual(accepted, [payload]);
+
+    const replay = await post(url, delivery);
+    assert.equal(replay.status, 401);
+    assert.deepEqual(await replay.json(), { success: false, error: 'Nonce has already been used' });
+
+    const invalid = await post(url, deliver({ ...payload, carbonTonsOffset: 0 }));
+    assert.equal(invalid.status, 400);
+    assert.equal(accepted.length, 1);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,156 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MemoryStorage } = require('../src/storage');
+const LoanHealthMonitor = require('../src/services/loanHealthMonitor');
+
+const WEI = 10n ** 18n;
+const DAY = 86400000;
+const ALICE = '0x1f3a5b7c9d2e4f6a8b0c1d3e5f7a9b2c4d6e8f01';
+
+/**
+ * A LendingPool position as ChainService.getUserPosition returns it (amounts in HBAR)
+ */
+function position(deposited, debt) {
+  return {
+    deposited: deposited * WEI,
+    debt: debt * WEI,
+    maxBorrow: (deposited * WEI * 80n) / 100n,
+    maxBorrowRatio: 80
+  };
+}
+
+class FakeChainService {
+  constructor() {
+    this.positions = new Map();
+  }
+
+  setPosition(address, deposited, debt) {
+    this.positions.set(address, position(deposited, debt));
+  }
+
+  async getUserPosition(address) {
+    return this.positions.get(address);
+  }
+}
+
+function createMonitor() {
+  const clock = { time: 1731400000000 };
+  const chainService = new FakeChainService();
+  const storage = new MemoryStorage();
+  const alerts = [];
+  const telegramBot = {
+    async notifyLiquidationRisk(address, ltv) {
+      alerts.push({ address, ltv });
+    }
+  };
+
+  const monitor = new LoanHealthMonitor({ chainService, storage, telegramBot, now: () => clock.time });
+  return { monitor, chainService, storage, alerts, clock };
+}
+
+test('computes loan-to-value, health factor and alert tiers', () => {
+  const { monitor } = createMonitor();
+
+  assert.equal(monitor.computeHealth(position(1000n, 699n)).alertTier, null);
+  assert.equal(monitor.computeHealth(position(1000n, 700n)).alertTier, 70);
+  assert.equal(monitor.computeHealth(position(1000n, 789n)).alertTier, 75);
+  assert.equal(monitor.computeHealth(position(1000n, 790n)).alertTier, 79);
+
+  const health = monitor.computeHealth(position(1000n, 750n));
+  assert.equal(health.ltv, 75);
+  assert.equal(health.healthFactor, 1.0666);
+  // Repaying down to the 60% safe loan-to-value
+  assert.equal(health.suggestedRepayment, (150n * WEI).toString());
+
+  // Debt without collateral counts as fully utilised
+  const uncollateralised = monitor.computeHealth(position(0n, 5n));
+  assert.equal(uncollateralised.ltv, 100);
+  assert.equal(uncollateralised.healthFactor, 0);
+  assert.equal(uncollateralised.alertTier, 79);
+});
+
+test('treats zero debt as healthy', () => {
+  const { monitor } = createMonitor();
+
+  const health = monitor.computeHealth(position(1000n, 0n));
+  assert.equal(health.ltv, 0);
+  assert.equal(health.healthFactor, null);
+  assert.equal(health.alertTier, null);
+  assert.equal(health.suggestedRepayment, '0');
+});
+
+test('skips addresses that have never borrowed', async () => {
+  const { monitor, chainService, storage } = createMonitor();
+  chainService.setPosition(ALICE, 1000n, 0n);
+
+  await monitor.checkBorrower(ALICE);
+
+  assert.equal(await storage.getUserProfile(ALICE), null);
+  assert.deepEqual(await storage.getHealthHistory(ALICE), []);
+});
+
+test('records a history point only when health changes, and alerts once per tier', async () => {
+  const { monitor, chainService, storage, alerts, clock } = createMonitor();
+
+  chainService.setPosition(ALICE, 1000n, 500n);
+  await monitor.checkBorrower(ALICE);
+  clock.time += 60000;
+  await monitor.checkBorrower(ALICE);
+  assert.equal((await storage.getHealthHistory(ALICE)).length, 1);
+
+  chainService.setPosition(ALICE, 1000n, 720n);
+  clock.time += 60000;
+  await monitor.checkBorrower(ALICE);
+  clock.time += 60000;
+  await monitor.checkBorrower(ALICE);
+  assert.deepEqual(alerts, [{ address: ALICE, ltv: 72 }]);
+
+  // Repaying everything is a change worth recording once
+  chainService.setPosition(ALICE, 1000n, 0n);
+  clock.time += 60000;
+  await monitor.checkBorrower(ALICE);
+  clock.time += 60000;
+  await monitor.checkBorrower(ALICE);
+
+  const history = await storage.getHealthHistory(ALICE);
+  assert.deepEqual(history.map(point => point.ltv), [0, 72, 50]);
+  assert.equal((await storage.getUserProfile(ALICE)).health.ltv, 0);
+});
+
+test('waits for accruing interest to move the loan-to-value past the threshold', async () => {
+  const { monitor, chainService, storage, clock } = createMonitor();
+  const accrue = async (debt) => {
+    chainService.positions.set(ALICE, { ...position(1000n, 0n), debt });
+    clock.time += 300000;
+    await monitor.checkBorrower(ALICE);
+  };
+
+  await accrue(500n * WEI);
+  await accrue(500n * WEI + 4n * WEI);
+  await accrue(500n * WEI + 9n * WEI);
+  assert.equal((await storage.getHealthHistory(ALICE)).length, 1);
+
+  // 51% is a full point above the recorded 50%
+  await accrue(510n * WEI);
+  const history = await storage.getHealthHistory(ALICE);
+  assert.deepEqual(history.map(point => point.ltv), [51, 50]);
+});
+
+test('prunes history points older than the retention window', async () => {
+  const { monitor, chainService, storage, clock } = createMonitor();
+
+  chainService.setPosition(ALICE, 1000n, 100n);
+  await monitor.checkBorrower(ALICE);
+
+  clock.time += 20 * DAY;
+  chainService.setPosition(ALICE, 1000n, 200n);
+  await monitor.checkBorrower(ALICE);
+
+  clock.time += 20 * DAY;
+  chainService.setPosition(ALICE, 1000n, 300n);
+  await monitor.checkBorrower(ALICE);
+
+  const history = await storage.getHealthHistory(ALICE);
+  assert.deepEqual(history.map(point => point.ltv), [30, 20]);
+});
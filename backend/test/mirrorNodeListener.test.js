@@ -0,0 +1,187 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+
+const fixture = require('./fixtures/mirrorNodeLogs.json');
+const { MemoryStorage } = require('../src/storage');
+const MirrorNodeListener = require('../src/services/mirrorNodeListener');
+const EventIndexer = require('../src/services/eventIndexer');
+
+const MIRROR_NODE_URL = 'https://mirror.test';
+const ALICE = '0x1f3a5b7c9d2e4f6a8b0c1d3e5f7a9b2c4d6e8f01';
+const BOB = '0x2a4c6e8f0b1d3f5a7c9e2b4d6f8a0c1e3b5d7f92';
+
+const originalGet = axios.get;
+
+/**
+ * Serve the recorded Mirror Node responses. The timestamp filter is ignored,
+ * so every poll replays the full history from the first page.
+ */
+function serveFixtures() {
+  axios.get = async (url) => {
+    const path = url.slice(MIRROR_NODE_URL.length);
+    const data = fixture.responses[path];
+    if (!data) {
+      throw new Error(`No fixture for ${path}`);
+    }
+    return { data };
+  };
+}
+
+function createListener(storage) {
+  return new MirrorNodeListener({
+    indexer: new EventIndexer(storage),
+    cursorStore: storage,
+    eventStore: storage
+  });
+}
+
+beforeEach(() => {
+  process.env.MIRROR_NODE_URL = MIRROR_NODE_URL;
+  process.env.LENDING_POOL_ADDRESS = fixture.contracts.lendingPool;
+  process.env.GREEN_REWARD_MANAGER_ADDRESS = fixture.contracts.greenRewardManager;
+  process.env.LEADERBOARD_TRACKER_ADDRESS = fixture.contracts.leaderboardTracker;
+  process.env.CLIMATE_FUND_VAULT_ADDRESS = fixture.contracts.climateFundVault;
+  serveFixtures();
+});
+
+afterEach(() => {
+  axios.get = originalGet;
+});
+
+test('indexes recorded events into user, NFT, leaderboard and stats documents', async () => {
+  const storage = new MemoryStorage({ now: () => 0 });
+  const listener = createListener(storage);
+
+  await listener.backfill({ fromTimestamp: '1731400000' });
+  const state = storage.snapshot();
+
+  assert.equal(state.users[ALICE].deposited, (500n * 10n ** 18n).toString());
+  assert.equal(state.users[ALICE].borrowed, (100n * 10n ** 18n).toString());
+  assert.equal(state.users[ALICE].totalCarbonOffset, 12);
+  assert.equal(state.users[BOB].staked, (50n * 10n ** 18n).toString());
+  assert.equal(state.users[BOB].activeNFTCount, 0);
+  assert.equal(state[`users/${BOB}/nfts`]['2'].isRetired, true);
+  assert.equal(state.leaderboard[ALICE].badge, 'Green Champion');
+  assert.equal(state.leaderboard[BOB].rank, 2);
+  // Totals the contracts report are left to the stats aggregator
+  assert.equal(state.stats.protocol.retiredNFTs, 1);
+  assert.equal(state.stats.protocol.totalDeposits, undefined);
+  assert.equal(state.stats.protocol.totalNFTs, undefined);
+});
+
+test('replaying the same logs leaves the database unchanged', async () => {
+  const storage = new MemoryStorage({ now: () => 0 });
+  const listener = createListener(storage);
+
+  await listener.backfill({ fromTimestamp: '1731400000' });
+  const first = storage.snapshot();
+
+  // Overlapping polls and a second backfill feed every log again
+  await listener.pollEvents();
+  await listener.backfill({ fromTimestamp: '1731400000' });
+
+  assert.deepEqual(storage.snapshot(), first);
+  assert.equal(Object.keys(first.processed_events).length, 18);
+});
+
+test('a failed event leaves no partial writes and holds the cursor until it is applied', async () => {
+  const storage = new MemoryStorage({ now: () => 0 });
+  const listener = createListener(storage);
+
+  const reference = new MemoryStorage({ now: () => 0 });
+  await createListener(reference).backfill({ fromTimestamp: '1731400000' });
+
+  // Fail the commit of Bob's mint once
+  const commitWrites = storage.commitWrites;
+  let failed = null;
+  storage.commitWrites = async function (writes, options) {
+    if (!failed && writes.some(write => write.collection === `users/${BOB}/nfts`)) {
+      failed = options.claim;
+      throw new Error('write failed');
+    }
+    return commitWrites.call(this, writes, options);
+  };
+
+  await assert.rejects(
+    listener.backfill({ fromTimestamp: '1731400000' }),
+    /Backfill stopped for greenRewardManager: write failed/
+  );
+  const state = storage.snapshot();
+  assert.equal(state.processed_events[failed.id], undefined);
+  assert.equal(state[`users/${BOB}/nfts`], undefined);
+  assert.equal(state.users[BOB].nftCount, undefined);
+  assert.equal(state.users[ALICE].deposited, reference.snapshot().users[ALICE].deposited);
+  assert.deepEqual(await storage.getCursor('mirrorNode:greenRewardManager'), {
+    timestamp: failed.data.timestamp,
+    updatedAt: 0
+  });
+
+  await listener.backfill({ fromTimestamp: '1731400000' });
+  assert.deepEqual(storage.snapshot(), reference.snapshot());
+});
+
+test('holds a contract\'s cursor until its contract ID is resolved', async () => {
+  const storage = new MemoryStorage({ now: () => 0 });
+  const listener = createListener(storage);
+
+  const serve = axios.get;
+  const lookup = `/api/v1/contracts/${fixture.contracts.greenRewardManager}`;
+  axios.get = async (url, options) => {
+    if (url.endsWith(lookup)) {
+      throw new Error('mirror node unavailable');
+    }
+    return serve(url, options);
+  };
+
+  await assert.rejects(
+    listener.backfill({ fromTimestamp: '1731400000' }),
+    /Could not resolve contract IDs \(greenRewardManager: mirror node unavailable\)/
+  );
+  assert.deepEqual(storage.snapshot(), {});
+
+  // Polls leave the unresolved contract's logs unread rather than reject them
+  listener.contracts.forEach((contract) => {
+    contract.lastProcessedTimestamp = '1731400000.000000000';
+  });
+  await listener.pollEvents();
+  const greenRewardManager = listener.contracts.find(contract => contract.name === 'greenRewardManager');
+  assert.match(greenRewardManager.lastError.message, /mirror node unavailable/);
+  assert.equal(await storage.getCursor('mirrorNode:greenRewardManager'), null);
+  assert.equal(storage.snapshot()[`users/${BOB}/nfts`], undefined);
+
+  axios.get = serve;
+  await listener.pollEvents();
+  assert.equal(greenRewardManager.lastError, null);
+  assert.equal(storage.snapshot()[`users/${BOB}/nfts`]['2'].isRetired, true);
+});
+
+test('records each user\'s activity with links to its transactions', async () => {
+  const storage = new MemoryStorage({ now: () => 0 });
+  await createListener(storage).backfill({ fromTimestamp: '1731400000' });
+
+  const activity = await storage.getUserActivity(BOB);
+  assert.deepEqual(activity.map(entry => entry.type), ['withdraw', 'unstake', 'retire', 'stake', 'mint', 'deposit']);
+  assert.equal(activity[1].amount, (25n * 10n ** 18n).toString());
+  assert.equal(activity[2].tokenId, 2);
+
+  const [repayment] = await storage.getUserActivity(ALICE, { types: ['repay'] });
+  assert.equal(repayment.interest, (3n * 10n ** 17n).toString());
+  assert.equal(repayment.principal, (50n * 10n ** 18n).toString());
+  assert.equal(repayment.timestamp, 1731400050);
+  assert.match(repayment.txHash, /^0x4e1d7b2e/);
+
+  // Pages continue below the position of the previous page's last entry
+  const firstPage = await storage.getUserActivity(BOB, { types: ['stake', 'unstake', 'withdraw'], limit: 2 });
+  const secondPage = await storage.getUserActivity(BOB, {
+    types: ['stake', 'unstake', 'withdraw'],
+    before: firstPage[1].position
+  });
+  assert.deepEqual(secondPage.map(entry => entry.type), ['stake']);
+
+  const ranged = await storage.getUserActivity(BOB, {
+    since: '1731400040.000000000',
+    before: '1731400080.000000000'
+  });
+  assert.deepEqual(ranged.map(entry => entry.type), ['retire', 'stake', 'mint']);
+});
@@ -0,0 +1,100 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const RateSimulator = require('../src/services/rateSimulator');
+
+const WEI = 10n ** 18n;
+const BORROWER = '0x1f3a5b7c9d2e4f6a8b0c1d3e5f7a9b2c4d6e8f01';
+
+/**
+ * Deployment parameters: 2% base, 10% multiplier, 100% jump above 80%
+ */
+class FakeChainService {
+  constructor() {
+    this.pool = { totalDeposits: 1000n * WEI, totalBorrows: 500n * WEI };
+    this.account = { deposited: 400n * WEI, borrowed: 100n * WEI, accruedInterest: 0n };
+    this.activeNFTs = 2;
+  }
+
+  async getRateModel() {
+    return {
+      baseRatePerYear: 2n,
+      multiplierPerYear: 10n,
+      jumpMultiplierPerYear: 100n,
+      kink: 80n,
+      reserveFactor: 10n,
+      baseRateReduction: 10n,
+      maxRateReduction: 50n
+    };
+  }
+
+  async getPoolStats() {
+    return { ...this.pool };
+  }
+
+  async getUserAccount() {
+    return { ...this.account };
+  }
+
+  async getGreenProfile() {
+    return { totalNFTs: this.activeNFTs, totalCarbonOffset: 10, activeNFTs: this.activeNFTs };
+  }
+}
+
+test('projects rates and interest after a borrow past the kink', async () => {
+  const simulator = new RateSimulator({ chainService: new FakeChainService() });
+  const { errors, request } = simulator.validateRequest({
+    address: BORROWER,
+    borrow: (350n * WEI).toString(),
+    horizonDays: 365
+  });
+  assert.deepEqual(errors, []);
+
+  const simulation = await simulator.simulate(request);
+
+  assert.deepEqual(simulation.current, { utilization: 50, borrowAPR: 7, supplyAPR: 3 });
+  // 85% utilization: 2 + 8 + 5 = 15%, supply 15 * 90% = 13 (rounded down) * 85% = 11%
+  assert.deepEqual(simulation.simulated, { utilization: 85, borrowAPR: 15, supplyAPR: 11 });
+  // Two NFTs take 20% off: 15 - 3 = 12%
+  assert.equal(simulation.nftCount, 2);
+  assert.equal(simulation.personalAPR, 12);
+  assert.equal(simulation.principal, (450n * WEI).toString());
+  assert.equal(simulation.projectedInterest, (54n * WEI).toString());
+  assert.equal(simulation.projectedInterestWithoutNFTs, (675n * WEI / 10n).toString());
+  assert.equal(simulation.exceedsLiquidity, false);
+});
+
+test('uses a hypothetical NFT count and caps the discount at 50%', async () => {
+  const simulator = new RateSimulator({ chainService: new FakeChainService() });
+  const { request } = simulator.validateRequest({
+    deposit: (1000n * WEI).toString(),
+    borrow: (10n * WEI).toString(),
+    nftCount: 9,
+    horizonDays: 73
+  });
+
+  const simulation = await simulator.simulate(request);
+
+  // 510 / 2000 = 25% utilization: 2 + 2 = 4%, halved to 2%
+  assert.equal(simulation.simulated.borrowAPR, 4);
+  assert.equal(simulation.personalAPR, 2);
+  assert.equal(simulation.principal, (10n * WEI).toString());
+  // 10 HBAR at 2% for a fifth of a year
+  assert.equal(simulation.projectedInterest, (4n * WEI / 100n).toString());
+});
+
+test('rejects malformed requests', () => {
+  const simulator = new RateSimulator({ chainService: new FakeChainService() });
+
+  assert.deepEqual(simulator.validateRequest([]).errors, ['Body must be a JSON object']);
+
+  const { errors, request } = simulator.validateRequest({
+    address: '0x123',
+    deposit: 5,
+    borrow: '-1',
+    nftCount: 1.5,
+    horizonDays: 0
+  });
+  assert.equal(request, null);
+  assert.equal(errors.length, 5);
+});
@@ -0,0 +1,143 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MemoryStorage } = require('../src/storage');
+const ReconciliationService = require('../src/services/reconciliationService');
+
+const ALICE = '0x1f3a5b7c9d2e4f6a8b0c1d3e5f7a9b2c4d6e8f01';
+const BOB = '0x2a4c6e8f0b1d3f5a7c9e2b4d6f8a0c1e3b5d7f92';
+const WEI = 10n ** 18n;
+
+/**
+ * Contract state for two users, as ChainService returns it
+ */
+class FakeChainService {
+  constructor() {
+    this.contracts = { lendingPool: {}, greenRewardManager: {}, leaderboardTracker: {} };
+    this.accounts = {
+      [ALICE]: { deposited: 500n * WEI, borrowed: 80n * WEI, accruedInterest: 2n * WEI },
+      [BOB]: { deposited: 0n, borrowed: 0n, accruedInterest: 0n }
+    };
+    this.nfts = {
+      [ALICE]: [
+        { tokenId: 1, owner: ALICE, carbonTons: 12, verificationId: 'v1', mintedAt: 100, isRetired: false, issuer: 'did:key:z1' },
+        { tokenId: 3, owner: ALICE, carbonTons: 4, verificationId: 'v3', mintedAt: 300, isRetired: true, issuer: 'did:key:z1' }
+      ],
+      [BOB]: []
+    };
+    this.scores = {
+      [ALICE]: { totalCarbonOffset: 16, nftCount: 2, rank: 1, badge: 'Green Champion' },
+      [BOB]: { totalCarbonOffset: 0, nftCount: 0, rank: 0, badge: 'None' }
+    };
+  }
+
+  async getUserAccount(address) {
+    return this.accounts[address];
+  }
+
+  async getGreenProfile(address) {
+    const nfts = this.nfts[address];
+    return {
+      totalNFTs: nfts.length,
+      totalCarbonOffset: nfts.reduce((total, nft) => total + nft.carbonTons, 0),
+      activeNFTs: nfts.filter(nft => !nft.isRetired).length
+    };
+  }
+
+  async getUserNFTs(address) {
+    return this.nfts[address].map(nft => ({ ...nft }));
+  }
+
+  async getUserScore(address) {
+    return { ...this.scores[address] };
+  }
+}
+
+let storage;
+let service;
+
+beforeEach(async () => {
+  storage = new MemoryStorage();
+  service = new ReconciliationService({ chainService: new FakeChainService(), storage });
+
+  // Alice's cache missed the mint of token 3 and a 20 HBAR repayment (2 HBAR of interest)
+  await storage.updateUserProfile(ALICE, {
+    deposited: (500n * WEI).toString(),
+    borrowed: (98n * WEI).toString(),
+    accruedInterest: (4n * WEI).toString(),
+    totalCarbonOffset: 12,
+    nftCount: 1,
+    activeNFTCount: 1
+  });
+  await storage.addUserNFT(ALICE, { tokenId: 1, carbonTons: 12, verificationId: 'v1', timestamp: 100 });
+  await storage.updateLeaderboard(ALICE, { totalCarbonOffset: 12, nftCount: 1, rank: 1, badge: 'Green Champion' });
+
+  // Bob's cache holds an NFT the contract never minted to him
+  await storage.updateUserProfile(BOB, { deposited: '0', borrowed: '0' });
+  await storage.addUserNFT(BOB, { tokenId: 2, carbonTons: 5, verificationId: 'v2', timestamp: 200 });
+});
+
+test('reports differences between the cache and contract state', async () => {
+  const report = await service.run();
+
+  assert.equal(report.status, 'completed');
+  assert.equal(report.addressesChecked, 2);
+  assert.equal(report.repairedCount, 0);
+
+  const found = report.discrepancies.map(({ document, field }) => `${document}${field ? `.${field}` : ''}`);
+  assert.deepEqual(found.sort(), [
+    `leaderboard/${ALICE}.nftCount`,
+    `leaderboard/${ALICE}.totalCarbonOffset`,
+    `users/${ALICE}.accruedInterest`,
+    `users/${ALICE}.borrowed`,
+    `users/${ALICE}.nftCount`,
+    `users/${ALICE}.totalCarbonOffset`,
+    `users/${ALICE}/nfts/3`,
+    `users/${BOB}/nfts/2`
+  ]);
+
+  const borrowed = report.discrepancies.find(({ field }) => field === 'borrowed');
+  assert.equal(borrowed.cached, (98n * WEI).toString());
+  assert.equal(borrowed.chain, (80n * WEI).toString());
+
+  // Report-only runs leave the cache alone
+  assert.equal((await storage.getUserProfile(ALICE)).borrowed, (98n * WEI).toString());
+  assert.deepEqual(await service.listReports(), [report]);
+});
+
+test('repairs the cache so a second run finds nothing', async () => {
+  const repaired = await service.run({ repair: true });
+  assert.equal(repaired.repairedCount, repaired.discrepancyCount);
+
+  const profile = await storage.getUserProfile(ALICE);
+  assert.equal(profile.borrowed, (80n * WEI).toString());
+  assert.equal(profile.totalCarbonOffset, 16);
+
+  const nfts = await storage.getUserNFTs(ALICE);
+  assert.deepEqual(nfts.map(nft => [nft.tokenId, nft.isRetired, nft.issuer]), [
+    [1, false, null],
+    [3, true, 'did:key:z1']
+  ]);
+  assert.deepEqual(await storage.getUserNFTs(BOB), []);
+  assert.equal((await storage.getLeaderboardEntry(ALICE)).nftCount, 2);
+
+  const second = await service.run();
+  assert.equal(second.discrepancyCount, 0);
+  assert.deepEqual(second.errors, []);
+});
+
+test('checks only the requested addresses and allows one run at a time', async () => {
+  const started = await service.trigger({ addresses: [BOB.toUpperCase().replace('0X', '0x')] });
+  assert.equal(started.status, 'running');
+  assert.equal(service.isRunning(), true);
+  await assert.rejects(service.run(), /already running/);
+
+  while (service.isRunning()) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  const report = await service.getReport(started.id);
+  assert.equal(report.status, 'completed');
+  assert.equal(report.addressesChecked, 1);
+  assert.deepEqual(report.discrepancies.map(({ document }) => document), [`users/${BOB}/nfts/2`]);
+});
@@ -0,0 +1,196 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MemoryStorage } = require('../src/storage');
+const EventBus = require('../src/services/eventBus');
+const EventIndexer = require('../src/services/eventIndexer');
+const StatsAggregator = require('../src/services/statsAggregator');
+
+const WEI = 10n ** 18n;
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+
+/**
+ * Pool state as ChainService.getPoolStats returns it
+ */
+class FakeChainService {
+  constructor() {
+    this.stats = {
+      totalDeposits: 1000n * WEI,
+      totalBorrows: 500n * WEI,
+      utilization: 50,
+      reserveBalance: 3n * WEI,
+      borrowAPR: 7,
+      supplyAPR: 3,
+      activeUsers: 4,
+      totalCarbonOffset: 120,
+      totalNFTs: 9,
+      totalStaked: 250n * WEI
+    };
+  }
+
+  async getPoolStats() {
+    return { ...this.stats };
+  }
+}
+
+/**
+ * Poll until a condition holds, failing after a second
+ */
+async function waitFor(condition) {
+  const deadline = Date.now() + 1000;
+
+  while (!(await condition())) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+test('publishes contract totals as wei strings and rates as percentages', async () => {
+  const storage = new MemoryStorage({ now: () => 1700000000000 });
+  const aggregator = new StatsAggregator({ chainService: new FakeChainService(), storage });
+
+  await aggregator.update();
+
+  assert.deepEqual(await storage.getStats(), {
+    totalDeposits: (1000n * WEI).toString(),
+    totalBorrows: (500n * WEI).toString(),
+    utilization: 50,
+    reserveBalance: (3n * WEI).toString(),
+    borrowAPR: 7,
+    supplyAPR: 3,
+    activeUsers: 4,
+    totalCarbonOffset: 120,
+    totalNFTs: 9,
+    totalStaked: (250n * WEI).toString(),
+    lastUpdate: 1700000000000
+  });
+});
+
+test('keeps indexer-only counters and survives chain errors', async () => {
+  const storage = new MemoryStorage();
+  const chainService = new FakeChainService();
+  const aggregator = new StatsAggregator({ chainService, storage });
+
+  await storage.incrementStats({ retiredNFTs: 2 });
+  await aggregator.update();
+
+  chainService.getPoolStats = async () => {
+    throw new Error('RPC unavailable');
+  };
+  assert.equal(await aggregator.update(), null);
+
+  const stats = await storage.getStats();
+  assert.equal(stats.retiredNFTs, 2);
+  assert.equal(stats.totalNFTs, 9);
+});
+
+test('refreshes after indexed events, which leave contract totals to it', async () => {
+  const storage = new MemoryStorage();
+  const chainService = new FakeChainService();
+  const aggregator = new StatsAggregator({ chainService, storage });
+  const indexer = new EventIndexer(storage);
+  const eventBus = new EventBus();
+  aggregator.refreshDelay = 20;
+
+  await aggregator.start(eventBus);
+  try {
+    // A scheduled update reads the deposit from the chain before the indexer sees it
+    const event = { type: 'Deposited', contract: 'lendingPool', user: '0xabc', amount: 10n * WEI };
+    chainService.stats.totalDeposits += event.amount;
+    await aggregator.update();
+    await indexer.handleEvent(event);
+    await eventBus.publish(event);
+
+    assert.equal((await storage.getStats()).totalDeposits, (1010n * WEI).toString());
+
+    chainService.stats.totalDeposits += event.amount;
+    await indexer.handleEvent(event);
+    await eventBus.publish(event);
+    await waitFor(async () => (await storage.getStats()).totalDeposits === (1020n * WEI).toString());
+  } finally {
+    aggregator.stop();
+  }
+});
+
+test('runs a refresh requested during an update once it finishes', async () => {
+  const storage = new MemoryStorage();
+  const chainService = new FakeChainService();
+  const aggregator = new StatsAggregator({ chainService, storage });
+
+  let release;
+  const getPoolStats = chainService.getPoolStats.bind(chainService);
+  chainService.getPoolStats = async () => {
+    const stats = await getPoolStats();
+    await new Promise(resolve => { release = resolve; });
+    return stats;
+  };
+
+  const running = aggregator.update();
+  await waitFor(async () => release);
+  chainService.stats.totalDeposits += 10n * WEI;
+  assert.equal(await aggregator.update(), null);
+
+  chainService.getPoolStats = getPoolStats;
+  release();
+  assert.equal((await running).totalDeposits, (1000n * WEI).toString());
+  await waitFor(async () => (await storage.getStats()).totalDeposits === (1010n * WEI).toString());
+});
+
+test('downsamples hourly snapshots into day and week series', async () => {
+  const storage = new MemoryStorage();
+  const chainService = new FakeChainService();
+  const aggregator = new StatsAggregator({ chainService, storage });
+
+  // Monday 2024-11-11 00:00 UTC, then every 12 hours for four days
+  const monday = Date.UTC(2024, 10, 11);
+  for (let i = 0; i < 8; i++) {
+    chainService.stats.utilization = 40 + i;
+    chainService.stats.totalDeposits = BigInt(1000 + i) * WEI;
+    await storage.recordStatsSnapshot(monday + i * 12 * HOUR, await aggregator.collect());
+  }
+  // A second snapshot in the first hour
+  chainService.stats.utilization = 60;
+  await storage.recordStatsSnapshot(monday + 30 * 60000, await aggregator.collect());
+
+  const hourly = await aggregator.getHistory('utilization', { from: monday, to: monday + 2 * HOUR, interval: 'hour' });
+  assert.deepEqual(hourly.points, [
+    { timestamp: monday, average: 50, min: 40, max: 60, last: 60, count: 2 }
+  ]);
+
+  const daily = await aggregator.getHistory('utilization', { from: monday + HOUR, to: monday + 4 * DAY, interval: 'day' });
+  assert.equal(daily.from, monday);
+  assert.deepEqual(daily.points.map(point => [point.timestamp, point.min, point.max, point.last]), [
+    [monday, 40, 60, 41],
+    [monday + DAY, 42, 43, 43],
+    [monday + 2 * DAY, 44, 45, 45],
+    [monday + 3 * DAY, 46, 47, 47]
+  ]);
+
+  const weekly = await aggregator.getHistory('totalDeposits', { from: monday + DAY, to: monday + 7 * DAY, interval: 'week' });
+  assert.equal(weekly.from, monday);
+  assert.deepEqual(weekly.points, [{
+    timestamp: monday,
+    average: ((1000n + 1001n + 1002n + 1003n + 1004n + 1005n + 1006n + 1007n * 2n) * WEI / 9n).toString(),
+    min: (1000n * WEI).toString(),
+    max: (1007n * WEI).toString(),
+    last: (1007n * WEI).toString(),
+    count: 9
+  }]);
+});
+
+test('records a history snapshot on every update', async () => {
+  const storage = new MemoryStorage();
+  const aggregator = new StatsAggregator({ chainService: new FakeChainService(), storage });
+
+  await aggregator.update();
+  await aggregator.update();
+
+  const now = Date.now();
+  const history = await aggregator.getHistory('borrowAPR', { from: now - DAY, to: now + HOUR, interval: 'day' });
+  assert.equal(history.points.length, 1);
+  assert.equal(history.points[0].count, 2);
+  assert.equal(history.points[0].last, 7);
+});
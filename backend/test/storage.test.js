@@ -0,0 +1,161 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createStorage, MemoryStorage, SqliteStorage } = require('../src/storage');
+
+const ALICE = '0x1f3a5b7c9d2e4f6a8b0c1d3e5f7a9b2c4d6e8f01';
+const BOB = '0x2a4c6e8f0b1d3f5a7c9e2b4d6f8a0c1e3b5d7f92';
+
+const backends = {
+  memory: () => new MemoryStorage(),
+  sqlite: () => new SqliteStorage()
+};
+
+for (const [name, create] of Object.entries(backends)) {
+  test(`${name}: increments wei amounts and counters`, async () => {
+    const storage = create();
+
+    await storage.incrementUserFields(ALICE, { deposited: 10n ** 30n, nftCount: 1 });
+    await storage.incrementUserFields(ALICE, { deposited: -(10n ** 18n), nftCount: 2 });
+    await storage.incrementStats({ totalDeposits: 5n });
+
+    const profile = await storage.getUserProfile(ALICE);
+    assert.equal(profile.address, ALICE);
+    assert.equal(profile.deposited, (10n ** 30n - 10n ** 18n).toString());
+    assert.equal(profile.nftCount, 3);
+    assert.equal((await storage.getStats()).totalDeposits, '5');
+    assert.equal(await storage.getUserProfile(BOB), null);
+  });
+
+  test(`${name}: orders and filters queries like Firestore`, async () => {
+    const storage = create();
+
+    await storage.updateLeaderboard(ALICE, { totalCarbonOffset: 5, badge: 'Eco Warrior' });
+    await storage.updateLeaderboard(BOB, { totalCarbonOffset: 12 });
+    await storage.incrementLeaderboardFields('0xnooffset', { nftCount: 1 });
+
+    const top = await storage.getTopContributors(10);
+    assert.deepEqual(top.map(entry => entry.id), [BOB, ALICE]);
+    assert.equal(top[1].badge, 'Eco Warrior');
+
+    await storage.incrementUserFields(ALICE, { borrowed: 100n });
+    await storage.incrementUserFields(BOB, { borrowed: 0n });
+    await storage.updateUserProfile('0xnoloan', { badge: 'None' });
+    assert.deepEqual(await storage.getBorrowers(), [ALICE]);
+
+    await storage.saveVerificationJob({ verificationId: 'a', status: 'failed', acknowledged: false, createdAt: 2 });
+    await storage.saveVerificationJob({ verificationId: 'b', status: 'failed', acknowledged: true, createdAt: 1 });
+    await storage.saveVerificationJob({ verificationId: 'c', status: 'completed', acknowledged: false, createdAt: 3 });
+    const unacknowledged = await storage.getVerificationJobs({ status: 'failed', acknowledged: false });
+    assert.deepEqual(unacknowledged.map(job => job.verificationId), ['a']);
+    const all = await storage.getVerificationJobs({ limit: 2 });
+    assert.deepEqual(all.map(job => job.verificationId), ['b', 'a']);
+
+    await storage.addActivity({ id: 'tx-1-0', address: ALICE, type: 'deposit', position: '1-000000' });
+    await storage.addActivity({ id: 'tx-2-0', address: ALICE, type: 'borrow', position: '2-000000' });
+    await storage.addActivity({ id: 'tx-3-0', address: ALICE, type: 'repay', position: '3-000000' });
+    await storage.addActivity({ id: 'tx-4-0', address: BOB, type: 'deposit', position: '4-000000' });
+    const activity = await storage.getUserActivity(ALICE, { types: ['deposit', 'repay'] });
+    assert.deepEqual(activity.map(entry => entry.id), ['tx-3-0', 'tx-1-0']);
+  });
+
+  test(`${name}: reads stats history buckets by time range`, async () => {
+    const storage = create();
+    const hour = 3600000;
+
+    for (let i = 0; i < 4; i++) {
+      await storage.recordStatsSnapshot(i * hour + 1000, { utilization: i, totalDeposits: '5' });
+    }
+    await storage.recordStatsSnapshot(hour + 2000, { utilization: 9 });
+
+    const buckets = await storage.getStatsHistory(hour, 3 * hour);
+    assert.deepEqual(buckets.map(bucket => bucket.hour), [hour, 2 * hour]);
+    assert.deepEqual(buckets[0].metrics.utilization, { sum: 10, count: 2, min: 1, max: 9, last: 9, lastAt: hour + 2000 });
+    assert.equal(buckets[0].metrics.totalDeposits.count, 1);
+  });
+
+  test(`${name}: keeps NFTs, claims and challenges consistent`, async () => {
+    const storage = create();
+
+    await storage.addUserNFT(BOB, { tokenId: 2, carbonTons: 5, verificationId: 'v2', timestamp: 1 });
+    await storage.addUserNFT(BOB, { tokenId: 1, carbonTons: 7, verificationId: 'v1', timestamp: 1 });
+    await storage.retireNFT(BOB, 2);
+    const nfts = await storage.getUserNFTs(BOB);
+    assert.deepEqual(nfts.map(nft => [nft.tokenId, nft.isRetired]), [[1, false], [2, true]]);
+
+    const mint = writes => writes.incrementStats({ totalNFTs: 1 });
+    assert.equal(await storage.processEvent('tx-0', { type: 'NFTMinted' }, mint), true);
+    assert.equal(await storage.processEvent('tx-0', { type: 'NFTMinted' }, mint), false);
+    assert.equal((await storage.getStats()).totalNFTs, 1);
+
+    // An event's writes and its claim are committed together or not at all
+    await assert.rejects(storage.processEvent('tx-1', {}, (writes) => {
+      mint(writes);
+      writes.update('stats', 'protocol', () => { throw new Error('write failed'); });
+    }), /write failed/);
+    assert.equal((await storage.getStats()).totalNFTs, 1);
+    assert.equal(await storage.processEvent('tx-1', {}, mint), true);
+    assert.equal((await storage.getStats()).totalNFTs, 2);
+
+    // Retiring an NFT that was never stored creates nothing, as on Firestore
+    await storage.retireNFT(ALICE, 9);
+    assert.deepEqual(await storage.getUserNFTs(ALICE), []);
+
+    await storage.saveChallenge('nonce', { address: ALICE, purpose: 'login' });
+    assert.equal((await storage.getChallenge('nonce')).address, ALICE);
+    assert.equal((await storage.consumeChallenge('nonce')).address, ALICE);
+    assert.equal(await storage.consumeChallenge('nonce'), null);
+
+    await storage.saveTelegramSubscription(42, { wallets: [ALICE], preferences: { mints: true } });
+    const [subscription] = await storage.getTelegramSubscriptions();
+    assert.deepEqual(subscription.wallets, [ALICE]);
+    assert.equal(subscription.walletsVerified, true);
+    await storage.removeTelegramSubscription(42);
+    assert.deepEqual(await storage.getTelegramSubscriptions(), []);
+  });
+}
+
+test('sqlite: persists documents to its file', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'greendefi-storage-'));
+  const filename = path.join(directory, 'nested', 'greendefi.sqlite');
+
+  try {
+    const first = new SqliteStorage({ filename, flushDelay: 60000 });
+    await first.saveCursor('mirror', { timestamp: '1731400000.000000001' });
+    await first.saveTransaction({ id: 'tx-1', status: 'pending', submittedAt: 1 });
+
+    // Changes are batched until the flush timer fires or the database closes
+    const unflushed = new SqliteStorage({ filename });
+    assert.equal(await unflushed.getCursor('mirror'), null);
+    await unflushed.close();
+    await first.close();
+
+    const second = new SqliteStorage({ filename });
+    assert.equal((await second.getCursor('mirror')).timestamp, '1731400000.000000001');
+    const [pending] = await second.getTransactions({ status: 'pending' });
+    assert.equal(pending.id, 'tx-1');
+    await second.close();
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('sqlite: handles shutdown signals once however many databases are created', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'greendefi-storage-'));
+  const listeners = process.listenerCount('SIGTERM');
+  process.env.SQLITE_PATH = path.join(directory, 'greendefi.sqlite');
+
+  try {
+    const first = createStorage('sqlite');
+    const second = createStorage('sqlite');
+    assert.equal(process.listenerCount('SIGTERM'), listeners + 1);
+    await first.close();
+    await second.close();
+  } finally {
+    delete process.env.SQLITE_PATH;
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,119 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MemoryStorage } = require('../src/storage');
+const EventBus = require('../src/services/eventBus');
+const SubscriptionService = require('../src/services/subscriptionService');
+const TelegramNotificationBot = require('../src/services/telegramBot');
+
+const ALICE = '0x1f3a5b7c9d2e4f6a8b0c1d3e5f7a9b2c4d6e8f01';
+
+/**
+ * Records sent messages instead of talking to Telegram
+ */
+class FakeBot {
+  constructor() {
+    this.sent = [];
+  }
+
+  onText() {}
+
+  async sendMessage(chatId, text) {
+    this.sent.push({ chatId, text });
+  }
+}
+
+/**
+ * Rate model as ChainService returns it: 10% off per active NFT, up to 50%
+ */
+class FakeChainService {
+  constructor() {
+    this.baseRate = 10n;
+  }
+
+  async getBaseRate() {
+    return this.baseRate;
+  }
+
+  async getRateModel() {
+    return { baseRateReduction: 10n, maxRateReduction: 50n };
+  }
+}
+
+async function createBot() {
+  const storage = new MemoryStorage();
+  const subscriptionService = new SubscriptionService(storage);
+  await subscriptionService.subscribe(7, ALICE);
+
+  const chainService = new FakeChainService();
+  const fakeBot = new FakeBot();
+  const bot = new TelegramNotificationBot({ subscriptionService, storage, chainService, bot: fakeBot });
+  const eventBus = new EventBus();
+  bot.subscribeToEvents(eventBus);
+
+  // The indexer has applied each event before the bus publishes it
+  const publish = async (event, change) => {
+    await storage.incrementUserFields(ALICE, { activeNFTCount: change });
+    await eventBus.publish(event);
+  };
+  const rateMessages = () => fakeBot.sent.filter(message => message.text.includes('Interest Rate'));
+  return { chainService, publish, rateMessages };
+}
+
+function mint(tokenId) {
+  return { type: 'NFTMinted', owner: ALICE, tokenId: BigInt(tokenId), carbonTons: 5n, verificationId: `v${tokenId}` };
+}
+
+function retire(tokenId) {
+  return { type: 'NFTRetired', owner: ALICE, tokenId: BigInt(tokenId), txHash: `0x${tokenId}` };
+}
+
+test('reports the rate change each mint and retirement made', async () => {
+  const { publish, rateMessages } = await createBot();
+
+  await publish(mint(1), 1);
+  assert.equal(rateMessages().length, 1);
+  assert.match(rateMessages()[0].text, /Reduced!\*\n\nPrevious Rate: 10%\nNew Rate: \*9%\*\nReduction: \*-1%\*/);
+
+  await publish(mint(2), 1);
+  assert.match(rateMessages()[1].text, /Previous Rate: 9%\nNew Rate: \*8%\*/);
+
+  await publish(retire(2), -1);
+  assert.match(rateMessages()[2].text, /Increased\*\n\nPrevious Rate: 8%\nNew Rate: \*9%\*\nIncrease: \*\+1%\*/);
+});
+
+test('uses the NFT counts at the event, not the wallet\'s current ones', async () => {
+  const { chainService, publish, rateMessages } = await createBot();
+  chainService.baseRate = 20n;
+
+  // Replaying a wallet's history: the third mint is reported against two NFTs
+  await publish(mint(1), 1);
+  await publish(mint(2), 1);
+  await publish(mint(3), 1);
+  assert.match(rateMessages()[2].text, /Previous Rate: 16%\nNew Rate: \*14%\*/);
+});
+
+test('does not notify when the discount is already capped', async () => {
+  const { publish, rateMessages } = await createBot();
+
+  for (let tokenId = 1; tokenId <= 6; tokenId++) {
+    await publish(mint(tokenId), 1);
+  }
+
+  // The sixth NFT leaves the rate at the 50% cap
+  assert.equal(rateMessages().length, 5);
+});
+
+test('escapes the wallet-link URL in its Markdown message', async () => {
+  const fakeBot = new FakeBot();
+  const bot = new TelegramNotificationBot({
+    subscriptionService: new SubscriptionService(new MemoryStorage()),
+    authService: { createChallenge: async () => ({ nonce: 'a1b2' }) },
+    bot: fakeBot
+  });
+  bot.frontendUrl = 'https://green_defi.example';
+
+  await bot.sendLinkChallenge(7, ALICE);
+
+  assert.match(fakeBot.sent[0].text, /\nhttps:\/\/green\\_defi\.example\/link-telegram\?nonce=a1b2\n/);
+});
@@ -0,0 +1,177 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+
+const { MemoryStorage } = require('../src/storage');
+const TransactionManager = require('../src/services/transactionManager');
+
+const CONTRACT = '0x2a4c6e8f0b1d3f5a7c9e2b4d6f8a0c1e3b5d7f92';
+
+/**
+ * Minimal JSON-RPC provider: keeps broadcast transactions in memory
+ * and mines them on demand
+ */
+class FakeProvider {
+  constructor() {
+    this.mined = 0; // confirmed nonce count
+    this.broadcasts = [];
+    this.receipts = new Map();
+    this.gasPrice = 100n;
+  }
+
+  async getNetwork() {
+    return new ethers.Network('hedera-testnet', 296);
+  }
+
+  async getTransactionCount(address, tag) {
+    const pending = this.broadcasts.filter(tx => tx.nonce >= this.mined);
+    const nonces = new Set(pending.map(tx => tx.nonce));
+    return tag === 'pending' ? this.mined + nonces.size : this.mined;
+  }
+
+  async estimateGas() {
+    return 100000n;
+  }
+
+  async getFeeData() {
+    return { gasPrice: this.gasPrice };
+  }
+
+  async broadcastTransaction(rawTransaction) {
+    const tx = ethers.Transaction.from(rawTransaction);
+    if (tx.nonce < this.mined) {
+      throw Object.assign(new Error('nonce too low'), { code: 'NONCE_EXPIRED' });
+    }
+    this.broadcasts.push(tx);
+    return { hash: tx.hash };
+  }
+
+  async getTransactionReceipt(hash) {
+    return this.receipts.get(hash) || null;
+  }
+
+  /**
+   * Mine a broadcast transaction
+   */
+  mine(hash, status = 1) {
+    const tx = this.broadcasts.find(broadcast => broadcast.hash === hash);
+    this.mined = Math.max(this.mined, tx.nonce + 1);
+    this.receipts.set(hash, { hash, status, blockNumber: 1, gasUsed: 90000n });
+  }
+}
+
+let provider;
+let storage;
+let manager;
+
+function mintRequest() {
+  return { to: CONTRACT, data: '0x1234' };
+}
+
+beforeEach(() => {
+  provider = new FakeProvider();
+  storage = new MemoryStorage();
+  const wallet = ethers.Wallet.createRandom().connect(provider);
+  manager = new TransactionManager({ wallet, storage });
+  manager.stuckTimeout = 0;
+});
+
+test('assigns consecutive nonces to concurrent sends', async () => {
+  const sent = await Promise.all([1, 2, 3, 4].map(() => manager.send(mintRequest())));
+
+  assert.deepEqual(sent.map(tx => tx.nonce).sort(), [0, 1, 2, 3]);
+  assert.equal(new Set(provider.broadcasts.map(tx => tx.nonce)).size, 4);
+
+  const [record] = await storage.getTransactions({ status: 'pending' });
+  assert.equal(record.gasPrice, '110'); // 10% over the node's gas price
+  assert.equal(record.gasLimit, '120000'); // 20% over the estimate
+});
+
+test('resyncs the nonce when another sender used the wallet', async () => {
+  await manager.send(mintRequest());
+  provider.mine(provider.broadcasts[0].hash);
+  // Two transactions from elsewhere
+  provider.mined = 3;
+
+  const tx = await manager.send(mintRequest());
+  assert.equal(tx.nonce, 3);
+});
+
+test('rebroadcasts, then replaces a stuck transaction with a higher gas price', async () => {
+  const tx = await manager.send(mintRequest());
+
+  await manager.checkPending();
+  assert.equal(provider.broadcasts.length, 2);
+  assert.equal(provider.broadcasts[1].hash, tx.hash);
+
+  await manager.checkPending();
+  const replaced = await storage.getTransaction(tx.id);
+  assert.equal(replaced.replacements, 1);
+  assert.equal(replaced.gasPrice, '126'); // 15% bump
+  assert.equal(replaced.hashes.length, 2);
+  assert.equal(provider.broadcasts[2].nonce, tx.nonce);
+
+  // The original is mined after all
+  provider.mine(tx.hash);
+  const receipt = await manager.wait(tx.id);
+  assert.equal(receipt.hash, tx.hash);
+  assert.equal((await storage.getTransaction(tx.id)).status, 'confirmed');
+});
+
+test('marks transactions whose nonce was used elsewhere as dropped', async () => {
+  const tx = await manager.send(mintRequest());
+  provider.broadcasts = [];
+  provider.mined = 1;
+
+  await manager.checkPending();
+  assert.equal((await storage.getTransaction(tx.id)).status, 'dropped');
+  await assert.rejects(manager.wait(tx.id), /dropped/);
+});
+
+test('confirms a transaction mined just before its nonce is checked', async () => {
+  const tx = await manager.send(mintRequest());
+
+  // Mined between the pending check's receipt lookup and the nonce check
+  const getTransactionCount = provider.getTransactionCount.bind(provider);
+  provider.getTransactionCount = async (address, tag) => {
+    if (tag === 'latest') {
+      provider.mine(tx.hash);
+    }
+    return getTransactionCount(address, tag);
+  };
+
+  await manager.checkPending();
+  const record = await storage.getTransaction(tx.id);
+  assert.equal(record.status, 'confirmed');
+  assert.equal(record.error, null);
+});
+
+test('drops the earlier transaction when its nonce is handed out again', async () => {
+  const first = await manager.send(mintRequest());
+  // The node lost it and the manager restarted
+  provider.broadcasts = [];
+  manager.nextNonce = null;
+
+  const second = await manager.send({ ...mintRequest(), data: '0x5678' });
+  assert.equal(second.nonce, first.nonce);
+  assert.notEqual(second.id, first.id);
+
+  const dropped = await storage.getTransaction(first.id);
+  assert.equal(dropped.status, 'dropped');
+  assert.equal(dropped.hash, first.hash);
+  assert.match(dropped.error, /reused/);
+  assert.equal((await storage.getTransaction(second.id)).status, 'pending');
+});
+
+test('resumes pending transactions after a restart', async () => {
+  const tx = await manager.send(mintRequest());
+  provider.mine(tx.hash);
+
+  const restarted = new TransactionManager({
+    wallet: ethers.Wallet.createRandom().connect(provider),
+    storage
+  });
+  await restarted.checkPending();
+
+  assert.equal((await storage.getTransaction(tx.id)).status, 'confirmed');
+});
@@ -0,0 +1,196 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MemoryStorage } = require('../src/storage');
+const VerificationQueue = require('../src/services/verificationQueue');
+
+const { JOB_STATUS } = VerificationQueue;
+const ALICE = '0x1f3a5b7c9d2e4f6a8b0c1d3e5f7a9b2c4d6e8f01';
+
+/**
+ * Stands in for GuardianOracle: records mints and serves their receipts
+ */
+class FakeOracle {
+  constructor() {
+    this.submitted = [];
+    this.receipts = new Map(); // txHash -> receipt, once mined
+    this.failures = 0; // submissions left to fail
+    this.waited = 0;
+    this.acknowledged = [];
+  }
+
+  getValidationError(verification) {
+    return verification.recipientAddress ? null : 'Invalid recipient address';
+  }
+
+  async submitMint(verification) {
+    if (this.failures > 0) {
+      this.failures--;
+      throw new Error('insufficient funds');
+    }
+
+    const hash = `0x${(this.submitted.length + 1).toString(16).padStart(64, '0')}`;
+    this.submitted.push(verification.verificationId);
+
+    return {
+      id: `tx-${this.submitted.length}`,
+      hash,
+      wait: async () => {
+        this.waited++;
+        return { hash, status: 1, gasUsed: 21000n };
+      }
+    };
+  }
+
+  async getMintReceipt(job) {
+    return this.receipts.get(job.txHash) || null;
+  }
+
+  async isMintPending(job) {
+    return !this.receipts.has(job.txHash);
+  }
+
+  async isVerificationMinted() {
+    return false;
+  }
+
+  isAlreadyMintedError(error) {
+    return error.message.includes('Verification ID already used');
+  }
+
+  async markVerificationProcessed(verificationId) {
+    this.acknowledged.push(verificationId);
+    return true;
+  }
+}
+
+function createQueue() {
+  const clock = { time: 1731400000000 };
+  const oracle = new FakeOracle();
+  const storage = new MemoryStorage();
+  const queue = new VerificationQueue({ storage, oracle, now: () => clock.time });
+  return { queue, oracle, clock };
+}
+
+function verification(verificationId, recipientAddress = ALICE) {
+  return { verificationId, recipientAddress, carbonTonsOffset: 5 };
+}
+
+test('backs off exponentially between attempts, up to an hour', () => {
+  const { queue } = createQueue();
+
+  assert.deepEqual([1, 2, 3, 4].map(attempts => queue.getBackoff(attempts)), [30000, 60000, 120000, 240000]);
+  assert.equal(queue.getBackoff(20), 3600000);
+});
+
+test('retries a failed mint only once its backoff has passed', async () => {
+  const { queue, oracle, clock } = createQueue();
+  oracle.failures = 2;
+  await queue.enqueue(verification('v1'));
+
+  await queue.processDueJobs();
+  let job = await queue.getJob('v1');
+  assert.equal(job.status, JOB_STATUS.FAILED);
+  assert.equal(job.attempts, 1);
+  assert.equal(job.nextAttemptAt, clock.time + 30000);
+  assert.equal(job.lastError, 'insufficient funds');
+
+  clock.time += 29000;
+  await queue.processDueJobs();
+  assert.equal((await queue.getJob('v1')).attempts, 1);
+
+  clock.time += 1000;
+  await queue.processDueJobs();
+  job = await queue.getJob('v1');
+  assert.equal(job.attempts, 2);
+  assert.equal(job.nextAttemptAt, clock.time + 60000);
+
+  clock.time += 60000;
+  await queue.processDueJobs();
+  assert.equal((await queue.getJob('v1')).status, JOB_STATUS.SUBMITTED);
+  assert.deepEqual(oracle.submitted, ['v1']);
+});
+
+test('dead-letters a job after its last attempt fails', async () => {
+  const { queue, oracle, clock } = createQueue();
+  queue.maxAttempts = 3;
+  oracle.failures = 10;
+  await queue.enqueue(verification('v1'));
+
+  for (let i = 0; i < 5; i++) {
+    await queue.processDueJobs();
+    clock.time += queue.maxBackoff;
+  }
+
+  const job = await queue.getJob('v1');
+  assert.equal(job.status, JOB_STATUS.DEAD_LETTER);
+  assert.equal(job.attempts, 3);
+  assert.equal(oracle.failures, 7);
+
+  // An operator can requeue it
+  oracle.failures = 0;
+  await queue.retry('v1');
+  await queue.processDueJobs();
+  assert.equal((await queue.getJob('v1')).status, JOB_STATUS.SUBMITTED);
+});
+
+test('dead-letters an invalid verification without submitting it', async () => {
+  const { queue, oracle } = createQueue();
+  await queue.enqueue(verification('v1', null));
+
+  await queue.processDueJobs();
+
+  const job = await queue.getJob('v1');
+  assert.equal(job.status, JOB_STATUS.DEAD_LETTER);
+  assert.equal(job.lastError, 'Invalid recipient address');
+  assert.deepEqual(oracle.submitted, []);
+});
+
+test('submits due mints together and confirms them from their receipts on a later tick', async () => {
+  const { queue, oracle, clock } = createQueue();
+  await queue.enqueue(verification('v1'));
+  await queue.enqueue(verification('v2'));
+
+  await queue.processDueJobs();
+  assert.deepEqual(oracle.submitted, ['v1', 'v2']);
+  assert.equal(oracle.waited, 0);
+
+  // v1 is mined, v2 is still pending
+  const first = await queue.getJob('v1');
+  oracle.receipts.set(first.txHash, { hash: first.txHash, status: 1 });
+  clock.time += 15000;
+  await queue.processDueJobs();
+
+  const confirmed = await queue.getJob('v1');
+  assert.equal(confirmed.status, JOB_STATUS.CONFIRMED);
+  assert.equal(confirmed.acknowledged, true);
+  assert.deepEqual(oracle.acknowledged, ['v1']);
+  assert.equal((await queue.getJob('v2')).status, JOB_STATUS.SUBMITTED);
+  assert.deepEqual(oracle.submitted, ['v1', 'v2']);
+});
+
+test('counts a reverted mint as a failed attempt', async () => {
+  const { queue, oracle, clock } = createQueue();
+  await queue.enqueue(verification('v1'));
+  await queue.processDueJobs();
+
+  const submitted = await queue.getJob('v1');
+  oracle.receipts.set(submitted.txHash, { hash: submitted.txHash, status: 0 });
+  clock.time += 15000;
+  await queue.processDueJobs();
+
+  const job = await queue.getJob('v1');
+  assert.equal(job.status, JOB_STATUS.FAILED);
+  assert.equal(job.attempts, 1);
+  assert.match(job.lastError, /reverted/);
+});
+
+test('waits for the receipt when a job is processed directly', async () => {
+  const { queue, oracle } = createQueue();
+  const queued = await queue.enqueue(verification('v1'));
+
+  const job = await queue.processJob(queued);
+
+  assert.equal(job.status, JOB_STATUS.CONFIRMED);
+  assert.equal(oracle.waited, 1);
+});
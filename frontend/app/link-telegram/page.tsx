@@ -0,0 +1,122 @@
+'use client';
+
+import { Suspense, useEffect, useState } from 'react';
+import axios from 'axios';
+import { useSearchParams } from 'next/navigation';
+import { useWallet } from '@/contexts/WalletContext';
+import { apiService, TelegramLinkChallenge } from '@/lib/api';
+import { CheckCircle, Send, Wallet as WalletIcon } from 'lucide-react';
+
+function LinkTelegram() {
+  const nonce = useSearchParams().get('nonce');
+  const { account, isConnected, connectWallet, signMessage } = useWallet();
+  const [challenge, setChallenge] = useState<TelegramLinkChallenge | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [signing, setSigning] = useState(false);
+  const [linked, setLinked] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const loadChallenge = async () => {
+      if (nonce) {
+        setChallenge(await apiService.getTelegramLink(nonce));
+      }
+      setLoading(false);
+    };
+    loadChallenge();
+  }, [nonce]);
+
+  const handleLink = async () => {
+    if (!challenge) return;
+
+    try {
+      setSigning(true);
+      setError(null);
+      const signature = await signMessage(challenge.message);
+      await apiService.subscribeTelegram(challenge.message, signature);
+      setLinked(true);
+    } catch (error: unknown) {
+      console.error('Error linking Telegram:', error);
+      if (axios.isAxiosError(error) && error.response?.data?.error) {
+        setError(error.response.data.error);
+      } else {
+        setError(error instanceof Error ? error.message : 'Could not link the wallet');
+      }
+    } finally {
+      setSigning(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="text-center py-20 text-gray-600">Loading...</div>;
+  }
+
+  if (!challenge) {
+    return (
+      <div className="text-center py-20">
+        <h2 className="text-2xl font-bold text-gray-800 mb-2">Link Expired</h2>
+        <p className="text-gray-600">Send /subscribe &lt;wallet_address&gt; to the bot for a new link.</p>
+      </div>
+    );
+  }
+
+  const walletMatches = account?.toLowerCase() === challenge.address;
+
+  return (
+    <div className="max-w-xl mx-auto">
+      <div className="bg-white rounded-xl shadow-lg p-6">
+        <h1 className="text-2xl font-bold mb-2">
+          <Send className="inline mr-2 text-green-600" size={24} />
+          Link Telegram Notifications
+        </h1>
+        <p className="text-gray-600 mb-6">
+          Sign a message with your wallet to prove you own it. This does not send a transaction.
+        </p>
+
+        <div className="mb-6">
+          <span className="block text-sm font-semibold text-gray-700 mb-2">Wallet</span>
+          <code className="block p-3 bg-gray-100 rounded-lg text-sm break-all">{challenge.address}</code>
+        </div>
+
+        {linked ? (
+          <div className="p-4 bg-green-50 rounded-lg text-green-800">
+            <CheckCircle className="inline mr-2" size={20} />
+            Wallet linked! You can return to Telegram.
+          </div>
+        ) : !isConnected ? (
+          <button
+            onClick={connectWallet}
+            className="w-full bg-green-600 hover:bg-green-700 text-white font-bold py-3 rounded-lg transition"
+          >
+            <WalletIcon className="inline mr-2" size={20} />
+            Connect Wallet
+          </button>
+        ) : !walletMatches ? (
+          <div className="p-4 bg-orange-50 rounded-lg text-orange-800 text-sm">
+            Connected wallet {account} does not match. Switch to {challenge.address} in your wallet.
+          </div>
+        ) : (
+          <button
+            onClick={handleLink}
+            disabled={signing}
+            className="w-full bg-green-600 hover:bg-green-700 disabled:bg-gray-300 text-white font-bold py-3 rounded-lg transition"
+          >
+            {signing ? 'Waiting for signature...' : 'Sign & Link Wallet'}
+          </button>
+        )}
+
+        {error && (
+          <p className="mt-4 text-sm text-red-600">{error}</p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default function LinkTelegramPage() {
+  return (
+    <Suspense fallback={<div className="text-center py-20 text-gray-600">Loading...</div>}>
+      <LinkTelegram />
+    </Suspense>
+  );
+}
@@ -2,17 +2,22 @@
 
 import { useEffect, useState } from 'react';
 import { useWallet } from '@/contexts/WalletContext';
-import { apiService } from '@/lib/api';
+import { apiService, ProtocolStats, StatsHistoryPoint } from '@/lib/api';
+import { formatHBAR } from '@/lib/contracts';
 import { TrendingUp, DollarSign, Leaf, Users } from 'lucide-react';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
 
+const DAY = 24 * 60 * 60 * 1000;
+
 export default function Dashboard() {
   const { account, isConnected } = useWallet();
-  const [stats, setStats] = useState<any>(null);
+  const [stats, setStats] = useState<ProtocolStats | null>(null);
+  const [carbonHistory, setCarbonHistory] = useState<StatsHistoryPoint[]>([]);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
     loadStats();
+    loadCarbonHistory();
   }, []);
 
   const loadStats = async () => {
@@ -26,15 +31,25 @@ export default function Dashboard() {
     }
   };
 
-  // Mock chart data, 
-  const chartData = [
-    { name: 'Jan', carbon: 400 },
-    { name: 'Feb', carbon: 600 },
-    { name: 'Mar', carbon: 800 },
-    { name: 'Apr', carbon: 1200 },
-    { name: 'May', carbon: 1600 },
-    { name: 'Jun', carbon: 2450 },
-  ];
+  // Daily carbon offset over the last 30 days
+  const loadCarbonHistory = async () => {
+    try {
+      const to = Date.now();
+      const history = await apiService.getStatsHistory('totalCarbonOffset', {
+        from: to - 30 * DAY,
+        to,
+        interval: 'day',
+      });
+      setCarbonHistory(history.points);
+    } catch (error) {
+      console.error('Error loading carbon history:', error);
+    }
+  };
+
+  const chartData = carbonHistory.map((point) => ({
+    name: new Date(point.timestamp).toLocaleDateString(undefined, { month: 'short', day: 'numeric' }),
+    carbon: Number(point.last),
+  }));
 
   if (!isConnected) {
     return (
@@ -70,28 +85,28 @@ export default function Dashboard() {
         <StatCard
           icon={<DollarSign />}
           title="Total Deposits"
-          value={stats?.totalDeposits || '0'}
+          value={stats ? formatHBAR(stats.totalDeposits) : '0'}
           suffix="HBAR"
           color="blue"
         />
         <StatCard
           icon={<TrendingUp />}
           title="Total Borrows"
-          value={stats?.totalBorrows || '0'}
+          value={stats ? formatHBAR(stats.totalBorrows) : '0'}
           suffix="HBAR"
           color="purple"
         />
         <StatCard
           icon={<Leaf />}
           title="CO₂ Offset"
-          value={stats?.totalCarbonOffset || '0'}
+          value={stats?.totalCarbonOffset || 0}
           suffix="tons"
           color="green"
         />
         <StatCard
           icon={<Users />}
           title="Active Users"
-          value={stats?.activeUsers || '0'}
+          value={stats?.activeUsers || 0}
           suffix=""
           color="orange"
         />
@@ -135,8 +150,18 @@ export default function Dashboard() {
                 <div className="text-sm text-gray-600">NFTs Minted</div>
               </div>
               <div className="text-center p-4 bg-blue-50 rounded-lg">
-                <div className="text-2xl font-bold text-blue-600">8.5%</div>
-                <div className="text-sm text-gray-600">Avg APY</div>
+                <div className="text-2xl font-bold text-blue-600">{stats?.supplyAPR || 0}%</div>
+                <div className="text-sm text-gray-600">Supply APR</div>
+              </div>
+              <div className="text-center p-4 bg-purple-50 rounded-lg">
+                <div className="text-2xl font-bold text-purple-600">{stats?.borrowAPR || 0}%</div>
+                <div className="text-sm text-gray-600">Borrow APR</div>
+              </div>
+              <div className="text-center p-4 bg-orange-50 rounded-lg">
+                <div className="text-2xl font-bold text-orange-600">
+                  {stats ? formatHBAR(stats.totalStaked || '0') : '0'}
+                </div>
+                <div className="text-sm text-gray-600">HBAR Staked in Vault</div>
               </div>
             </div>
           </div>
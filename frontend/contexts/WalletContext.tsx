@@ -10,6 +10,7 @@ interface WalletContextType {
   isConnected: boolean;
   connectWallet: () => Promise<void>;
   disconnectWallet: () => void;
+  signMessage: (message: string) => Promise<string>;
   balance: string;
 }
 
@@ -20,6 +21,7 @@ const WalletContext = createContext<WalletContextType>({
   isConnected: false,
   connectWallet: async () => {},
   disconnectWallet: () => {},
+  signMessage: async () => '',
   balance: '0',
 });
 
@@ -87,6 +89,14 @@ export function WalletProvider({ children }: { children: ReactNode }) {
     localStorage.removeItem('walletAddress');
   };
 
+  // Sign a message (personal_sign) with the connected wallet
+  const signMessage = async (message: string) => {
+    if (!signer) {
+      throw new Error('Wallet not connected');
+    }
+    return signer.signMessage(message);
+  };
+
   // Auto-connect on mount
   useEffect(() => {
     const wasConnected = localStorage.getItem('walletConnected');
@@ -132,6 +142,7 @@ export function WalletProvider({ children }: { children: ReactNode }) {
         isConnected: !!account,
         connectWallet,
         disconnectWallet,
+        signMessage,
         balance,
       }}
     >
@@ -36,17 +36,149 @@ export interface NFT {
   isRetired: boolean;
 }
 
+// Amounts are wei strings; rates and utilization are percentages
 export interface ProtocolStats {
   totalDeposits: string;
   totalBorrows: string;
-  totalCarbonOffset: string;
+  reserveBalance: string;
+  totalStaked: string;
+  borrowAPR: number;
+  supplyAPR: number;
+  utilization: number;
+  totalCarbonOffset: number;
   totalNFTs: number;
+  retiredNFTs?: number;
   activeUsers: number;
+}
+
+export type ActivityType =
+  | 'deposit'
+  | 'borrow'
+  | 'repay'
+  | 'withdraw'
+  | 'mint'
+  | 'retire'
+  | 'stake'
+  | 'unstake'
+  | 'claim';
+
+// Amounts are wei strings; timestamp is unix seconds
+export interface ActivityEntry {
+  id: string;
+  address: string;
+  type: ActivityType;
+  amount?: string;
+  interest?: string;
+  principal?: string;
+  tokenId?: number;
+  carbonTons?: number;
+  verificationId?: string;
+  timestamp: number;
+  txHash: string;
+  transactionUrl: string;
+}
+
+export interface ActivityPage {
+  activity: ActivityEntry[];
+  nextCursor: string | null;
+}
+
+export interface PoolRates {
   utilization: number;
+  borrowAPR: number;
+  supplyAPR: number;
+}
+
+// Amounts are wei strings; rates are % per year
+export interface RateSimulation {
+  current: PoolRates;
+  simulated: PoolRates;
+  totalDeposits: string;
+  totalBorrows: string;
+  nftCount: number;
+  personalAPR: number;
+  principal: string;
+  horizonDays: number;
+  projectedInterest: string;
+  projectedInterestWithoutNFTs: string;
+  exceedsLiquidity: boolean;
+}
+
+export interface RateSimulationRequest {
+  address?: string;
+  deposit?: string;
+  borrow?: string;
+  nftCount?: number;
+  horizonDays?: number;
+}
+
+export type StatsMetric =
+  | 'totalDeposits'
+  | 'totalBorrows'
+  | 'totalStaked'
+  | 'utilization'
+  | 'borrowAPR'
+  | 'supplyAPR'
+  | 'totalCarbonOffset';
+
+export type StatsInterval = 'hour' | 'day' | 'week';
+
+// Wei metrics report their values as wei strings, the others as numbers
+export interface StatsHistoryPoint {
+  timestamp: number;
+  average: number | string;
+  min: number | string;
+  max: number | string;
+  last: number | string;
+  count: number;
+}
+
+export interface StatsHistory {
+  metric: StatsMetric;
+  interval: StatsInterval;
+  from: number;
+  to: number;
+  points: StatsHistoryPoint[];
+}
+
+export interface TelegramLinkChallenge {
+  address: string;
+  message: string;
+  expiresAt: number;
+}
+
+export type Role = 'admin' | 'oracle-operator' | 'user';
+
+export interface AuthSession {
+  token: string;
+  expiresAt: number;
+  address: string;
+  role: Role;
+}
+
+// Send the session token with every request
+export function setAuthToken(token: string | null) {
+  if (token) {
+    api.defaults.headers.common.Authorization = `Bearer ${token}`;
+  } else {
+    delete api.defaults.headers.common.Authorization;
+  }
 }
 
 // API functions
 export const apiService = {
+  // Sign-in message for a wallet to sign
+  async getSignInMessage(address: string): Promise<{ message: string; expiresAt: number }> {
+    const response = await api.post('/api/auth/nonce', { address });
+    return response.data.data;
+  },
+
+  // Exchange a signed sign-in message for a session token
+  async login(message: string, signature: string): Promise<AuthSession> {
+    const response = await api.post('/api/auth/login', { message, signature });
+    return response.data.data;
+  },
+
   // Leaderboard
   async getLeaderboard(limit: number = 100): Promise<LeaderboardEntry[]> {
     const response = await api.get(`/api/leaderboard?limit=${limit}`);
@@ -63,12 +195,41 @@ export const apiService = {
     }
   },
 
+  // User activity, newest first; pass nextCursor to load the next page
+  async getUserActivity(
+    address: string,
+    options: { types?: ActivityType[]; from?: number; to?: number; limit?: number; cursor?: string } = {}
+  ): Promise<ActivityPage> {
+    const { types, ...params } = options;
+    const response = await api.get(`/api/user/${address}/activity`, {
+      params: { ...params, type: types?.join(',') },
+    });
+    return response.data.data;
+  },
+
   // Protocol stats
   async getProtocolStats(): Promise<ProtocolStats> {
     const response = await api.get('/api/stats');
     return response.data.data;
   },
 
+  // Protocol metric history, downsampled into hour, day or week buckets
+  async getStatsHistory(
+    metric: StatsMetric,
+    options: { from?: number; to?: number; interval?: StatsInterval } = {}
+  ): Promise<StatsHistory> {
+    const response = await api.get('/api/stats/history', {
+      params: { metric, ...options },
+    });
+    return response.data.data;
+  },
+
+  // What-if rates after hypothetical deposits, borrows and NFT holdings
+  async simulateRates(request: RateSimulationRequest): Promise<RateSimulation> {
+    const response = await api.post('/api/simulate', request);
+    return response.data.data;
+  },
+
   // Guardian verification
   async getGuardianVerification(verificationId: string) {
     const response = await api.get(`/api/guardian/verification/${verificationId}`);
@@ -81,11 +242,21 @@ export const apiService = {
     return response.data.data;
   },
 
-  // Telegram subscription
-  async subscribeTelegram(chatId: string, walletAddress: string) {
+  // Telegram link challenge issued by the bot's /subscribe command
+  async getTelegramLink(nonce: string): Promise<TelegramLinkChallenge | null> {
+    try {
+      const response = await api.get(`/api/telegram/link/${nonce}`);
+      return response.data.data;
+    } catch {
+      return null;
+    }
+  },
+
+  // Telegram subscription, proven by signing the link challenge
+  async subscribeTelegram(message: string, signature: string) {
     const response = await api.post('/api/telegram/subscribe', {
-      chatId,
-      walletAddress,
+      message,
+      signature,
     });
     return response.data;
   },
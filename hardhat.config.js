@@ -1,6 +1,8 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("dotenv").config();
 
+require("./tasks/checkDeployment");
+
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   solidity: {
@@ -1,113 +1,180 @@
 const hre = require("hardhat");
 const { ethers } = require("hardhat");
 
-async function main() {
-  console.log("Starting deployment to Hedera...");
+const { DeploymentManager } = require("./lib/deploymentManager");
 
-  const [deployer] = await ethers.getSigners();
-  console.log("Deploying contracts with account:", deployer.address);
+// Networks where the deployer may stand in for the oracle and GREEN may be left unwired
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
 
-  const balance = await ethers.provider.getBalance(deployer.address);
-  console.log("Account balance:", ethers.formatEther(balance), "HBAR");
+// Contract name, backend variable, frontend variable
+const ENV_VARIABLES = [
+  ["LendingPool", "LENDING_POOL_ADDRESS", "NEXT_PUBLIC_LENDING_POOL_ADDRESS"],
+  ["GreenRewardManager", "GREEN_REWARD_MANAGER_ADDRESS", "NEXT_PUBLIC_GREEN_REWARD_MANAGER_ADDRESS"],
+  ["InterestRateModel", "INTEREST_RATE_MODEL_ADDRESS", "NEXT_PUBLIC_INTEREST_RATE_MODEL_ADDRESS"],
+  ["ClimateFundVault", "CLIMATE_FUND_VAULT_ADDRESS", "NEXT_PUBLIC_CLIMATE_FUND_VAULT_ADDRESS"],
+  ["LeaderboardTracker", "LEADERBOARD_TRACKER_ADDRESS", "NEXT_PUBLIC_LEADERBOARD_TRACKER_ADDRESS"]
+];
+
+/**
+ * Check an optional address setting
+ */
+function optionalAddress(name, value) {
+  if (!value) return null;
+  if (!ethers.isAddress(value)) {
+    throw new Error(`${name} is not a valid address: ${value}`);
+  }
+  return ethers.getAddress(value);
+}
+
+/**
+ * Deploy the missing contracts and wire them together
+ * @param {DeploymentManager} manager - Initialized deployment manager
+ * @param {Object} [options] - guardianOracle (defaults to the deployer), greenToken
+ */
+async function deployProtocol(manager, options = {}) {
+  const guardianOracle = options.guardianOracle || manager.signer.address;
+  const greenToken = options.greenToken || null;
 
-  // Deploy InterestRateModel
-  console.log("\nDeploying InterestRateModel...");
-  const InterestRateModel = await ethers.getContractFactory("InterestRateModel");
-  const interestRateModel = await InterestRateModel.deploy(
+  const interestRateModel = await manager.deploy("InterestRateModel", [
     2,   // 2% base rate
     10,  // 10% multiplier
     100, // 100% jump multiplier
     80   // 80% kink point
-  );
-  await interestRateModel.waitForDeployment();
-  const interestRateAddress = await interestRateModel.getAddress();
-  console.log("InterestRateModel deployed to:", interestRateAddress);
-
-  // Deploy LeaderboardTracker (temporary address, will update later)
-  console.log("\nDeploying LeaderboardTracker...");
-  const LeaderboardTracker = await ethers.getContractFactory("LeaderboardTracker");
-  const leaderboardTracker = await LeaderboardTracker.deploy(ethers.ZeroAddress);
-  await leaderboardTracker.waitForDeployment();
-  const leaderboardAddress = await leaderboardTracker.getAddress();
-  console.log("LeaderboardTracker deployed to:", leaderboardAddress);
-
-  // Deploy GreenRewardManager
-  console.log("\nDeploying GreenRewardManager...");
-  const GreenRewardManager = await ethers.getContractFactory("GreenRewardManager");
-  const greenRewardManager = await GreenRewardManager.deploy(deployer.address); // Guardian Oracle
-  await greenRewardManager.waitForDeployment();
-  const greenRewardAddress = await greenRewardManager.getAddress();
-  console.log("GreenRewardManager deployed to:", greenRewardAddress);
-
-  // Update LeaderboardTracker with GreenRewardManager address
-  console.log("\nLinking LeaderboardTracker to GreenRewardManager...");
-  await leaderboardTracker.setGreenRewardManager(greenRewardAddress);
-  console.log("LeaderboardTracker linked");
-
-  // Update GreenRewardManager with LeaderboardTracker address
-  console.log("\nLinking GreenRewardManager to LeaderboardTracker...");
-  await greenRewardManager.setLeaderboardTracker(leaderboardAddress);
-  console.log("GreenRewardManager linked");
-
-  // Deploy LendingPool
-  console.log("\nDeploying LendingPool...");
-  const LendingPool = await ethers.getContractFactory("LendingPool");
-  const lendingPool = await LendingPool.deploy(
-    interestRateAddress,
-    greenRewardAddress
-  );
-  await lendingPool.waitForDeployment();
-  const lendingPoolAddress = await lendingPool.getAddress();
-  console.log("LendingPool deployed to:", lendingPoolAddress);
-
-  // Deploy ClimateFundVault
-  console.log("\nDeploying ClimateFundVault...");
-  const ClimateFundVault = await ethers.getContractFactory("ClimateFundVault");
-  const climateFundVault = await ClimateFundVault.deploy();
-  await climateFundVault.waitForDeployment();
-  const vaultAddress = await climateFundVault.getAddress();
-  console.log("ClimateFundVault deployed to:", vaultAddress);
-
-  // Summary
+  ]);
+  // Addresses passed to constructors are wired below as well, so a kept
+  // contract is repointed rather than deployed again when they change
+  const leaderboardTracker = await manager.deploy("LeaderboardTracker", [ethers.ZeroAddress], { wired: [0] });
+  const greenRewardManager = await manager.deploy("GreenRewardManager", [guardianOracle], { wired: [0] });
+  const lendingPool = await manager.deploy("LendingPool", [
+    manager.address("InterestRateModel"),
+    manager.address("GreenRewardManager")
+  ], { wired: [0, 1] });
+  const climateFundVault = await manager.deploy("ClimateFundVault");
+
+  // Contracts kept from an earlier run may point at ones deployed since,
+  // so every link is checked, not only those of new contracts
+  await manager.wire("LeaderboardTracker.greenRewardManager", {
+    contract: leaderboardTracker,
+    getter: "greenRewardManager",
+    setter: "setGreenRewardManager",
+    expected: manager.address("GreenRewardManager")
+  });
+  await manager.wire("GreenRewardManager.leaderboardTracker", {
+    contract: greenRewardManager,
+    getter: "leaderboardTracker",
+    setter: "setLeaderboardTracker",
+    expected: manager.address("LeaderboardTracker")
+  });
+  await manager.wire("GreenRewardManager.guardianOracle", {
+    contract: greenRewardManager,
+    getter: "guardianOracle",
+    setter: "setGuardianOracle",
+    expected: guardianOracle
+  });
+  if (!options.guardianOracle) {
+    manager.warn("GreenRewardManager.guardianOracle", "GUARDIAN_ORACLE_ADDRESS not set, the deployer mints as oracle");
+  }
+  await manager.wire("LendingPool.interestRateModel", {
+    contract: lendingPool,
+    getter: "interestRateModel",
+    setter: "setInterestRateModel",
+    expected: manager.address("InterestRateModel")
+  });
+  await manager.wire("LendingPool.greenRewardManager", {
+    contract: lendingPool,
+    getter: "greenRewardManager",
+    setter: "setGreenRewardManager",
+    expected: manager.address("GreenRewardManager")
+  });
+
+  if (greenToken) {
+    await manager.wire("GreenRewardManager.greenToken", {
+      contract: greenRewardManager,
+      getter: "greenToken",
+      setter: "setGreenToken",
+      expected: greenToken
+    });
+    await manager.wire("ClimateFundVault.greenToken", {
+      contract: climateFundVault,
+      getter: "greenToken",
+      setter: "setGreenToken",
+      expected: greenToken
+    });
+  } else {
+    manager.warn("GreenRewardManager.greenToken", "GREEN_TOKEN_ADDRESS not set, not wired");
+    manager.warn("ClimateFundVault.greenToken", "GREEN_TOKEN_ADDRESS not set, not wired");
+  }
+
+  return { interestRateModel, leaderboardTracker, greenRewardManager, lendingPool, climateFundVault };
+}
+
+/**
+ * Contract addresses as backend and frontend environment variables
+ */
+function envFragment(manager, greenToken) {
+  const { network, chainId } = manager.state;
+  const lines = [`# GreenDeFi contracts on ${network} (chain ${chainId})`, "", "# Backend (.env)"];
+
+  for (const [name, backendVariable] of ENV_VARIABLES) {
+    lines.push(`${backendVariable}=${manager.address(name)}`);
+  }
+  lines.push(`GREEN_TOKEN_ADDRESS=${greenToken || ""}`);
+
+  lines.push("", "# Frontend (frontend/.env.local)");
+  for (const [name, , frontendVariable] of ENV_VARIABLES) {
+    lines.push(`${frontendVariable}=${manager.address(name)}`);
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+async function main() {
+  const guardianOracle = optionalAddress("GUARDIAN_ORACLE_ADDRESS", process.env.GUARDIAN_ORACLE_ADDRESS);
+  const greenToken = optionalAddress("GREEN_TOKEN_ADDRESS", process.env.GREEN_TOKEN_ADDRESS);
+
+  if (!LOCAL_NETWORKS.includes(hre.network.name)) {
+    const missing = [["GUARDIAN_ORACLE_ADDRESS", guardianOracle], ["GREEN_TOKEN_ADDRESS", greenToken]]
+      .filter(([, value]) => !value)
+      .map(([name]) => name);
+    if (missing.length > 0) {
+      throw new Error(`${missing.join(" and ")} must be set to deploy to ${hre.network.name}`);
+    }
+  }
+
+  const redeploy = (process.env.REDEPLOY || "").split(",").map(name => name.trim()).filter(Boolean);
+
+  const manager = await new DeploymentManager(hre, { redeploy }).init();
+  console.log(`Deploying to ${hre.network.name} (chain ${manager.state.chainId})`);
+  console.log("Deploying contracts with account:", manager.signer.address);
+
+  const balance = await ethers.provider.getBalance(manager.signer.address);
+  console.log("Account balance:", ethers.formatEther(balance), "HBAR");
+  console.log("State file:", manager.file, "\n");
+
+  await deployProtocol(manager, { guardianOracle, greenToken });
+
+  const fragment = envFragment(manager, greenToken);
+  const envFile = manager.writeEnv(fragment);
+
+  const warnings = Object.entries(manager.state.warnings);
+
   console.log("\n" + "=".repeat(60));
-  console.log("Deployment Complete!");
+  console.log(warnings.length > 0 ? "Deployment Complete, with warnings:" : "Deployment Complete!");
+  for (const [step, message] of warnings) {
+    console.log(`  ${step}: ${message}`);
+  }
   console.log("=".repeat(60));
-  console.log("\nContract Addresses:");
-  console.log("LendingPool:", lendingPoolAddress);
-  console.log("GreenRewardManager:", greenRewardAddress);
-  console.log("InterestRateModel:", interestRateAddress);
-  console.log("ClimateFundVault:", vaultAddress);
-  console.log("LeaderboardTracker:", leaderboardAddress);
-
-  console.log("\nNext Steps:");
-  console.log("1. Update .env with the contract addresses above");
-  console.log("2. Set up Guardian Oracle address in GreenRewardManager");
-  console.log("3. Configure backend services with contract addresses");
-  console.log("4. Start frontend and backend servers");
-
-  // Save addresses to file
-  const fs = require('fs');
-  const addresses = {
-    lendingPool: lendingPoolAddress,
-    greenRewardManager: greenRewardAddress,
-    interestRateModel: interestRateAddress,
-    climateFundVault: vaultAddress,
-    leaderboardTracker: leaderboardAddress,
-    network: hre.network.name,
-    deployer: deployer.address,
-    timestamp: new Date().toISOString()
-  };
-
-  fs.writeFileSync(
-    'deployed-addresses.json',
-    JSON.stringify(addresses, null, 2)
-  );
-  console.log("\nAddresses saved to deployed-addresses.json");
+  console.log("\n" + fragment);
+  console.log("Environment variables saved to", envFile);
 }
 
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error(error);
-    process.exit(1);
-  });
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { deployProtocol, envFragment };
@@ -0,0 +1,167 @@
+const ADDRESS = /^0x[0-9a-fA-F]{40}$/;
+
+/**
+ * Resolve an expected value from the network config.
+ *
+ * Strings may name the deployer ("deployer"), a contract in the deployment
+ * record ("LendingPool"), or an environment variable ("$VAR", or
+ * "${VAR:-fallback}" with a fallback resolved the same way).
+ * @returns {Object} { value, label } or { error }
+ */
+function resolveExpected(value, deployment, env = process.env) {
+  if (typeof value !== "string") {
+    return { value };
+  }
+
+  const variable = value.match(/^\$(\w+)$/) || value.match(/^\$\{(\w+)(?::-([^}]*))?\}$/);
+  if (variable) {
+    const [, name, fallback] = variable;
+    if (env[name]) {
+      return { value: env[name], label: name };
+    }
+    if (fallback !== undefined) {
+      return resolveExpected(fallback, deployment, env);
+    }
+    return { error: `${name} is not set` };
+  }
+
+  if (value === "deployer") {
+    return { value: deployment.deployer, label: "deployer" };
+  }
+
+  const contract = deployment.contracts[value];
+  if (contract) {
+    return { value: contract.address, label: value };
+  }
+
+  return { value };
+}
+
+/**
+ * Compare a configured value with one read from a contract
+ */
+function sameValue(expected, actual) {
+  if (typeof actual === "bigint") {
+    return /^\d+$/.test(String(expected)) && BigInt(expected) === actual;
+  }
+  if (typeof actual === "string" && ADDRESS.test(actual)) {
+    return typeof expected === "string" && expected.toLowerCase() === actual.toLowerCase();
+  }
+  return expected === actual;
+}
+
+/**
+ * Read every configured owner, linked address and parameter and compare it
+ * with the config
+ * @param {Object} hre - Hardhat runtime environment
+ * @param {Object} config - { contracts: { Name: { getter: expected } } }
+ * @param {Object} deployment - Deployment record (deployments/<network>.json)
+ * @param {Object} [env] - Environment for $VAR references
+ * @returns {Array} one entry per contract, with a check per getter
+ */
+async function checkConfig(hre, config, deployment, env = process.env) {
+  const results = [];
+
+  for (const [name, properties] of Object.entries(config.contracts)) {
+    const recorded = deployment.contracts[name];
+    const result = { contract: name, address: recorded ? recorded.address : null, checks: [] };
+    results.push(result);
+
+    if (!recorded || recorded.pending) {
+      result.error = "not in the deployment record";
+      continue;
+    }
+    if ((await hre.ethers.provider.getCode(recorded.address)) === "0x") {
+      result.error = "no contract code at the recorded address";
+      continue;
+    }
+
+    const contract = await hre.ethers.getContractAt(name, recorded.address);
+
+    for (const [property, configured] of Object.entries(properties)) {
+      const check = { property, ok: false };
+      result.checks.push(check);
+
+      const expected = resolveExpected(configured, deployment, env);
+      if (expected.error) {
+        check.error = expected.error;
+        continue;
+      }
+      check.expected = expected.value;
+      check.label = expected.label;
+
+      const getter = contract.interface.getFunction(property);
+      if (!getter || getter.inputs.length > 0) {
+        check.error = `${name} has no ${property}() getter`;
+        continue;
+      }
+
+      check.actual = await contract[property]();
+      check.ok = sameValue(check.expected, check.actual);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Print check results as a diff: "-" lines are configured, "+" lines are on chain
+ * @returns {Object} { text, checked, mismatches }
+ */
+function formatReport(results, deployment) {
+  // Label addresses with the deployment record names they belong to
+  const names = new Map(
+    Object.entries(deployment.contracts).map(([name, entry]) => [entry.address.toLowerCase(), name])
+  );
+  if (deployment.deployer) {
+    names.set(deployment.deployer.toLowerCase(), "deployer");
+  }
+  const show = (value) => {
+    const text = String(value);
+    const name = names.get(text.toLowerCase());
+    return name ? `${text} (${name})` : text;
+  };
+
+  const width = Math.max(0, ...results.flatMap(result => result.checks.map(check => check.property.length)));
+  const lines = [];
+  let checked = 0;
+  let mismatches = 0;
+
+  for (const result of results) {
+    lines.push(`${result.contract} ${result.address || ""}`.trim());
+
+    if (result.error) {
+      lines.push(`  ! ${result.error}`);
+      mismatches++;
+      continue;
+    }
+
+    for (const check of result.checks) {
+      const property = check.property.padEnd(width);
+      checked++;
+
+      if (check.error) {
+        lines.push(`  ! ${property}  ${check.error}`);
+        mismatches++;
+      } else if (check.ok) {
+        lines.push(`    ${property}  ${show(check.actual)}`);
+      } else {
+        const expected = check.label && !names.has(String(check.expected).toLowerCase())
+          ? `${check.expected} (${check.label})`
+          : show(check.expected);
+        lines.push(`  - ${property}  ${expected}`);
+        lines.push(`  + ${property}  ${show(check.actual)}`);
+        mismatches++;
+      }
+    }
+  }
+
+  lines.push("");
+  lines.push(mismatches === 0
+    ? `All ${checked} values match`
+    : `${mismatches} mismatch${mismatches === 1 ? "" : "es"} (- configured, + on chain)`);
+
+  return { text: lines.join("\n"), checked, mismatches };
+}
+
+module.exports = { resolveExpected, checkConfig, formatReport };
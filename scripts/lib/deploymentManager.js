@@ -0,0 +1,240 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Per-network deployment state, kept in deployments/<network>.json.
+ * Each deployment and wiring step is saved as soon as it completes, so a
+ * run that fails halfway can simply be started again.
+ */
+class DeploymentManager {
+  /**
+   * @param {Object} hre - Hardhat runtime environment
+   * @param {Object} [options] - dir (state directory), signer, log, redeploy
+   *   (names of contracts to deploy again when their constructor arguments changed),
+   *   waitTimeout (ms to wait for a deployment sent by an earlier run)
+   */
+  constructor(hre, options = {}) {
+    this.hre = hre;
+    this.ethers = hre.ethers;
+    this.network = hre.network.name;
+    this.dir = options.dir || path.join(hre.config.paths.root, "deployments");
+    this.file = path.join(this.dir, `${this.network}.json`);
+    this.signer = options.signer || null;
+    this.log = options.log || console.log;
+    this.redeploy = options.redeploy || [];
+    this.waitTimeout = options.waitTimeout || 300000; // 5 minutes
+    this.state = null;
+  }
+
+  /**
+   * Load the recorded state and check it belongs to the connected chain
+   */
+  async init() {
+    if (!this.signer) {
+      [this.signer] = await this.ethers.getSigners();
+    }
+    const chainId = Number((await this.ethers.provider.getNetwork()).chainId);
+
+    this.state = this.load();
+    if (this.state.chainId !== null && this.state.chainId !== chainId) {
+      throw new Error(
+        `${this.file} was recorded on chain ${this.state.chainId}, but ${this.network} is chain ${chainId}`
+      );
+    }
+
+    this.state.chainId = chainId;
+    this.state.deployer = this.signer.address;
+    this.state.warnings = this.state.warnings || {};
+    this.save();
+    return this;
+  }
+
+  /**
+   * Read the state file, or start an empty one
+   */
+  load() {
+    if (!fs.existsSync(this.file)) {
+      return { network: this.network, chainId: null, deployer: null, contracts: {}, wiring: {}, warnings: {} };
+    }
+    return JSON.parse(fs.readFileSync(this.file, "utf8"));
+  }
+
+  /**
+   * Write the state file (via a temporary file, so a crash never leaves it half written)
+   */
+  save() {
+    this.state.updatedAt = new Date().toISOString();
+    fs.mkdirSync(this.dir, { recursive: true });
+
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(this.state, null, 2) + "\n");
+    fs.renameSync(tmp, this.file);
+  }
+
+  /**
+   * Address a contract was deployed to, if recorded
+   */
+  address(name) {
+    const entry = this.state.contracts[name];
+    return entry && !entry.pending ? entry.address : null;
+  }
+
+  /**
+   * Whether the recorded deployment of a contract is live on chain
+   */
+  async isDeployed(name) {
+    const entry = this.state.contracts[name];
+    if (!entry) return false;
+
+    if (entry.pending) {
+      // Sent by a run that stopped before it was mined
+      const tx = await this.ethers.provider.getTransaction(entry.txHash);
+      if (!tx) return false;
+
+      let receipt;
+      try {
+        receipt = await tx.wait(1, this.waitTimeout);
+      } catch (error) {
+        if (error.code !== "TIMEOUT") throw error;
+        throw new Error(
+          `${name}: deployment transaction ${entry.txHash} is still pending after ` +
+          `${this.waitTimeout / 1000}s; run again once it is mined or dropped`
+        );
+      }
+      if (!receipt || receipt.status !== 1) return false;
+
+      entry.blockNumber = receipt.blockNumber;
+      entry.deployedAt = new Date().toISOString();
+      delete entry.pending;
+      this.save();
+    }
+
+    return (await this.ethers.provider.getCode(entry.address)) !== "0x";
+  }
+
+  /**
+   * Whether a recorded deployment used other constructor arguments, ignoring
+   * those at the wired indices
+   */
+  argsChanged(name, args, wired) {
+    const recorded = this.state.contracts[name].args;
+    const current = args.map(String);
+
+    return recorded.length !== current.length ||
+      current.some((value, i) => value !== recorded[i] && !wired.includes(i));
+  }
+
+  /**
+   * Deploy a contract unless a live deployment with the same constructor
+   * arguments is already recorded. One with other arguments is an error,
+   * unless the contract is listed in the redeploy option.
+   * @param {string} name - Contract name
+   * @param {Array} [args] - Constructor arguments
+   * @param {Object} [options] - wired: indices of arguments that wiring keeps
+   *   up to date afterwards, so a change there keeps the deployment
+   * @returns {Object} the contract, connected to the deployer
+   */
+  async deploy(name, args = [], { wired = [] } = {}) {
+    const recorded = this.state.contracts[name];
+
+    if (await this.isDeployed(name)) {
+      if (!this.argsChanged(name, args, wired)) {
+        this.log(`${name}: already deployed at ${recorded.address}`);
+        return this.ethers.getContractAt(name, recorded.address, this.signer);
+      }
+
+      const change = `[${recorded.args.join(", ")}] -> [${args.map(String).join(", ")}]`;
+      if (!this.redeploy.includes(name)) {
+        throw new Error(
+          `${name}: deployed at ${recorded.address} with other constructor arguments ${change}; ` +
+          `run again with REDEPLOY=${name} to replace it`
+        );
+      }
+      this.log(`${name}: constructor arguments changed ${change}, deploying again`);
+    } else if (recorded) {
+      this.log(`${name}: recorded deployment at ${recorded.address} not found, deploying again`);
+    }
+
+    const factory = await this.ethers.getContractFactory(name, this.signer);
+    const contract = await factory.deploy(...args);
+    const tx = contract.deploymentTransaction();
+
+    const entry = {
+      address: await contract.getAddress(),
+      args: args.map(String),
+      txHash: tx.hash,
+      pending: true
+    };
+    this.state.contracts[name] = entry;
+    this.save();
+
+    const receipt = await tx.wait();
+    entry.blockNumber = receipt.blockNumber;
+    entry.deployedAt = new Date().toISOString();
+    delete entry.pending;
+    this.save();
+
+    this.log(`${name}: deployed to ${entry.address}`);
+    return contract;
+  }
+
+  /**
+   * Make an owner-settable address point at the expected value, then read it
+   * back to verify
+   * @param {string} step - Name recorded in the state file
+   * @param {Object} options - contract, getter, setter, expected
+   */
+  async wire(step, { contract, getter, setter, expected }) {
+    const matches = (value) => String(value).toLowerCase() === String(expected).toLowerCase();
+    let txHash = null;
+
+    if (matches(await contract[getter]())) {
+      this.log(`${step}: already ${expected}`);
+    } else {
+      const owner = await contract.owner();
+      if (owner.toLowerCase() !== this.signer.address.toLowerCase()) {
+        throw new Error(`${step}: contract is owned by ${owner}, not the deployer ${this.signer.address}`);
+      }
+
+      const tx = await contract.connect(this.signer)[setter](expected);
+      await tx.wait();
+      txHash = tx.hash;
+      this.log(`${step}: set to ${expected}`);
+    }
+
+    const actual = await contract[getter]();
+    if (!matches(actual)) {
+      throw new Error(`${step}: expected ${expected}, but ${getter}() returns ${actual}`);
+    }
+
+    this.state.wiring[step] = {
+      value: expected,
+      txHash: txHash || (this.state.wiring[step] && this.state.wiring[step].txHash) || null,
+      verifiedAt: new Date().toISOString()
+    };
+    delete this.state.warnings[step];
+    this.save();
+  }
+
+  /**
+   * Record a step left undone or done with a fallback; it stays in the
+   * state file and the summary until the step is wired
+   */
+  warn(step, message) {
+    this.log(`${step}: ${message}`);
+    this.state.warnings[step] = message;
+    this.save();
+  }
+
+  /**
+   * Write an env fragment next to the state file
+   * @returns {string} the path written
+   */
+  writeEnv(content) {
+    const file = path.join(this.dir, `${this.network}.env`);
+    fs.writeFileSync(file, content);
+    return file;
+  }
+}
+
+module.exports = { DeploymentManager };
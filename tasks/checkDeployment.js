@@ -0,0 +1,32 @@
+const fs = require("fs");
+const path = require("path");
+const { task } = require("hardhat/config");
+
+const { checkConfig, formatReport } = require("../scripts/lib/configCheck");
+
+task("check-deployment", "Compares deployed contract owners, links and parameters with config/<network>.json")
+  .addOptionalParam("configFile", "Expected configuration (default: config/<network>.json)")
+  .addOptionalParam("deploymentFile", "Deployment record (default: deployments/<network>.json)")
+  .setAction(async ({ configFile, deploymentFile }, hre) => {
+    const root = hre.config.paths.root;
+    configFile = configFile || path.join(root, "config", `${hre.network.name}.json`);
+    deploymentFile = deploymentFile || path.join(root, "deployments", `${hre.network.name}.json`);
+
+    for (const file of [configFile, deploymentFile]) {
+      if (!fs.existsSync(file)) {
+        throw new Error(`${file} not found`);
+      }
+    }
+    const config = JSON.parse(fs.readFileSync(configFile, "utf8"));
+    const deployment = JSON.parse(fs.readFileSync(deploymentFile, "utf8"));
+
+    console.log(`Checking ${hre.network.name} against ${path.relative(root, configFile)}\n`);
+
+    const report = formatReport(await checkConfig(hre, config, deployment), deployment);
+    console.log(report.text);
+
+    if (report.mismatches > 0) {
+      process.exitCode = 1;
+    }
+    return report;
+  });
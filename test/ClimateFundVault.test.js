@@ -0,0 +1,200 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { deployProtocolFixture } = require("./fixtures");
+
+const YEAR = 365n * 24n * 3600n;
+const hbar = (amount) => ethers.parseEther(amount.toString());
+
+describe("ClimateFundVault", function () {
+  /**
+   * Vault with 100 HBAR of spare balance to pay rewards and fund projects
+   */
+  async function fundedVaultFixture() {
+    const fixture = await deployProtocolFixture();
+    await fixture.owner.sendTransaction({
+      to: await fixture.climateFundVault.getAddress(),
+      value: hbar(100)
+    });
+    return fixture;
+  }
+
+  describe("staking", function () {
+    it("records stakes and the vault total", async function () {
+      const { climateFundVault, alice, bob } = await loadFixture(fundedVaultFixture);
+
+      await expect(climateFundVault.connect(alice).stake({ value: hbar(10) }))
+        .to.emit(climateFundVault, "Staked")
+        .withArgs(alice.address, hbar(10));
+
+      const info = await climateFundVault.getStakeInfo(alice.address);
+      expect(info.amount).to.equal(hbar(10));
+      expect(info.startTime).to.equal(await time.latest());
+      expect(info.pendingRewards).to.equal(0);
+
+      await climateFundVault.connect(bob).stake({ value: hbar(5) });
+      expect(await climateFundVault.totalStaked()).to.equal(hbar(15));
+    });
+
+    it("rejects an empty stake", async function () {
+      const { climateFundVault, alice } = await loadFixture(fundedVaultFixture);
+
+      await expect(climateFundVault.connect(alice).stake({ value: 0 }))
+        .to.be.revertedWith("Must stake positive amount");
+    });
+
+    it("returns stake on withdrawal and keeps the remainder staked", async function () {
+      const { climateFundVault, alice } = await loadFixture(fundedVaultFixture);
+      await climateFundVault.connect(alice).stake({ value: hbar(10) });
+
+      await expect(climateFundVault.connect(alice).withdraw(hbar(4)))
+        .to.emit(climateFundVault, "Withdrawn")
+        .withArgs(alice.address, hbar(4));
+
+      expect((await climateFundVault.getStakeInfo(alice.address)).amount).to.equal(hbar(6));
+      expect(await climateFundVault.totalStaked()).to.equal(hbar(6));
+    });
+
+    it("rejects withdrawing nothing or more than the stake", async function () {
+      const { climateFundVault, alice, bob } = await loadFixture(fundedVaultFixture);
+      await climateFundVault.connect(alice).stake({ value: hbar(10) });
+
+      await expect(climateFundVault.connect(alice).withdraw(0)).to.be.revertedWith("Invalid amount");
+      await expect(climateFundVault.connect(alice).withdraw(hbar(10) + 1n)).to.be.revertedWith("Invalid amount");
+      await expect(climateFundVault.connect(bob).withdraw(1)).to.be.revertedWith("Invalid amount");
+    });
+  });
+
+  describe("rewards", function () {
+    it("accrues 8% a year and pays it out in HBAR", async function () {
+      const { climateFundVault, alice } = await loadFixture(fundedVaultFixture);
+      await climateFundVault.connect(alice).stake({ value: hbar(50) });
+      const start = BigInt(await time.latest());
+
+      await time.increaseTo(start + YEAR / 2n);
+      expect(await climateFundVault.calculatePendingRewards(alice.address)).to.equal(hbar(2));
+
+      await time.setNextBlockTimestamp(start + YEAR);
+      const claim = climateFundVault.connect(alice).claimRewards();
+      await expect(claim).to.emit(climateFundVault, "RewardsClaimed").withArgs(alice.address, hbar(4));
+      await expect(claim).to.changeEtherBalances([alice, climateFundVault], [hbar(4), -hbar(4)]);
+
+      // Claiming resets the accrual
+      expect(await climateFundVault.calculatePendingRewards(alice.address)).to.equal(0);
+      expect((await climateFundVault.stakes(alice.address)).rewardDebt).to.equal(hbar(4));
+    });
+
+    it("pays pending rewards before changing a stake", async function () {
+      const { climateFundVault, alice } = await loadFixture(fundedVaultFixture);
+      await climateFundVault.connect(alice).stake({ value: hbar(50) });
+      const start = BigInt(await time.latest());
+
+      await time.setNextBlockTimestamp(start + YEAR);
+      await expect(climateFundVault.connect(alice).stake({ value: hbar(50) }))
+        .to.emit(climateFundVault, "RewardsClaimed")
+        .withArgs(alice.address, hbar(4));
+
+      await time.setNextBlockTimestamp(start + 2n * YEAR);
+      const withdrawal = climateFundVault.connect(alice).withdraw(hbar(100));
+      await expect(withdrawal).to.emit(climateFundVault, "RewardsClaimed").withArgs(alice.address, hbar(8));
+      await expect(withdrawal).to.changeEtherBalance(alice, hbar(108));
+    });
+
+    it("follows the reward rate set by the owner", async function () {
+      const { climateFundVault, alice } = await loadFixture(fundedVaultFixture);
+      await climateFundVault.setRewardRate(20);
+      await climateFundVault.connect(alice).stake({ value: hbar(10) });
+      const start = BigInt(await time.latest());
+
+      await time.increaseTo(start + YEAR);
+      expect(await climateFundVault.calculatePendingRewards(alice.address)).to.equal(hbar(2));
+
+      await expect(climateFundVault.setRewardRate(101)).to.be.revertedWith("Rate too high");
+      await expect(climateFundVault.connect(alice).setRewardRate(1))
+        .to.be.revertedWithCustomError(climateFundVault, "OwnableUnauthorizedAccount")
+        .withArgs(alice.address);
+    });
+
+    it("leaves HBAR in the vault once rewards are paid in GREEN", async function () {
+      const { climateFundVault, alice, carol } = await loadFixture(fundedVaultFixture);
+      await climateFundVault.setGreenToken(carol.address);
+      await climateFundVault.connect(alice).stake({ value: hbar(50) });
+      const start = BigInt(await time.latest());
+
+      await time.setNextBlockTimestamp(start + YEAR);
+      const claim = climateFundVault.connect(alice).claimRewards();
+      await expect(claim).to.emit(climateFundVault, "RewardsClaimed").withArgs(alice.address, hbar(4));
+      await expect(claim).to.changeEtherBalance(climateFundVault, 0);
+    });
+  });
+
+  describe("projects", function () {
+    it("creates projects with sequential IDs", async function () {
+      const { climateFundVault, beneficiary } = await loadFixture(fundedVaultFixture);
+
+      await expect(climateFundVault.createProject("Mangroves", "Restore 40 ha", hbar(30), beneficiary.address))
+        .to.emit(climateFundVault, "ProjectCreated")
+        .withArgs(1, "Mangroves", hbar(30));
+      await climateFundVault.createProject("Solar", "Village microgrid", hbar(5), beneficiary.address);
+
+      const project = await climateFundVault.getProject(1);
+      expect(project.name).to.equal("Mangroves");
+      expect(project.description).to.equal("Restore 40 ha");
+      expect(project.fundingGoal).to.equal(hbar(30));
+      expect(project.currentFunding).to.equal(0);
+      expect(project.isActive).to.equal(true);
+      expect((await climateFundVault.projects(2)).projectId).to.equal("PROJ-2");
+      expect(await climateFundVault.nextProjectId()).to.equal(3);
+    });
+
+    it("funds a project from spare balance until its goal is met", async function () {
+      const { climateFundVault, beneficiary } = await loadFixture(fundedVaultFixture);
+      await climateFundVault.createProject("Mangroves", "Restore 40 ha", hbar(30), beneficiary.address);
+
+      const first = climateFundVault.fundProject(1, hbar(20));
+      await expect(first).to.emit(climateFundVault, "ProjectFunded").withArgs(1, hbar(20));
+      await expect(first).not.to.emit(climateFundVault, "ProjectCompleted");
+      await expect(first).to.changeEtherBalances([climateFundVault, beneficiary], [-hbar(20), hbar(20)]);
+
+      await expect(climateFundVault.fundProject(1, hbar(15)))
+        .to.emit(climateFundVault, "ProjectCompleted")
+        .withArgs(1);
+
+      const project = await climateFundVault.getProject(1);
+      expect(project.currentFunding).to.equal(hbar(35));
+      expect(project.isActive).to.equal(false);
+      expect(await climateFundVault.totalProjectsFunded()).to.equal(1);
+
+      await expect(climateFundVault.fundProject(1, 1)).to.be.revertedWith("Project not active");
+    });
+
+    it("never funds projects from staked HBAR", async function () {
+      const { climateFundVault, alice, beneficiary } = await loadFixture(fundedVaultFixture);
+      await climateFundVault.connect(alice).stake({ value: hbar(500) });
+      await climateFundVault.createProject("Mangroves", "Restore 40 ha", hbar(1000), beneficiary.address);
+
+      await expect(climateFundVault.fundProject(1, hbar(100) + 1n))
+        .to.be.revertedWith("Insufficient vault balance");
+      await climateFundVault.fundProject(1, hbar(100));
+    });
+
+    it("rejects invalid projects, funding and callers other than the owner", async function () {
+      const { climateFundVault, alice, beneficiary } = await loadFixture(fundedVaultFixture);
+
+      await expect(climateFundVault.createProject("Empty", "", 0, beneficiary.address))
+        .to.be.revertedWith("Invalid funding goal");
+      await expect(climateFundVault.createProject("Nobody", "", 1, ethers.ZeroAddress))
+        .to.be.revertedWith("Invalid beneficiary");
+      await expect(climateFundVault.fundProject(1, 1)).to.be.revertedWith("Project not active");
+
+      await climateFundVault.createProject("Mangroves", "", hbar(1), beneficiary.address);
+      await expect(climateFundVault.fundProject(1, 0)).to.be.revertedWith("Invalid amount");
+
+      await expect(climateFundVault.connect(alice).createProject("Mine", "", 1, alice.address))
+        .to.be.revertedWithCustomError(climateFundVault, "OwnableUnauthorizedAccount");
+      await expect(climateFundVault.connect(alice).fundProject(1, 1))
+        .to.be.revertedWithCustomError(climateFundVault, "OwnableUnauthorizedAccount");
+    });
+  });
+});
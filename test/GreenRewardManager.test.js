@@ -0,0 +1,188 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { deployProtocolFixture, mintNFT } = require("./fixtures");
+
+describe("GreenRewardManager", function () {
+  describe("mintCarbonNFT", function () {
+    it("mints an NFT and records it on the owner's profile", async function () {
+      const { greenRewardManager, owner, alice } = await loadFixture(deployProtocolFixture);
+
+      await expect(
+        greenRewardManager.mintCarbonNFT(alice.address, 12, "gv-1", "Verra", "project-7")
+      )
+        .to.emit(greenRewardManager, "NFTMinted")
+        .withArgs(1, alice.address, 12, "gv-1");
+
+      const details = await greenRewardManager.getNFTDetails(1);
+      expect(details.owner).to.equal(alice.address);
+      expect(details.carbonTons).to.equal(12);
+      expect(details.verificationId).to.equal("gv-1");
+      expect(details.timestamp).to.equal(await time.latest());
+      expect(details.retired).to.equal(false);
+      expect(details.issuer).to.equal("Verra");
+
+      const profile = await greenRewardManager.getUserProfile(alice.address);
+      expect(profile.totalNFTs).to.equal(1);
+      expect(profile.totalCarbonOffset).to.equal(12);
+      expect(profile.activeNFTs).to.equal(1);
+      expect(await greenRewardManager.getUserNFTs(alice.address)).to.deep.equal([1n]);
+      expect(await greenRewardManager.usedVerificationIds("gv-1")).to.equal(true);
+      expect(await greenRewardManager.nextTokenId()).to.equal(2);
+      expect(await greenRewardManager.guardianOracle()).to.equal(owner.address);
+    });
+
+    it("raises the reward multiplier with the total offset", async function () {
+      const { greenRewardManager, owner, alice } = await loadFixture(deployProtocolFixture);
+      const multiplier = async () => (await greenRewardManager.getUserProfile(alice.address)).rewardMultiplier;
+
+      await mintNFT(greenRewardManager, owner, alice.address, 9);
+      expect(await multiplier()).to.equal(100);
+      await mintNFT(greenRewardManager, owner, alice.address, 1);
+      expect(await multiplier()).to.equal(150);
+      await mintNFT(greenRewardManager, owner, alice.address, 40);
+      expect(await multiplier()).to.equal(200);
+      await mintNFT(greenRewardManager, owner, alice.address, 50);
+      expect(await multiplier()).to.equal(250);
+    });
+
+    it("only accepts valid mints from the Guardian oracle", async function () {
+      const { greenRewardManager, alice } = await loadFixture(deployProtocolFixture);
+
+      await expect(
+        greenRewardManager.connect(alice).mintCarbonNFT(alice.address, 1, "gv-1", "Verra", "p")
+      ).to.be.revertedWith("Only Guardian Oracle");
+      await expect(
+        greenRewardManager.mintCarbonNFT(ethers.ZeroAddress, 1, "gv-1", "Verra", "p")
+      ).to.be.revertedWith("Invalid recipient");
+      await expect(
+        greenRewardManager.mintCarbonNFT(alice.address, 0, "gv-1", "Verra", "p")
+      ).to.be.revertedWith("Below minimum carbon tons");
+
+      await greenRewardManager.mintCarbonNFT(alice.address, 1, "gv-1", "Verra", "p");
+      await expect(
+        greenRewardManager.mintCarbonNFT(alice.address, 1, "gv-1", "Verra", "p")
+      ).to.be.revertedWith("Verification ID already used");
+    });
+  });
+
+  describe("retireNFT", function () {
+    it("retires an NFT and drops it from the active count", async function () {
+      const { greenRewardManager, owner, alice } = await loadFixture(deployProtocolFixture);
+      const tokenId = await mintNFT(greenRewardManager, owner, alice.address, 4);
+
+      await expect(greenRewardManager.connect(alice).retireNFT(tokenId))
+        .to.emit(greenRewardManager, "NFTRetired")
+        .withArgs(tokenId, alice.address)
+        .and.not.to.emit(greenRewardManager, "GreenTokenRewarded");
+
+      expect((await greenRewardManager.getNFTDetails(tokenId)).retired).to.equal(true);
+      const profile = await greenRewardManager.getUserProfile(alice.address);
+      expect(profile.activeNFTs).to.equal(0);
+      // Retired NFTs still count towards the total offset
+      expect(profile.totalNFTs).to.equal(1);
+      expect(profile.totalCarbonOffset).to.equal(4);
+    });
+
+    it("rewards 100 GREEN per ton once a GREEN token is set", async function () {
+      const { greenRewardManager, owner, alice, carol } = await loadFixture(deployProtocolFixture);
+      const tokenId = await mintNFT(greenRewardManager, owner, alice.address, 4);
+      await greenRewardManager.setGreenToken(carol.address);
+
+      await expect(greenRewardManager.connect(alice).retireNFT(tokenId))
+        .to.emit(greenRewardManager, "GreenTokenRewarded")
+        .withArgs(alice.address, ethers.parseEther("400"));
+    });
+
+    it("rejects retiring someone else's or an already retired NFT", async function () {
+      const { greenRewardManager, owner, alice, bob } = await loadFixture(deployProtocolFixture);
+      const tokenId = await mintNFT(greenRewardManager, owner, alice.address);
+
+      await expect(greenRewardManager.connect(bob).retireNFT(tokenId))
+        .to.be.revertedWith("Not NFT owner");
+      await expect(greenRewardManager.connect(alice).retireNFT(99))
+        .to.be.revertedWith("Not NFT owner");
+
+      await greenRewardManager.connect(alice).retireNFT(tokenId);
+      await expect(greenRewardManager.connect(alice).retireNFT(tokenId))
+        .to.be.revertedWith("NFT already retired");
+    });
+  });
+
+  describe("getAdjustedInterestRate", function () {
+    it("takes 10% off per active NFT, up to 50%", async function () {
+      const { greenRewardManager, owner, alice } = await loadFixture(deployProtocolFixture);
+      const expected = [100, 90, 80, 70, 60, 50, 50, 50];
+
+      for (let count = 0; count < expected.length; count++) {
+        if (count > 0) {
+          await mintNFT(greenRewardManager, owner, alice.address);
+        }
+        expect(await greenRewardManager.getAdjustedInterestRate(alice.address, 100))
+          .to.equal(expected[count]);
+      }
+    });
+
+    it("restores the rate as NFTs are retired", async function () {
+      const { greenRewardManager, owner, alice } = await loadFixture(deployProtocolFixture);
+      const first = await mintNFT(greenRewardManager, owner, alice.address);
+      const second = await mintNFT(greenRewardManager, owner, alice.address);
+      expect(await greenRewardManager.getAdjustedInterestRate(alice.address, 10)).to.equal(8);
+
+      await greenRewardManager.connect(alice).retireNFT(first);
+      expect(await greenRewardManager.getAdjustedInterestRate(alice.address, 10)).to.equal(9);
+      await greenRewardManager.connect(alice).retireNFT(second);
+      expect(await greenRewardManager.getAdjustedInterestRate(alice.address, 10)).to.equal(10);
+    });
+
+    it("rounds the reduction down", async function () {
+      const { greenRewardManager, owner, alice } = await loadFixture(deployProtocolFixture);
+      await mintNFT(greenRewardManager, owner, alice.address);
+
+      // 10% of 7 is 0.7, which rounds down to no reduction
+      expect(await greenRewardManager.getAdjustedInterestRate(alice.address, 7)).to.equal(7);
+      expect(await greenRewardManager.getAdjustedInterestRate(alice.address, 15)).to.equal(14);
+    });
+  });
+
+  describe("administration", function () {
+    it("lets the owner replace the oracle, GREEN token and tracker", async function () {
+      const { greenRewardManager, alice, bob } = await loadFixture(deployProtocolFixture);
+
+      await expect(greenRewardManager.setGuardianOracle(alice.address))
+        .to.emit(greenRewardManager, "GuardianOracleUpdated")
+        .withArgs(alice.address);
+      await greenRewardManager.setGreenToken(bob.address);
+      await greenRewardManager.setLeaderboardTracker(ethers.ZeroAddress);
+
+      expect(await greenRewardManager.guardianOracle()).to.equal(alice.address);
+      expect(await greenRewardManager.greenToken()).to.equal(bob.address);
+      expect(await greenRewardManager.leaderboardTracker()).to.equal(ethers.ZeroAddress);
+
+      // The new oracle mints; without a tracker no score is recorded
+      await expect(
+        greenRewardManager.connect(alice).mintCarbonNFT(bob.address, 1, "gv-new", "Verra", "p")
+      ).to.emit(greenRewardManager, "NFTMinted");
+    });
+
+    it("rejects zero addresses and callers other than the owner", async function () {
+      const { greenRewardManager, alice } = await loadFixture(deployProtocolFixture);
+
+      await expect(greenRewardManager.setGuardianOracle(ethers.ZeroAddress))
+        .to.be.revertedWith("Invalid oracle address");
+      await expect(greenRewardManager.setGreenToken(ethers.ZeroAddress))
+        .to.be.revertedWith("Invalid token address");
+
+      for (const call of [
+        greenRewardManager.connect(alice).setGuardianOracle(alice.address),
+        greenRewardManager.connect(alice).setGreenToken(alice.address),
+        greenRewardManager.connect(alice).setLeaderboardTracker(alice.address)
+      ]) {
+        await expect(call)
+          .to.be.revertedWithCustomError(greenRewardManager, "OwnableUnauthorizedAccount")
+          .withArgs(alice.address);
+      }
+    });
+  });
+});
@@ -0,0 +1,50 @@
+const { expect } = require("chai");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { deployProtocolFixture } = require("./fixtures");
+
+describe("InterestRateModel", function () {
+  it("starts at the base rate and rises with utilization up to the kink", async function () {
+    const { interestRateModel } = await loadFixture(deployProtocolFixture);
+
+    expect(await interestRateModel.getBorrowRate(0, 0)).to.equal(2);
+    expect(await interestRateModel.getBorrowRate(100, 0)).to.equal(2);
+    expect(await interestRateModel.getBorrowRate(100, 50)).to.equal(7);
+    expect(await interestRateModel.getBorrowRate(100, 80)).to.equal(10);
+  });
+
+  it("applies the jump multiplier above the kink", async function () {
+    const { interestRateModel } = await loadFixture(deployProtocolFixture);
+
+    // 10% at the kink plus 100% of every point beyond it
+    expect(await interestRateModel.getBorrowRate(100, 81)).to.equal(11);
+    expect(await interestRateModel.getBorrowRate(100, 95)).to.equal(25);
+    expect(await interestRateModel.getBorrowRate(100, 100)).to.equal(30);
+  });
+
+  it("passes the borrow rate minus the reserve share to suppliers", async function () {
+    const { interestRateModel } = await loadFixture(deployProtocolFixture);
+
+    expect(await interestRateModel.getSupplyRate(0, 0, 10)).to.equal(0);
+    // 50%: 7% borrow rate, 90% of it (6, rounded down) on half the deposits
+    expect(await interestRateModel.getSupplyRate(100, 50, 10)).to.equal(3);
+    expect(await interestRateModel.getSupplyRate(100, 100, 0)).to.equal(30);
+    expect(await interestRateModel.getUtilizationRate(3, 2)).to.equal(66);
+    expect(await interestRateModel.getUtilizationRate(0, 2)).to.equal(0);
+  });
+
+  it("lets only the owner update the model", async function () {
+    const { interestRateModel, alice } = await loadFixture(deployProtocolFixture);
+
+    await expect(interestRateModel.updateModel(1, 5, 50, 90))
+      .to.emit(interestRateModel, "InterestRateModelUpdated")
+      .withArgs(1, 5, 50, 90);
+    expect(await interestRateModel.getBorrowRate(100, 90)).to.equal(5);
+
+    await expect(interestRateModel.updateModel(1, 5, 50, 101))
+      .to.be.revertedWith("Kink must be <= 100");
+    await expect(interestRateModel.connect(alice).updateModel(1, 5, 50, 90))
+      .to.be.revertedWithCustomError(interestRateModel, "OwnableUnauthorizedAccount")
+      .withArgs(alice.address);
+  });
+});
@@ -0,0 +1,151 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { deployProtocolFixture, mintNFT } = require("./fixtures");
+
+// LeaderboardTracker.Badge
+const Badge = { NONE: 0, ECO_STARTER: 1, GREEN_CHAMPION: 2, CLIMATE_HERO: 3, EARTH_GUARDIAN: 4 };
+
+describe("LeaderboardTracker", function () {
+  describe("scores and ranking", function () {
+    it("records a score for each minted NFT", async function () {
+      const { leaderboardTracker, greenRewardManager, owner, alice } = await loadFixture(deployProtocolFixture);
+
+      await expect(greenRewardManager.mintCarbonNFT(alice.address, 5, "gv-1", "Verra", "p"))
+        .to.emit(leaderboardTracker, "ScoreUpdated")
+        .withArgs(alice.address, 5, 1)
+        .and.to.emit(leaderboardTracker, "RankChanged")
+        .withArgs(alice.address, 0, 1);
+      await mintNFT(greenRewardManager, owner, alice.address, 3);
+
+      const score = await leaderboardTracker.getUserScore(alice.address);
+      expect(score.totalOffset).to.equal(8);
+      expect(score.nftCount).to.equal(2);
+      expect(score.rank).to.equal(1);
+
+      const stats = await leaderboardTracker.getLeaderboardStats();
+      expect(stats._totalUsers).to.equal(1);
+      expect(stats._totalCarbonOffset).to.equal(8);
+      expect(stats._topContributorsCount).to.equal(1);
+    });
+
+    it("orders contributors by total offset and re-ranks on updates", async function () {
+      const { leaderboardTracker, greenRewardManager, owner, alice, bob, carol } = await loadFixture(deployProtocolFixture);
+
+      await mintNFT(greenRewardManager, owner, alice.address, 10);
+      await mintNFT(greenRewardManager, owner, bob.address, 20);
+      await mintNFT(greenRewardManager, owner, carol.address, 15);
+
+      let [contributors, scores] = await leaderboardTracker.getTopContributors(10);
+      expect(contributors).to.deep.equal([bob.address, carol.address, alice.address]);
+      expect(scores).to.deep.equal([20n, 15n, 10n]);
+
+      // Alice overtakes both
+      await expect(greenRewardManager.mintCarbonNFT(alice.address, 15, "gv-overtake", "Verra", "p"))
+        .to.emit(leaderboardTracker, "RankChanged")
+        .withArgs(alice.address, 3, 1);
+
+      [contributors, scores] = await leaderboardTracker.getTopContributors(2);
+      expect(contributors).to.deep.equal([alice.address, bob.address]);
+      expect(scores).to.deep.equal([25n, 20n]);
+      expect((await leaderboardTracker.getUserScore(bob.address)).rank).to.equal(2);
+      expect((await leaderboardTracker.getUserScore(carol.address)).rank).to.equal(3);
+    });
+
+    it("keeps the earlier contributor ahead on a tie", async function () {
+      const { leaderboardTracker, greenRewardManager, owner, alice, bob } = await loadFixture(deployProtocolFixture);
+
+      await mintNFT(greenRewardManager, owner, alice.address, 10);
+      await mintNFT(greenRewardManager, owner, bob.address, 10);
+
+      const [contributors] = await leaderboardTracker.getTopContributors(10);
+      expect(contributors).to.deep.equal([alice.address, bob.address]);
+    });
+
+    it("reports top-N membership and rank multipliers", async function () {
+      const { leaderboardTracker, greenRewardManager, owner } = await loadFixture(deployProtocolFixture);
+      const signers = await ethers.getSigners();
+
+      // Ranks 1 to 4 by descending offset, and one address never scored
+      for (let i = 0; i < 4; i++) {
+        await mintNFT(greenRewardManager, owner, signers[10 + i].address, 40 - i);
+      }
+      const [first, second, , fourth] = signers.slice(10, 14);
+      const outsider = signers[15];
+
+      expect(await leaderboardTracker.getRankMultiplier(first.address)).to.equal(200);
+      expect(await leaderboardTracker.getRankMultiplier(second.address)).to.equal(175);
+      expect(await leaderboardTracker.getRankMultiplier(fourth.address)).to.equal(150);
+      expect(await leaderboardTracker.getRankMultiplier(outsider.address)).to.equal(100);
+
+      expect(await leaderboardTracker.isTopContributor(second.address, 2)).to.equal(true);
+      expect(await leaderboardTracker.isTopContributor(fourth.address, 3)).to.equal(false);
+      expect(await leaderboardTracker.isTopContributor(outsider.address, 100)).to.equal(false);
+    });
+  });
+
+  describe("badges", function () {
+    it("awards a badge each time the total offset crosses a tier", async function () {
+      const { leaderboardTracker, greenRewardManager, alice } = await loadFixture(deployProtocolFixture);
+      const tiers = [
+        [1, Badge.ECO_STARTER, "Eco Starter"],
+        [9, Badge.GREEN_CHAMPION, "Green Champion"],
+        [40, Badge.CLIMATE_HERO, "Climate Hero"],
+        [50, Badge.EARTH_GUARDIAN, "Earth Guardian"]
+      ];
+
+      for (const [index, [tons, badge, name]] of tiers.entries()) {
+        await expect(greenRewardManager.mintCarbonNFT(alice.address, tons, `gv-tier-${index}`, "Verra", "p"))
+          .to.emit(leaderboardTracker, "BadgeAwarded")
+          .withArgs(alice.address, badge);
+
+        const score = await leaderboardTracker.getUserScore(alice.address);
+        expect(score.badge).to.equal(badge);
+        expect(score.badgeName).to.equal(name);
+      }
+    });
+
+    it("does not award the same badge twice", async function () {
+      const { leaderboardTracker, greenRewardManager, owner, alice } = await loadFixture(deployProtocolFixture);
+      await mintNFT(greenRewardManager, owner, alice.address, 2);
+
+      await expect(greenRewardManager.mintCarbonNFT(alice.address, 2, "gv-same", "Verra", "p"))
+        .to.emit(leaderboardTracker, "ScoreUpdated")
+        .and.not.to.emit(leaderboardTracker, "BadgeAwarded");
+    });
+
+    it("reports no badge for unknown users", async function () {
+      const { leaderboardTracker, alice } = await loadFixture(deployProtocolFixture);
+
+      const score = await leaderboardTracker.getUserScore(alice.address);
+      expect(score.badge).to.equal(Badge.NONE);
+      expect(score.badgeName).to.equal("None");
+      expect(score.rank).to.equal(0);
+    });
+  });
+
+  describe("access control", function () {
+    it("only accepts score updates from the GreenRewardManager", async function () {
+      const { leaderboardTracker, alice } = await loadFixture(deployProtocolFixture);
+
+      await expect(leaderboardTracker.connect(alice).updateScore(alice.address, 5))
+        .to.be.revertedWith("Only GreenRewardManager");
+    });
+
+    it("lets only the owner replace the GreenRewardManager", async function () {
+      const { leaderboardTracker, alice } = await loadFixture(deployProtocolFixture);
+
+      await expect(leaderboardTracker.setGreenRewardManager(ethers.ZeroAddress))
+        .to.be.revertedWith("Invalid address");
+      await expect(leaderboardTracker.connect(alice).setGreenRewardManager(alice.address))
+        .to.be.revertedWithCustomError(leaderboardTracker, "OwnableUnauthorizedAccount")
+        .withArgs(alice.address);
+
+      await leaderboardTracker.setGreenRewardManager(alice.address);
+      await expect(leaderboardTracker.connect(alice).updateScore(alice.address, 5))
+        .to.emit(leaderboardTracker, "ScoreUpdated")
+        .withArgs(alice.address, 5, 1);
+    });
+  });
+});
@@ -0,0 +1,310 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const fc = require("fast-check");
+
+const { deployProtocolFixture, mintNFT } = require("./fixtures");
+
+// Raise for a longer run, e.g. INVARIANT_RUNS=500 npm test
+const RUNS = parseInt(process.env.INVARIANT_RUNS || "25");
+const MAX_ACTIONS = 30;
+const USER_COUNT = 4;
+
+const PANIC_UNDERFLOW = "0x11";
+
+/**
+ * Reason string or panic code of a reverted transaction
+ */
+function revertReason(error) {
+  const reason = error.message.match(/reverted with reason string '([^']*)'/);
+  if (reason) return reason[1];
+
+  const panic = error.message.match(/reverted with panic code (0x[0-9a-f]+)/);
+  if (panic) return `panic ${panic[1]}`;
+
+  throw error;
+}
+
+/**
+ * Send an action; a revert must carry one of the expected reasons
+ * @returns {Object} the receipt, or the revert reason if the action reverted
+ */
+async function attempt(send, expectedReasons, label) {
+  try {
+    const tx = await send();
+    return { receipt: await tx.wait() };
+  } catch (error) {
+    const reason = revertReason(error);
+    expect(expectedReasons, `${label} reverted with ${reason}`).to.include(reason);
+    return { reason };
+  }
+}
+
+/**
+ * A user's debt, deposit and borrowing headroom as of the latest block
+ */
+async function position(lendingPool, user) {
+  const account = await lendingPool.userAccounts(user.address);
+  const debt = await lendingPool.getUserDebt(user.address);
+  const maxBorrow = (account.deposited * 80n) / 100n;
+
+  return {
+    deposited: account.deposited,
+    debt,
+    headroom: maxBorrow > debt ? maxBorrow - debt : 0n
+  };
+}
+
+/**
+ * The contract's collateral rule: deposits cover debt at 80% LTV
+ * (withdraw rounds the required collateral down, so the check does too)
+ */
+async function expectWithinLTV(lendingPool, user, label) {
+  const account = await lendingPool.userAccounts(user.address);
+  const owed = account.borrowed + account.accruedInterest;
+
+  expect(account.deposited, `${label}: debt ${owed} above 80% LTV`).to.be.at.least((owed * 100n) / 80n);
+}
+
+/**
+ * Pool-wide invariants, checked after every action
+ */
+async function checkInvariants({ lendingPool, users }, model) {
+  const [totalDeposits, totalBorrows] = await lendingPool.poolStats();
+  const reserveBalance = await lendingPool.reserveBalance();
+  const balance = await ethers.provider.getBalance(await lendingPool.getAddress());
+
+  let deposits = 0n;
+  let borrows = 0n;
+  for (const user of users) {
+    const account = await lendingPool.userAccounts(user.address);
+    deposits += account.deposited;
+    borrows += account.borrowed;
+  }
+
+  expect(deposits, "sum of deposits").to.equal(totalDeposits);
+  expect(borrows, "sum of borrows").to.equal(totalBorrows);
+  expect(totalBorrows, "borrows within deposits").to.be.at.most(totalDeposits);
+
+  // Every wei that came in and was not lent or withdrawn is still held,
+  // plus all interest repaid (only 10% of which is set aside as reserve)
+  expect(balance, "pool balance").to.equal(totalDeposits - totalBorrows + model.interestPaid);
+  expect(reserveBalance, "reserve balance").to.equal(model.reserves);
+  expect(balance, "balance covers liquidity and reserves")
+    .to.be.at.least(totalDeposits - totalBorrows + reserveBalance);
+}
+
+class DepositCommand {
+  constructor(user, amount) {
+    this.user = user;
+    this.amount = amount;
+  }
+
+  check() {
+    return true;
+  }
+
+  async run(model, real) {
+    const user = real.users[this.user];
+    await attempt(() => real.lendingPool.connect(user).deposit({ value: this.amount }), [], this.toString());
+    await checkInvariants(real, model);
+  }
+
+  toString() {
+    return `deposit(user ${this.user}, ${this.amount})`;
+  }
+}
+
+class BorrowCommand {
+  // Percentage of the remaining headroom; above 100 should be refused
+  constructor(user, percent) {
+    this.user = user;
+    this.percent = percent;
+  }
+
+  check() {
+    return true;
+  }
+
+  async run(model, real) {
+    const user = real.users[this.user];
+    const { headroom } = await position(real.lendingPool, user);
+    const amount = (headroom * BigInt(this.percent)) / 100n || 1n;
+
+    const { receipt } = await attempt(
+      () => real.lendingPool.connect(user).borrow(amount),
+      ["Exceeds borrowing capacity", "Insufficient liquidity"],
+      this.toString()
+    );
+    if (receipt) {
+      await expectWithinLTV(real.lendingPool, user, this.toString());
+    }
+    await checkInvariants(real, model);
+  }
+
+  toString() {
+    return `borrow(user ${this.user}, ${this.percent}% of headroom)`;
+  }
+}
+
+class RepayCommand {
+  // Percentage of the current debt; above 100 is refunded
+  constructor(user, percent) {
+    this.user = user;
+    this.percent = percent;
+  }
+
+  check() {
+    return true;
+  }
+
+  async run(model, real) {
+    const { lendingPool } = real;
+    const user = real.users[this.user];
+    const { debt } = await position(lendingPool, user);
+    const amount = (debt * BigInt(this.percent)) / 100n || 1n;
+
+    const { receipt } = await attempt(
+      () => lendingPool.connect(user).repay({ value: amount }),
+      ["No outstanding debt"],
+      this.toString()
+    );
+    if (receipt) {
+      const [repaid] = receipt.logs
+        .map(log => lendingPool.interface.parseLog(log))
+        .filter(event => event && event.name === "Repaid");
+
+      model.interestPaid += repaid.args.interest;
+      model.reserves += (repaid.args.interest * 10n) / 100n;
+    }
+    await checkInvariants(real, model);
+  }
+
+  toString() {
+    return `repay(user ${this.user}, ${this.percent}% of debt)`;
+  }
+}
+
+class WithdrawCommand {
+  // Percentage of the deposit; above the free collateral should be refused
+  constructor(user, percent) {
+    this.user = user;
+    this.percent = percent;
+  }
+
+  check() {
+    return true;
+  }
+
+  async run(model, real) {
+    const { lendingPool } = real;
+    const user = real.users[this.user];
+    const { deposited } = await position(lendingPool, user);
+    const amount = (deposited * BigInt(this.percent)) / 100n || 1n;
+
+    const { receipt, reason } = await attempt(
+      () => lendingPool.connect(user).withdraw(amount),
+      ["Exceeds withdrawable amount", "Insufficient liquidity", `panic ${PANIC_UNDERFLOW}`],
+      this.toString()
+    );
+
+    if (receipt) {
+      await expectWithinLTV(lendingPool, user, this.toString());
+    } else if (reason === `panic ${PANIC_UNDERFLOW}`) {
+      // Known issue: once interest pushes the debt past 80% of the deposit,
+      // maxWithdraw underflows and withdraw panics instead of reverting
+      // with "Exceeds withdrawable amount". Any other underflow is a bug.
+      const after = await position(lendingPool, user);
+      expect((after.debt * 100n) / 80n, `${this.toString()} panicked`).to.be.above(after.deposited);
+    }
+    await checkInvariants(real, model);
+  }
+
+  toString() {
+    return `withdraw(user ${this.user}, ${this.percent}% of deposit)`;
+  }
+}
+
+class MintNFTCommand {
+  constructor(user) {
+    this.user = user;
+  }
+
+  check() {
+    return true;
+  }
+
+  async run(model, real) {
+    await mintNFT(real.greenRewardManager, real.owner, real.users[this.user].address);
+    await checkInvariants(real, model);
+  }
+
+  toString() {
+    return `mintNFT(user ${this.user})`;
+  }
+}
+
+class TimeJumpCommand {
+  constructor(seconds) {
+    this.seconds = seconds;
+  }
+
+  check() {
+    return true;
+  }
+
+  async run(model, real) {
+    await time.increase(this.seconds);
+    await checkInvariants(real, model);
+  }
+
+  toString() {
+    return `wait(${this.seconds}s)`;
+  }
+}
+
+const user = fc.integer({ min: 0, max: USER_COUNT - 1 });
+const depositAmount = fc.bigInt({ min: 1n, max: ethers.parseEther("1000") });
+
+const commands = [
+  fc.tuple(user, depositAmount).map(([index, amount]) => new DepositCommand(index, amount)),
+  fc.tuple(user, fc.integer({ min: 1, max: 120 }))
+    .map(([index, percent]) => new BorrowCommand(index, percent)),
+  fc.tuple(user, fc.integer({ min: 1, max: 150 }))
+    .map(([index, percent]) => new RepayCommand(index, percent)),
+  fc.tuple(user, fc.integer({ min: 1, max: 120 }))
+    .map(([index, percent]) => new WithdrawCommand(index, percent)),
+  user.map(index => new MintNFTCommand(index)),
+  fc.integer({ min: 1, max: 2 * 365 * 24 * 3600 }).map(seconds => new TimeJumpCommand(seconds))
+];
+
+describe("LendingPool invariants", function () {
+  this.timeout(0);
+
+  it("keeps pool accounting consistent under random actions", async function () {
+    await fc.assert(
+      fc.asyncProperty(
+        fc.array(depositAmount, { minLength: USER_COUNT, maxLength: USER_COUNT }),
+        fc.commands(commands, { maxCommands: MAX_ACTIONS, size: "max" }),
+        async (initialDeposits, actions) => {
+          const { lendingPool, greenRewardManager, owner, alice, bob, carol, beneficiary } =
+            await loadFixture(deployProtocolFixture);
+          const users = [alice, bob, carol, beneficiary];
+
+          // Start everyone with collateral so most actions get past the first require
+          for (const [index, amount] of initialDeposits.entries()) {
+            await lendingPool.connect(users[index]).deposit({ value: amount });
+          }
+
+          const setup = () => ({
+            model: { interestPaid: 0n, reserves: 0n },
+            real: { lendingPool, greenRewardManager, owner, users }
+          });
+
+          await fc.asyncModelRun(setup, actions);
+        }
+      ),
+      { numRuns: RUNS }
+    );
+  });
+});
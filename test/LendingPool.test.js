@@ -0,0 +1,278 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { deployProtocolFixture, mintNFT } = require("./fixtures");
+
+const YEAR = 365n * 24n * 3600n;
+const hbar = (amount) => ethers.parseEther(amount.toString());
+
+/**
+ * Interest LendingPool charges: (principal * rate * seconds) / (365 days * 100)
+ */
+function interestFor(principal, rate, seconds) {
+  return (principal * BigInt(rate) * BigInt(seconds)) / (YEAR * 100n);
+}
+
+describe("LendingPool", function () {
+  describe("deposit", function () {
+    it("credits the depositor and the pool", async function () {
+      const { lendingPool, alice } = await loadFixture(deployProtocolFixture);
+
+      const tx = lendingPool.connect(alice).deposit({ value: hbar(100) });
+      await expect(tx).to.emit(lendingPool, "Deposited").withArgs(alice.address, hbar(100));
+      await expect(tx).to.changeEtherBalances([alice, lendingPool], [-hbar(100), hbar(100)]);
+
+      const account = await lendingPool.userAccounts(alice.address);
+      expect(account.deposited).to.equal(hbar(100));
+      expect((await lendingPool.poolStats()).totalDeposits).to.equal(hbar(100));
+    });
+
+    it("rejects an empty deposit", async function () {
+      const { lendingPool, alice } = await loadFixture(deployProtocolFixture);
+
+      await expect(lendingPool.connect(alice).deposit({ value: 0 }))
+        .to.be.revertedWith("Deposit amount must be greater than 0");
+    });
+  });
+
+  describe("borrow", function () {
+    it("lends up to 80% of the deposit", async function () {
+      const { lendingPool, alice } = await loadFixture(deployProtocolFixture);
+      await lendingPool.connect(alice).deposit({ value: hbar(100) });
+
+      const tx = lendingPool.connect(alice).borrow(hbar(80));
+      await expect(tx).to.emit(lendingPool, "Borrowed").withArgs(alice.address, hbar(80));
+      await expect(tx).to.changeEtherBalances([alice, lendingPool], [hbar(80), -hbar(80)]);
+
+      expect((await lendingPool.userAccounts(alice.address)).borrowed).to.equal(hbar(80));
+      expect((await lendingPool.poolStats()).totalBorrows).to.equal(hbar(80));
+      expect(await lendingPool.getUtilizationRate()).to.equal(80);
+    });
+
+    it("rejects borrows beyond the collateral ratio", async function () {
+      const { lendingPool, alice, bob } = await loadFixture(deployProtocolFixture);
+      await lendingPool.connect(alice).deposit({ value: hbar(100) });
+      await lendingPool.connect(bob).deposit({ value: hbar(500) });
+
+      await expect(lendingPool.connect(alice).borrow(hbar(80) + 1n))
+        .to.be.revertedWith("Exceeds borrowing capacity");
+
+      await lendingPool.connect(alice).borrow(hbar(50));
+      await expect(lendingPool.connect(alice).borrow(hbar(30) + 1n))
+        .to.be.revertedWith("Exceeds borrowing capacity");
+    });
+
+    it("counts accrued interest against the borrowing capacity", async function () {
+      const { lendingPool, alice } = await loadFixture(deployProtocolFixture);
+      await lendingPool.connect(alice).deposit({ value: hbar(100) });
+      await lendingPool.connect(alice).borrow(hbar(79));
+
+      await time.increase(YEAR);
+
+      await expect(lendingPool.connect(alice).borrow(hbar(1)))
+        .to.be.revertedWith("Exceeds borrowing capacity");
+    });
+
+    it("rejects an empty borrow and borrowing without collateral", async function () {
+      const { lendingPool, alice, bob } = await loadFixture(deployProtocolFixture);
+      await lendingPool.connect(alice).deposit({ value: hbar(100) });
+
+      await expect(lendingPool.connect(alice).borrow(0))
+        .to.be.revertedWith("Borrow amount must be greater than 0");
+      await expect(lendingPool.connect(bob).borrow(1))
+        .to.be.revertedWith("Exceeds borrowing capacity");
+    });
+  });
+
+  describe("interest accrual", function () {
+    it("charges the utilization rate over time", async function () {
+      const { lendingPool, alice } = await loadFixture(deployProtocolFixture);
+      await lendingPool.connect(alice).deposit({ value: hbar(100) });
+      await lendingPool.connect(alice).borrow(hbar(40));
+      const start = BigInt(await time.latest());
+
+      // 40% utilization: 2% + 40% * 10% = 6% per year
+      await time.increaseTo(start + YEAR);
+      expect(await lendingPool.getUserDebt(alice.address)).to.equal(hbar(40) + hbar("2.4"));
+
+      await time.increaseTo(start + YEAR + 30n * 86400n);
+      expect(await lendingPool.getUserDebt(alice.address))
+        .to.equal(hbar(40) + interestFor(hbar(40), 6, YEAR + 30n * 86400n));
+    });
+
+    it("charges the kink rate at the 80% collateral cap", async function () {
+      const { lendingPool, alice, bob } = await loadFixture(deployProtocolFixture);
+      await lendingPool.connect(alice).deposit({ value: hbar(100) });
+      await lendingPool.connect(bob).deposit({ value: hbar(20) });
+      await lendingPool.connect(alice).borrow(hbar(80));
+      await lendingPool.connect(bob).borrow(hbar(16));
+      const start = BigInt(await time.latest());
+
+      // Borrows are capped at 80% of deposits, so utilization tops out at
+      // the kink: 2% + 80% * 10% = 10%
+      expect(await lendingPool.getUtilizationRate()).to.equal(80);
+      await time.increaseTo(start + YEAR);
+      expect(await lendingPool.getUserDebt(bob.address)).to.equal(hbar(16) + hbar("1.6"));
+    });
+
+    it("records accrued interest on every interaction", async function () {
+      const { lendingPool, alice } = await loadFixture(deployProtocolFixture);
+      await lendingPool.connect(alice).deposit({ value: hbar(100) });
+      await lendingPool.connect(alice).borrow(hbar(40));
+      const start = BigInt(await time.latest());
+
+      await time.setNextBlockTimestamp(start + YEAR / 2n);
+      await expect(lendingPool.connect(alice).deposit({ value: hbar(1) }))
+        .to.emit(lendingPool, "InterestAccrued")
+        .withArgs(alice.address, interestFor(hbar(40), 6, YEAR / 2n));
+
+      expect((await lendingPool.userAccounts(alice.address)).accruedInterest)
+        .to.equal(interestFor(hbar(40), 6, YEAR / 2n));
+    });
+
+    it("discounts the rate by 10% per active Carbon Credit NFT", async function () {
+      const { lendingPool, greenRewardManager, owner, alice, bob } = await loadFixture(deployProtocolFixture);
+      await mintNFT(greenRewardManager, owner, bob.address);
+      await mintNFT(greenRewardManager, owner, bob.address);
+
+      await lendingPool.connect(alice).deposit({ value: hbar(100) });
+      await lendingPool.connect(bob).deposit({ value: hbar(100) });
+      await lendingPool.connect(alice).borrow(hbar(50));
+      const aliceStart = BigInt(await time.latest());
+      await lendingPool.connect(bob).borrow(hbar(50));
+      const bobStart = BigInt(await time.latest());
+
+      // 50% utilization: 7%; two NFTs take off 20% of 7 (1.4, rounded down to 1), leaving 6%
+      await time.increaseTo(bobStart + YEAR);
+      expect(await lendingPool.getUserDebt(alice.address))
+        .to.equal(hbar(50) + interestFor(hbar(50), 7, bobStart + YEAR - aliceStart));
+      expect(await lendingPool.getUserDebt(bob.address)).to.equal(hbar(50) + interestFor(hbar(50), 6, YEAR));
+    });
+  });
+
+  describe("repay", function () {
+    async function borrowedForAYear() {
+      const fixture = await deployProtocolFixture();
+      const { lendingPool, alice } = fixture;
+
+      await lendingPool.connect(alice).deposit({ value: hbar(100) });
+      await lendingPool.connect(alice).borrow(hbar(40));
+      const start = BigInt(await time.latest());
+      await time.setNextBlockTimestamp(start + YEAR);
+
+      // 6% on 40 HBAR
+      return { ...fixture, interest: hbar("2.4") };
+    }
+
+    it("pays interest before principal and allocates the reserve share", async function () {
+      const { lendingPool, alice, interest } = await loadFixture(borrowedForAYear);
+
+      await expect(lendingPool.connect(alice).repay({ value: hbar(10) }))
+        .to.emit(lendingPool, "Repaid")
+        .withArgs(alice.address, hbar(10), interest);
+
+      const account = await lendingPool.userAccounts(alice.address);
+      expect(account.accruedInterest).to.equal(0);
+      expect(account.borrowed).to.equal(hbar(40) - (hbar(10) - interest));
+      expect((await lendingPool.poolStats()).totalBorrows).to.equal(account.borrowed);
+      expect(await lendingPool.reserveBalance()).to.equal(interest / 10n);
+    });
+
+    it("applies a payment smaller than the interest to interest only", async function () {
+      const { lendingPool, alice, interest } = await loadFixture(borrowedForAYear);
+
+      await expect(lendingPool.connect(alice).repay({ value: hbar(1) }))
+        .to.emit(lendingPool, "Repaid")
+        .withArgs(alice.address, hbar(1), hbar(1));
+
+      const account = await lendingPool.userAccounts(alice.address);
+      expect(account.accruedInterest).to.equal(interest - hbar(1));
+      expect(account.borrowed).to.equal(hbar(40));
+      expect(await lendingPool.reserveBalance()).to.equal(hbar("0.1"));
+    });
+
+    it("refunds an overpayment and clears the debt", async function () {
+      const { lendingPool, alice, interest } = await loadFixture(borrowedForAYear);
+      const owed = hbar(40) + interest;
+
+      const tx = lendingPool.connect(alice).repay({ value: hbar(50) });
+      await expect(tx).to.emit(lendingPool, "Repaid").withArgs(alice.address, owed, interest);
+      await expect(tx).to.changeEtherBalances([alice, lendingPool], [-owed, owed]);
+
+      const account = await lendingPool.userAccounts(alice.address);
+      expect(account.borrowed).to.equal(0);
+      expect(account.accruedInterest).to.equal(0);
+      expect(await lendingPool.getUserDebt(alice.address)).to.equal(0);
+      expect((await lendingPool.poolStats()).totalBorrows).to.equal(0);
+    });
+
+    it("rejects an empty repayment and repaying without debt", async function () {
+      const { lendingPool, alice, bob } = await loadFixture(borrowedForAYear);
+
+      await expect(lendingPool.connect(alice).repay({ value: 0 }))
+        .to.be.revertedWith("Repayment amount must be greater than 0");
+      await expect(lendingPool.connect(bob).repay({ value: 1 }))
+        .to.be.revertedWith("No outstanding debt");
+    });
+  });
+
+  describe("withdraw", function () {
+    it("returns the full deposit when there is no debt", async function () {
+      const { lendingPool, alice } = await loadFixture(deployProtocolFixture);
+      await lendingPool.connect(alice).deposit({ value: hbar(100) });
+
+      const tx = lendingPool.connect(alice).withdraw(hbar(100));
+      await expect(tx).to.emit(lendingPool, "Withdrawn").withArgs(alice.address, hbar(100));
+      await expect(tx).to.changeEtherBalances([alice, lendingPool], [hbar(100), -hbar(100)]);
+
+      expect((await lendingPool.userAccounts(alice.address)).deposited).to.equal(0);
+      expect((await lendingPool.poolStats()).totalDeposits).to.equal(0);
+    });
+
+    it("keeps enough collateral for the outstanding debt", async function () {
+      const { lendingPool, alice, bob } = await loadFixture(deployProtocolFixture);
+      await lendingPool.connect(bob).deposit({ value: hbar(100) });
+      await lendingPool.connect(alice).deposit({ value: hbar(100) });
+      await lendingPool.connect(alice).borrow(hbar(40));
+
+      // 40 HBAR of debt (plus a few seconds of interest) needs 50 HBAR of collateral
+      await expect(lendingPool.connect(alice).withdraw(hbar(50)))
+        .to.be.revertedWith("Exceeds withdrawable amount");
+      await lendingPool.connect(alice).withdraw(hbar(49));
+
+      expect((await lendingPool.userAccounts(alice.address)).deposited).to.equal(hbar(51));
+    });
+
+    it("rejects empty and excessive withdrawals", async function () {
+      const { lendingPool, alice } = await loadFixture(deployProtocolFixture);
+      await lendingPool.connect(alice).deposit({ value: hbar(10) });
+
+      await expect(lendingPool.connect(alice).withdraw(0))
+        .to.be.revertedWith("Withdrawal amount must be greater than 0");
+      await expect(lendingPool.connect(alice).withdraw(hbar(10) + 1n))
+        .to.be.revertedWith("Exceeds withdrawable amount");
+    });
+  });
+
+  describe("administration", function () {
+    it("lets only the owner swap the rate model and reward manager", async function () {
+      const { lendingPool, interestRateModel, greenRewardManager, alice } = await loadFixture(deployProtocolFixture);
+
+      await expect(lendingPool.connect(alice).setInterestRateModel(alice.address))
+        .to.be.revertedWithCustomError(lendingPool, "OwnableUnauthorizedAccount")
+        .withArgs(alice.address);
+      await expect(lendingPool.connect(alice).setGreenRewardManager(alice.address))
+        .to.be.revertedWithCustomError(lendingPool, "OwnableUnauthorizedAccount")
+        .withArgs(alice.address);
+
+      const InterestRateModel = await ethers.getContractFactory("InterestRateModel");
+      const steeperModel = await InterestRateModel.deploy(5, 20, 200, 70);
+      await lendingPool.setInterestRateModel(await steeperModel.getAddress());
+
+      expect(await lendingPool.interestRateModel()).to.equal(await steeperModel.getAddress());
+      expect(await lendingPool.interestRateModel()).to.not.equal(await interestRateModel.getAddress());
+      expect(await lendingPool.greenRewardManager()).to.equal(await greenRewardManager.getAddress());
+    });
+  });
+});
@@ -0,0 +1,128 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = require("hardhat");
+
+const { DeploymentManager } = require("../scripts/lib/deploymentManager");
+const { deployProtocol } = require("../scripts/deploy");
+const { resolveExpected, checkConfig, formatReport } = require("../scripts/lib/configCheck");
+
+// The shipped testnet config doubles as the expected state of a fresh deployment
+const TESTNET_CONFIG = JSON.parse(
+  fs.readFileSync(path.join(__dirname, "..", "config", "hedera_testnet.json"), "utf8")
+);
+
+describe("Deployment config check", function () {
+  let dir;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "greendefi-config-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function deployFixture() {
+    const [deployer, oracle, other] = await ethers.getSigners();
+    const manager = await new DeploymentManager(hre, { dir, signer: deployer, log: () => {} }).init();
+    const contracts = await deployProtocol(manager, { guardianOracle: oracle.address });
+    const env = { GUARDIAN_ORACLE_ADDRESS: oracle.address };
+
+    return { ...contracts, manager, deployment: manager.state, env, deployer, oracle, other };
+  }
+
+  it("resolves deployer, contract and environment references", function () {
+    const deployment = { deployer: "0xd", contracts: { LendingPool: { address: "0xa" } } };
+
+    expect(resolveExpected("deployer", deployment)).to.deep.equal({ value: "0xd", label: "deployer" });
+    expect(resolveExpected("LendingPool", deployment)).to.deep.equal({ value: "0xa", label: "LendingPool" });
+    expect(resolveExpected(80, deployment)).to.deep.equal({ value: 80 });
+    expect(resolveExpected("$ORACLE", deployment, { ORACLE: "0xb" })).to.deep.equal({ value: "0xb", label: "ORACLE" });
+    expect(resolveExpected("${ORACLE:-deployer}", deployment, {})).to.deep.equal({ value: "0xd", label: "deployer" });
+    expect(resolveExpected("$ORACLE", deployment, {})).to.deep.equal({ error: "ORACLE is not set" });
+  });
+
+  it("matches a fresh deployment against the testnet config", async function () {
+    const { deployment, env } = await deployFixture();
+
+    const report = formatReport(await checkConfig(hre, TESTNET_CONFIG, deployment, env), deployment);
+
+    expect(report.mismatches, report.text).to.equal(0);
+    expect(report.checked).to.equal(17);
+    expect(report.text).to.include("All 17 values match");
+  });
+
+  it("reports drifted parameters, links and owners as a diff", async function () {
+    const { interestRateModel, greenRewardManager, lendingPool, deployment, env, oracle, other } =
+      await deployFixture();
+
+    await interestRateModel.updateModel(2, 10, 100, 65);
+    await greenRewardManager.setGuardianOracle(other.address);
+    await lendingPool.setInterestRateModel(other.address);
+    await lendingPool.transferOwnership(other.address);
+
+    const results = await checkConfig(hre, TESTNET_CONFIG, deployment, env);
+    const report = formatReport(results, deployment);
+
+    expect(report.mismatches).to.equal(4);
+    expect(report.text).to.include("  - kink                   80\n  + kink                   65");
+    expect(report.text).to.include(`  - guardianOracle         ${oracle.address} (GUARDIAN_ORACLE_ADDRESS)`);
+    expect(report.text).to.include(
+      `  - interestRateModel      ${deployment.contracts.InterestRateModel.address} (InterestRateModel)\n` +
+      `  + interestRateModel      ${other.address}`
+    );
+    expect(report.text).to.include(`  - owner                  ${deployment.deployer} (deployer)`);
+    expect(report.text).to.include("4 mismatches");
+  });
+
+  it("reports missing contracts, getters and settings", async function () {
+    const { deployment } = await deployFixture();
+    const config = {
+      contracts: {
+        LendingPool: { reserveFactor: 10, greenRewardManager: "$LENDING_REWARD_MANAGER" },
+        GreenToken: { owner: "deployer" }
+      }
+    };
+
+    const report = formatReport(await checkConfig(hre, config, deployment, {}), deployment);
+
+    expect(report.mismatches).to.equal(3);
+    expect(report.text).to.include("LendingPool has no reserveFactor() getter");
+    expect(report.text).to.include("LENDING_REWARD_MANAGER is not set");
+    expect(report.text).to.include("GreenToken\n  ! not in the deployment record");
+  });
+
+  it("sets a failing exit code from the task on mismatch", async function () {
+    const { interestRateModel, env } = await deployFixture();
+    const configFile = path.join(dir, "config.json");
+    const deploymentFile = path.join(dir, "hardhat.json");
+    fs.writeFileSync(configFile, JSON.stringify(TESTNET_CONFIG));
+
+    const previous = process.env.GUARDIAN_ORACLE_ADDRESS;
+    const log = console.log;
+    process.env.GUARDIAN_ORACLE_ADDRESS = env.GUARDIAN_ORACLE_ADDRESS;
+    console.log = () => {};
+
+    try {
+      let report = await hre.run("check-deployment", { configFile, deploymentFile });
+      expect(report.mismatches).to.equal(0);
+      expect(process.exitCode).to.equal(undefined);
+
+      await interestRateModel.updateModel(3, 10, 100, 80);
+      report = await hre.run("check-deployment", { configFile, deploymentFile });
+      expect(report.mismatches).to.equal(1);
+      expect(process.exitCode).to.equal(1);
+    } finally {
+      process.exitCode = undefined;
+      console.log = log;
+      if (previous === undefined) {
+        delete process.env.GUARDIAN_ORACLE_ADDRESS;
+      } else {
+        process.env.GUARDIAN_ORACLE_ADDRESS = previous;
+      }
+    }
+  });
+});
@@ -0,0 +1,199 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = require("hardhat");
+
+const { DeploymentManager } = require("../scripts/lib/deploymentManager");
+const { deployProtocol, envFragment } = require("../scripts/deploy");
+
+describe("Deployment manager", function () {
+  let dir;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "greendefi-deployments-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function manager(signer) {
+    return new DeploymentManager(hre, { dir, signer, log: () => {} }).init();
+  }
+
+  async function nonce(signer) {
+    return ethers.provider.getTransactionCount(signer.address);
+  }
+
+  it("deploys, wires and records every contract", async function () {
+    const [deployer, oracle, token] = await ethers.getSigners();
+    const deployment = await manager(deployer);
+
+    const { lendingPool, greenRewardManager, leaderboardTracker, climateFundVault } =
+      await deployProtocol(deployment, { guardianOracle: oracle.address, greenToken: token.address });
+
+    expect(await leaderboardTracker.greenRewardManager()).to.equal(deployment.address("GreenRewardManager"));
+    expect(await greenRewardManager.leaderboardTracker()).to.equal(deployment.address("LeaderboardTracker"));
+    expect(await greenRewardManager.guardianOracle()).to.equal(oracle.address);
+    expect(await greenRewardManager.greenToken()).to.equal(token.address);
+    expect(await climateFundVault.greenToken()).to.equal(token.address);
+    expect(await lendingPool.interestRateModel()).to.equal(deployment.address("InterestRateModel"));
+    expect(await lendingPool.greenRewardManager()).to.equal(deployment.address("GreenRewardManager"));
+
+    const state = JSON.parse(fs.readFileSync(path.join(dir, "hardhat.json"), "utf8"));
+    expect(state.chainId).to.equal(31337);
+    expect(state.deployer).to.equal(deployer.address);
+    expect(Object.keys(state.contracts)).to.have.members([
+      "InterestRateModel", "LeaderboardTracker", "GreenRewardManager", "LendingPool", "ClimateFundVault"
+    ]);
+    expect(state.contracts.LendingPool.address).to.equal(await lendingPool.getAddress());
+    expect(state.contracts.LendingPool.pending).to.equal(undefined);
+    expect(state.wiring["ClimateFundVault.greenToken"].value).to.equal(token.address);
+
+    const fragment = envFragment(deployment, token.address);
+    expect(fragment).to.include(`LENDING_POOL_ADDRESS=${await lendingPool.getAddress()}`);
+    expect(fragment).to.include(`NEXT_PUBLIC_LEADERBOARD_TRACKER_ADDRESS=${await leaderboardTracker.getAddress()}`);
+    expect(fragment).to.include(`GREEN_TOKEN_ADDRESS=${token.address}`);
+  });
+
+  it("sends no transactions when everything is already in place", async function () {
+    const [deployer] = await ethers.getSigners();
+    await deployProtocol(await manager(deployer));
+    const before = await nonce(deployer);
+
+    const rerun = await manager(deployer);
+    await deployProtocol(rerun);
+
+    expect(await nonce(deployer)).to.equal(before);
+  });
+
+  it("resumes a partial deployment and repoints contracts at replacements", async function () {
+    const [deployer] = await ethers.getSigners();
+
+    // A run that stopped after two contracts
+    const first = await manager(deployer);
+    await first.deploy("InterestRateModel", [2, 10, 100, 80]);
+    await first.deploy("LeaderboardTracker", [ethers.ZeroAddress]);
+    const kept = first.address("LeaderboardTracker");
+
+    const second = await manager(deployer);
+    const { lendingPool, leaderboardTracker } = await deployProtocol(second);
+    expect(await leaderboardTracker.getAddress()).to.equal(kept);
+    expect(await leaderboardTracker.greenRewardManager()).to.equal(second.address("GreenRewardManager"));
+
+    // Dropping a record deploys that contract again and rewires its users
+    const oldModel = second.address("InterestRateModel");
+    delete second.state.contracts.InterestRateModel;
+    second.save();
+
+    const third = await manager(deployer);
+    await deployProtocol(third);
+    expect(third.address("InterestRateModel")).not.to.equal(oldModel);
+    expect(third.address("LendingPool")).to.equal(await lendingPool.getAddress());
+    expect(await lendingPool.interestRateModel()).to.equal(third.address("InterestRateModel"));
+  });
+
+  it("redeploys a contract with changed constructor arguments only when asked to", async function () {
+    const [deployer, oracle] = await ethers.getSigners();
+    const first = await manager(deployer);
+    await deployProtocol(first);
+    const oldModel = first.address("InterestRateModel");
+
+    const rerun = await manager(deployer);
+    await expect(rerun.deploy("InterestRateModel", [3, 10, 100, 80]))
+      .to.be.rejectedWith("with other constructor arguments [2, 10, 100, 80] -> [3, 10, 100, 80]");
+    expect(rerun.address("InterestRateModel")).to.equal(oldModel);
+
+    // Wired addresses may change without a redeploy
+    await deployProtocol(rerun, { guardianOracle: oracle.address });
+    expect(rerun.address("GreenRewardManager")).to.equal(first.address("GreenRewardManager"));
+
+    const redeploy = await new DeploymentManager(hre, {
+      dir, signer: deployer, log: () => {}, redeploy: ["InterestRateModel"]
+    }).init();
+    const model = await redeploy.deploy("InterestRateModel", [3, 10, 100, 80]);
+    expect(redeploy.address("InterestRateModel")).to.equal(await model.getAddress());
+    expect(redeploy.address("InterestRateModel")).not.to.equal(oldModel);
+    expect(redeploy.state.contracts.InterestRateModel.args).to.deep.equal(["3", "10", "100", "80"]);
+  });
+
+  it("finishes a deployment that was sent but not confirmed", async function () {
+    const [deployer] = await ethers.getSigners();
+    const first = await manager(deployer);
+
+    const factory = await ethers.getContractFactory("ClimateFundVault", deployer);
+    const vault = await factory.deploy();
+    first.state.contracts.ClimateFundVault = {
+      address: await vault.getAddress(),
+      args: [],
+      txHash: vault.deploymentTransaction().hash,
+      pending: true
+    };
+    first.save();
+
+    const second = await manager(deployer);
+    const before = await nonce(deployer);
+    await second.deploy("ClimateFundVault");
+
+    expect(await nonce(deployer)).to.equal(before);
+    expect(second.address("ClimateFundVault")).to.equal(await vault.getAddress());
+    expect(second.state.contracts.ClimateFundVault.pending).to.equal(undefined);
+  });
+
+  it("gives up on a deployment still pending from an earlier run", async function () {
+    const [deployer] = await ethers.getSigners();
+    const first = await manager(deployer);
+
+    await hre.network.provider.send("evm_setAutomine", [false]);
+    try {
+      const factory = await ethers.getContractFactory("ClimateFundVault", deployer);
+      const vault = await factory.deploy();
+      const txHash = vault.deploymentTransaction().hash;
+      first.state.contracts.ClimateFundVault = { address: await vault.getAddress(), args: [], txHash, pending: true };
+      first.save();
+
+      const second = await new DeploymentManager(hre, { dir, signer: deployer, log: () => {}, waitTimeout: 200 }).init();
+      await expect(second.deploy("ClimateFundVault"))
+        .to.be.rejectedWith(`deployment transaction ${txHash} is still pending after 0.2s`);
+    } finally {
+      await hre.network.provider.send("evm_setAutomine", [true]);
+      await hre.network.provider.send("evm_mine");
+    }
+  });
+
+  it("records steps left to a fallback until they are wired", async function () {
+    const [deployer, oracle, token] = await ethers.getSigners();
+    const first = await manager(deployer);
+    await deployProtocol(first);
+
+    expect(Object.keys(first.state.warnings)).to.have.members([
+      "GreenRewardManager.guardianOracle", "GreenRewardManager.greenToken", "ClimateFundVault.greenToken"
+    ]);
+
+    const rerun = await manager(deployer);
+    await deployProtocol(rerun, { guardianOracle: oracle.address, greenToken: token.address });
+    const state = JSON.parse(fs.readFileSync(path.join(dir, "hardhat.json"), "utf8"));
+    expect(state.warnings).to.deep.equal({});
+  });
+
+  it("rejects state recorded on another chain", async function () {
+    const [deployer] = await ethers.getSigners();
+    fs.writeFileSync(
+      path.join(dir, "hardhat.json"),
+      JSON.stringify({ network: "hardhat", chainId: 296, deployer: null, contracts: {}, wiring: {} })
+    );
+
+    await expect(manager(deployer)).to.be.rejectedWith("was recorded on chain 296");
+  });
+
+  it("refuses to rewire contracts owned by another account", async function () {
+    const [deployer, oracle, other] = await ethers.getSigners();
+    await deployProtocol(await manager(deployer));
+
+    const takeover = await manager(other);
+    await expect(deployProtocol(takeover, { guardianOracle: oracle.address }))
+      .to.be.rejectedWith(`owned by ${deployer.address}, not the deployer ${other.address}`);
+  });
+});
@@ -0,0 +1,65 @@
+const { ethers } = require("hardhat");
+
+/**
+ * Deploy and link the protocol contracts the way scripts/deploy.js does.
+ * The owner doubles as the Guardian oracle.
+ */
+async function deployProtocolFixture() {
+  const [owner, alice, bob, carol, beneficiary] = await ethers.getSigners();
+
+  const InterestRateModel = await ethers.getContractFactory("InterestRateModel");
+  const interestRateModel = await InterestRateModel.deploy(2, 10, 100, 80);
+
+  const LeaderboardTracker = await ethers.getContractFactory("LeaderboardTracker");
+  const leaderboardTracker = await LeaderboardTracker.deploy(ethers.ZeroAddress);
+
+  const GreenRewardManager = await ethers.getContractFactory("GreenRewardManager");
+  const greenRewardManager = await GreenRewardManager.deploy(owner.address);
+
+  await leaderboardTracker.setGreenRewardManager(await greenRewardManager.getAddress());
+  await greenRewardManager.setLeaderboardTracker(await leaderboardTracker.getAddress());
+
+  const LendingPool = await ethers.getContractFactory("LendingPool");
+  const lendingPool = await LendingPool.deploy(
+    await interestRateModel.getAddress(),
+    await greenRewardManager.getAddress()
+  );
+
+  const ClimateFundVault = await ethers.getContractFactory("ClimateFundVault");
+  const climateFundVault = await ClimateFundVault.deploy();
+
+  return {
+    interestRateModel,
+    leaderboardTracker,
+    greenRewardManager,
+    lendingPool,
+    climateFundVault,
+    owner,
+    alice,
+    bob,
+    carol,
+    beneficiary
+  };
+}
+
+let verificationCount = 0;
+
+/**
+ * Mint a Carbon Credit NFT through the oracle with a fresh verification ID
+ * @returns {Promise<bigint>} the token ID
+ */
+async function mintNFT(greenRewardManager, oracle, recipient, carbonTons = 1) {
+  const verificationId = `verification-${++verificationCount}`;
+  const tokenId = await greenRewardManager.nextTokenId();
+
+  await greenRewardManager
+    .connect(oracle)
+    .mintCarbonNFT(recipient, carbonTons, verificationId, "Verra", "project-1");
+
+  return tokenId;
+}
+
+module.exports = {
+  deployProtocolFixture,
+  mintNFT
+};
@@ -0,0 +1,124 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const {
+  getUtilizationRate,
+  getBorrowRate,
+  getSupplyRate,
+  getAdjustedInterestRate,
+  calculateInterest
+} = require("../backend/src/utils/rateEngine");
+const { deployProtocolFixture, mintNFT } = require("./fixtures");
+
+// Parity of the backend rate engine with the deployed contracts
+describe("Rate engine parity", function () {
+  async function readModel(interestRateModel, greenRewardManager) {
+    return {
+      baseRatePerYear: await interestRateModel.baseRatePerYear(),
+      multiplierPerYear: await interestRateModel.multiplierPerYear(),
+      jumpMultiplierPerYear: await interestRateModel.jumpMultiplierPerYear(),
+      kink: await interestRateModel.kink(),
+      baseRateReduction: await greenRewardManager.BASE_RATE_REDUCTION(),
+      maxRateReduction: await greenRewardManager.MAX_RATE_REDUCTION()
+    };
+  }
+
+  // Pool states around the kink, at the extremes and with uneven rounding
+  const WEI = 10n ** 18n;
+  const POOL_STATES = [
+    [0n, 0n],
+    [0n, 5n],
+    [1n, 0n],
+    [3n, 1n],
+    [7n, 5n],
+    [100n, 79n],
+    [100n, 80n],
+    [100n, 81n],
+    [1000n * WEI, 1n],
+    [1000n * WEI, 333n * WEI],
+    [1000n * WEI, 799n * WEI + 999n],
+    [1000n * WEI, 801n * WEI],
+    [1000n * WEI, 950n * WEI + 7n],
+    [1000n * WEI, 1000n * WEI],
+    [999n * WEI + 1n, 1200n * WEI]
+  ];
+
+  async function expectRateParity(interestRateModel, model, reserveFactor) {
+    for (const [deposits, borrows] of POOL_STATES) {
+      const label = `deposits ${deposits}, borrows ${borrows}`;
+
+      expect(getUtilizationRate(deposits, borrows), label)
+        .to.equal(await interestRateModel.getUtilizationRate(deposits, borrows));
+      expect(getBorrowRate(model, deposits, borrows), label)
+        .to.equal(await interestRateModel.getBorrowRate(deposits, borrows));
+      expect(getSupplyRate(model, deposits, borrows, reserveFactor), label)
+        .to.equal(await interestRateModel.getSupplyRate(deposits, borrows, reserveFactor));
+    }
+  }
+
+  it("matches the deployed borrow, supply and utilization rates", async function () {
+    const { interestRateModel, greenRewardManager, lendingPool } = await loadFixture(deployProtocolFixture);
+    const model = await readModel(interestRateModel, greenRewardManager);
+
+    await expectRateParity(interestRateModel, model, await lendingPool.RESERVE_FACTOR());
+    await expectRateParity(interestRateModel, model, 0n);
+    await expectRateParity(interestRateModel, model, 35n);
+  });
+
+  it("matches the rates after the model is updated", async function () {
+    const { interestRateModel, greenRewardManager, lendingPool } = await loadFixture(deployProtocolFixture);
+
+    await interestRateModel.updateModel(3, 17, 250, 65);
+    const model = await readModel(interestRateModel, greenRewardManager);
+
+    await expectRateParity(interestRateModel, model, await lendingPool.RESERVE_FACTOR());
+  });
+
+  it("matches the NFT discount, including the cap", async function () {
+    const { interestRateModel, greenRewardManager, owner, alice: borrower } = await loadFixture(deployProtocolFixture);
+    const model = await readModel(interestRateModel, greenRewardManager);
+
+    for (let count = 0; count <= 7; count++) {
+      if (count > 0) {
+        await mintNFT(greenRewardManager, owner, borrower.address);
+      }
+
+      for (const baseRate of [0n, 1n, 7n, 13n, 100n, 133n]) {
+        expect(getAdjustedInterestRate(baseRate, BigInt(count), model), `${count} NFTs, rate ${baseRate}`)
+          .to.equal(await greenRewardManager.getAdjustedInterestRate(borrower.address, baseRate));
+      }
+    }
+  });
+
+  it("matches the interest LendingPool accrues", async function () {
+    const { interestRateModel, greenRewardManager, lendingPool, owner, alice: borrower, bob: lender } =
+      await loadFixture(deployProtocolFixture);
+    const model = await readModel(interestRateModel, greenRewardManager);
+
+    await mintNFT(greenRewardManager, owner, borrower.address);
+    await mintNFT(greenRewardManager, owner, borrower.address);
+    await lendingPool.connect(lender).deposit({ value: ethers.parseEther("100") });
+    await lendingPool.connect(borrower).deposit({ value: ethers.parseEther("50") });
+    const principal = ethers.parseEther("37") + 3n;
+    await lendingPool.connect(borrower).borrow(principal);
+
+    const [totalDeposits, totalBorrows] = await lendingPool.poolStats();
+    const baseRate = getBorrowRate(model, totalDeposits, totalBorrows);
+    const rate = getAdjustedInterestRate(baseRate, 2n, model);
+    const start = BigInt(await time.latest());
+
+    for (const elapsed of [1n, 3600n, 86400n * 30n + 17n, 86400n * 365n]) {
+      await time.increaseTo(start + elapsed);
+      expect(await lendingPool.getUserDebt(borrower.address))
+        .to.equal(principal + calculateInterest(principal, rate, elapsed));
+    }
+
+    // A repayment accrues the pending interest on-chain
+    const repaidAt = start + 86400n * 400n;
+    await time.setNextBlockTimestamp(repaidAt);
+    await expect(lendingPool.connect(borrower).repay({ value: 1n }))
+      .to.emit(lendingPool, "InterestAccrued")
+      .withArgs(borrower.address, calculateInterest(principal, rate, repaidAt - start));
+  });
+});